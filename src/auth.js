@@ -5,7 +5,13 @@
  */
 
 import { chromium } from 'playwright';
+import { existsSync } from 'fs';
+import fs from 'fs/promises';
+import readline from 'readline/promises';
 import { logger } from './utils/logger.js';
+import { ensureOutputDir } from './utils/config.js';
+import { loadCookieFile } from './utils/cookies.js';
+import { generateTotp } from './utils/totp.js';
 
 /**
  * Browser configuration type definition
@@ -19,6 +25,11 @@ import { logger } from './utils/logger.js';
  * @property {number} viewport.height - Viewport height
  * @property {string} userAgent - Browser user agent string
  * @property {boolean} debug - Whether debug mode is enabled
+ * @property {string} twitterBaseUrl - Base URL for Twitter
+ * @property {boolean} session - Whether to reuse and save the login session
+ * @property {string} sessionFile - Path to the saved session (cookies and local storage)
+ * @property {string|null} cookiesFile - Cookie export to log in with instead of username/password
+ * @property {string|null} totpSecret - Authenticator secret used to answer 2FA code challenges
  */
 
 /**
@@ -29,6 +40,25 @@ import { logger } from './utils/logger.js';
  * @property {import('playwright').Page} page - Playwright Page with active Twitter session
  */
 
+/**
+ * Selectors that only appear once we are logged in, used both to verify a fresh
+ * login and to check whether a saved session is still valid
+ * @type {string[]}
+ */
+const SUCCESS_SELECTORS = [
+  'a[data-testid="AppTabBar_Home_Link"]',
+  'a[data-testid="AppTabBar_Bookmarks_Link"]',
+  'a[href="/home"]',
+  'a[aria-label="Profile"]',
+  'div[data-testid="primaryColumn"]'
+];
+
+/**
+ * Maximum number of verification codes to submit before giving up
+ * @type {number}
+ */
+const MAX_VERIFICATION_ATTEMPTS = 3;
+
 /**
  * Initialize a browser instance and authenticate with Twitter
  * 
@@ -60,23 +90,17 @@ export async function authenticateTwitter(config) {
     
     logger.debug('Browser launched successfully');
     
-    // Create a new browser context with specific viewport and user agent
-    const context = await browser.newContext({
-      viewport: config.viewport,
-      userAgent: config.userAgent,
-      bypassCSP: true,
-      acceptDownloads: false, // Avoid unnecessary download prompts
-      javaScriptEnabled: true,
-      ignoreHTTPSErrors: true, // Help with certain Twitter behaviors
-    });
-    
-    // Enable console logging from the browser
-    context.on('console', msg => {
-      const text = msg.text();
-      if (config.debug && text) {
-        logger.debug(`Browser console: ${text.substring(0, 200)}${text.length > 200 ? '...' : ''}`);
+    // Reuse a saved session when possible to skip the full login flow
+    if (config.session && config.sessionFile && existsSync(config.sessionFile)) {
+      const restored = await restoreSession(browser, config);
+      if (restored) {
+        logger.info('Reusing saved Twitter session');
+        return { browser, ...restored };
       }
-    });
+    }
+    
+    // Create a new browser context with specific viewport and user agent
+    const context = await createContext(browser, config);
     
     // Create a new page in context
     const page = await context.newPage();
@@ -84,6 +108,14 @@ export async function authenticateTwitter(config) {
     // Set default timeout for all operations
     page.setDefaultTimeout(config.timeout);
     
+    // Cookie import mode skips the username/password flow entirely
+    if (config.cookiesFile) {
+      await loginWithCookies(context, page, config);
+      logger.info('Successfully logged into Twitter with imported cookies');
+      await saveSession(context, config);
+      return { browser, context, page };
+    }
+    
     // Navigate to Twitter login page with better error handling
     logger.debug('Navigating to Twitter login page...');
     try {
@@ -131,6 +163,9 @@ export async function authenticateTwitter(config) {
     
     logger.info('Successfully logged into Twitter');
     
+    // Save the authenticated session so later runs can skip the login flow
+    await saveSession(context, config);
+    
     // Return the created browser object (which contains the page and context)
     return { browser, context, page };
   } catch (error) {
@@ -143,6 +178,157 @@ export async function authenticateTwitter(config) {
   }
 }
 
+/**
+ * Create a browser context with the configured viewport and user agent
+ * 
+ * @param {import('playwright').Browser} browser - Playwright Browser instance
+ * @param {BrowserConfig} config - Configuration options
+ * @param {string} [storageState] - Path to a saved storage state to load into the context
+ * @returns {Promise<import('playwright').BrowserContext>} The created browser context
+ */
+async function createContext(browser, config, storageState) {
+  const context = await browser.newContext({
+    viewport: config.viewport,
+    userAgent: config.userAgent,
+    bypassCSP: true,
+    acceptDownloads: false, // Avoid unnecessary download prompts
+    javaScriptEnabled: true,
+    ignoreHTTPSErrors: true, // Help with certain Twitter behaviors
+    ...(storageState ? { storageState } : {})
+  });
+  
+  // Enable console logging from the browser
+  context.on('console', msg => {
+    const text = msg.text();
+    if (config.debug && text) {
+      logger.debug(`Browser console: ${text.substring(0, 200)}${text.length > 200 ? '...' : ''}`);
+    }
+  });
+  
+  return context;
+}
+
+/**
+ * Try to restore a previously saved session and check that it is still logged in
+ * 
+ * @param {import('playwright').Browser} browser - Playwright Browser instance
+ * @param {BrowserConfig} config - Configuration options
+ * @returns {Promise<{context: import('playwright').BrowserContext, page: import('playwright').Page}|null>}
+ *   The restored context and page, or null if the session has expired
+ */
+async function restoreSession(browser, config) {
+  logger.debug(`Found saved session at ${config.sessionFile}, checking if it is still valid...`);
+  
+  let context = null;
+  try {
+    context = await createContext(browser, config, config.sessionFile);
+    const page = await context.newPage();
+    page.setDefaultTimeout(config.timeout);
+    
+    await page.goto(`${config.twitterBaseUrl}/home`, {
+      waitUntil: 'domcontentloaded',
+      timeout: config.timeout
+    });
+    
+    // Give the timeline a moment to render before looking for success indicators
+    await page.waitForSelector(SUCCESS_SELECTORS.join(', '), { timeout: 10000 }).catch(() => {});
+    
+    const currentUrl = page.url();
+    if (!currentUrl.includes('login') && await findSuccessIndicator(page)) {
+      return { context, page };
+    }
+    
+    logger.info('Saved session has expired, logging in again...');
+  } catch (error) {
+    logger.warn(`Could not restore saved session: ${error.message}`);
+  }
+  
+  if (context) {
+    await context.close().catch(e => logger.debug('Error closing expired session context:', e.message));
+  }
+  return null;
+}
+
+/**
+ * Log in by injecting cookies from a cookie export into the context
+ * 
+ * @param {import('playwright').BrowserContext} context - Fresh browser context
+ * @param {import('playwright').Page} page - Page in that context
+ * @param {BrowserConfig} config - Configuration options
+ * @returns {Promise<void>}
+ * @throws {Error} If the cookies cannot be loaded or Twitter does not accept them
+ */
+async function loginWithCookies(context, page, config) {
+  logger.debug(`Importing cookies from ${config.cookiesFile}...`);
+  const cookies = await loadCookieFile(config.cookiesFile);
+  await context.addCookies(cookies);
+  logger.debug(`Imported ${cookies.length} cookies`);
+  
+  try {
+    await page.goto(`${config.twitterBaseUrl}/home`, {
+      waitUntil: 'domcontentloaded',
+      timeout: config.timeout
+    });
+  } catch (error) {
+    logger.error('Failed to load Twitter home page:', error);
+    throw new Error(`Navigation failed: ${error.message}`);
+  }
+  
+  await page.waitForSelector(SUCCESS_SELECTORS.join(', '), { timeout: 10000 }).catch(() => {});
+  
+  if (config.debug) {
+    await page.screenshot({ path: 'cookie-login-verification.png' });
+  }
+  
+  if (page.url().includes('login') || !(await findSuccessIndicator(page))) {
+    throw new Error('Imported cookies were not accepted - export a fresh cookie file from a logged-in browser');
+  }
+}
+
+/**
+ * Save the authenticated context's cookies and local storage to the session file
+ * 
+ * @param {import('playwright').BrowserContext} context - Authenticated browser context
+ * @param {BrowserConfig} config - Configuration options
+ * @returns {Promise<void>}
+ */
+async function saveSession(context, config) {
+  if (!config.session || !config.sessionFile) {
+    return;
+  }
+  
+  try {
+    ensureOutputDir(config.sessionFile);
+    await context.storageState({ path: config.sessionFile });
+    // The session contains login cookies, keep it readable by the current user only
+    await fs.chmod(config.sessionFile, 0o600).catch(() => {});
+    logger.debug(`Saved session to ${config.sessionFile}`);
+  } catch (error) {
+    logger.warn(`Failed to save session: ${error.message}`);
+  }
+}
+
+/**
+ * Look for any element that indicates we are logged in
+ * 
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<boolean>} Whether a success indicator was found
+ */
+async function findSuccessIndicator(page) {
+  for (const selector of SUCCESS_SELECTORS) {
+    try {
+      const element = await page.$(selector);
+      if (element) {
+        logger.debug(`Found success indicator: ${selector}`);
+        return true;
+      }
+    } catch (e) {
+      logger.debug(`Success indicator not found: ${selector}`);
+    }
+  }
+  return false;
+}
+
 /**
  * Enter username on the login page
  * 
@@ -384,9 +570,10 @@ async function enterPassword(page, config) {
  * 
  * @param {import('playwright').Page} page - Playwright page object
  * @param {BrowserConfig} config - Configuration options
+ * @param {number} [attempt=0] - Number of verification codes submitted so far
  * @returns {Promise<boolean>} Success status
  */
-async function verifyLoginSuccess(page, config) {
+async function verifyLoginSuccess(page, config, attempt = 0) {
   logger.debug('Verifying successful login...');
   
   // Take a screenshot if in debug mode
@@ -395,7 +582,22 @@ async function verifyLoginSuccess(page, config) {
   }
   
   try {
-    // Check URL first
+    // Twitter asks for the code on /i/flow/login, so look for the challenge before the URL check
+    if (await isVerificationChallenge(page)) {
+      if (attempt >= MAX_VERIFICATION_ATTEMPTS) {
+        logger.error(`Verification still required after ${attempt} attempts - giving up`);
+        return false;
+      }
+      
+      const submitted = await handleVerificationChallenge(page, config);
+      if (!submitted) {
+        return false;
+      }
+      
+      // Continue with the normal success check once the code is submitted
+      return verifyLoginSuccess(page, config, attempt + 1);
+    }
+    
     const currentUrl = page.url();
     logger.debug(`Current URL: ${currentUrl}`);
     
@@ -405,40 +607,8 @@ async function verifyLoginSuccess(page, config) {
     }
     
     // Check for success indicators with better timeout handling
-    const successSelectors = [
-      'a[data-testid="AppTabBar_Home_Link"]',
-      'a[data-testid="AppTabBar_Bookmarks_Link"]',
-      'a[href="/home"]',
-      'a[aria-label="Profile"]',
-      'div[data-testid="primaryColumn"]'
-    ];
-    
-    for (const selector of successSelectors) {
-      try {
-        const element = await page.$(selector);
-        if (element) {
-          logger.debug(`Found success indicator: ${selector}`);
-          return true;
-        }
-      } catch (e) {
-        logger.debug(`Success indicator not found: ${selector}`);
-      }
-    }
-    
-    // Check for additional verification methods or security challenges
-    const challengeSelectors = [
-      'input[data-testid="ocfEnterTextTextInput"]',
-      'input[name="text"]',
-      'div:has-text("Enter the verification code")',
-      'div:has-text("Verify your identity")'
-    ];
-    
-    for (const selector of challengeSelectors) {
-      const challengeElement = await page.$(selector);
-      if (challengeElement) {
-        logger.error('Additional verification required - cannot proceed automatically');
-        return false;
-      }
+    if (await findSuccessIndicator(page)) {
+      return true;
     }
     
     // Check for error messages
@@ -463,3 +633,144 @@ async function verifyLoginSuccess(page, config) {
     return false;
   }
 }
+
+/**
+ * Check whether the login flow is asking for a verification code. The
+ * "unusual activity" prompt uses the same text input for the phone number or
+ * username, so a bare text input is not enough to tell them apart
+ * 
+ * @param {import('playwright').Page} page - Playwright page object
+ * @returns {Promise<boolean>} Whether a verification code is requested
+ */
+async function isVerificationChallenge(page) {
+  if (await page.$('div:has-text("Enter your phone number or username")')) {
+    return false;
+  }
+  
+  const challengeSelectors = [
+    'input[data-testid="ocfEnterTextTextInput"]',
+    'div:has-text("Enter your verification code")',
+    'div:has-text("Enter the verification code")',
+    'div:has-text("Verify your identity")'
+  ];
+  
+  for (const selector of challengeSelectors) {
+    if (await page.$(selector)) {
+      logger.debug(`Verification challenge detected with selector: ${selector}`);
+      return true;
+    }
+  }
+  
+  return false;
+}
+
+/**
+ * Answer a verification code challenge, using the configured TOTP secret for
+ * authenticator app prompts or asking on the terminal for emailed/SMS codes
+ * 
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {BrowserConfig} config - Configuration options
+ * @returns {Promise<boolean>} Whether a code was entered and submitted
+ */
+async function handleVerificationChallenge(page, config) {
+  logger.info('Verification code challenge detected');
+  
+  const pageText = await page.innerText('body').catch(() => '');
+  const wantsSentCode = /\b(email|e-mail|text message|sms|phone)\b/i.test(pageText) &&
+    !/authenticat(ion|or) app/i.test(pageText);
+  const interactive = Boolean(process.stdin.isTTY && process.stdout.isTTY);
+  
+  let code = null;
+  if (config.totpSecret && !wantsSentCode) {
+    try {
+      code = generateTotp(config.totpSecret);
+      logger.debug('Generated verification code from TOTP secret');
+    } catch (error) {
+      logger.error(`Could not generate verification code: ${error.message}`);
+      return false;
+    }
+  } else if (interactive) {
+    code = await promptForCode(wantsSentCode
+      ? 'Enter the verification code Twitter sent you: '
+      : 'Enter the code from your authenticator app: ');
+  }
+  
+  if (!code) {
+    logger.error('Additional verification required - provide --totp-secret or run interactively to enter the code');
+    if (config.debug) {
+      await page.screenshot({ path: 'verification-challenge.png' });
+    }
+    return false;
+  }
+  
+  const codeSelectors = [
+    'input[data-testid="ocfEnterTextTextInput"]',
+    'input[name="text"]'
+  ];
+  
+  let codeField = null;
+  for (const selector of codeSelectors) {
+    codeField = await page.$(selector);
+    if (codeField) {
+      logger.debug(`Found verification code field with selector: ${selector}`);
+      break;
+    }
+  }
+  
+  if (!codeField) {
+    logger.error('Could not find verification code input field');
+    return false;
+  }
+  
+  await codeField.click({ clickCount: 3 });
+  await codeField.press('Backspace');
+  await codeField.fill(code);
+  
+  const submitSelectors = [
+    'button[data-testid="ocfEnterTextNextButton"]',
+    'div[role="button"]:has-text("Next")',
+    'button:has-text("Next")',
+    'button:has-text("Verify")'
+  ];
+  
+  let submitted = false;
+  for (const selector of submitSelectors) {
+    try {
+      const button = await page.$(selector);
+      if (button) {
+        await button.click();
+        submitted = true;
+        logger.debug(`Submitted verification code with selector: ${selector}`);
+        break;
+      }
+    } catch (e) {
+      logger.debug(`Failed to click verification button with selector: ${selector}`);
+    }
+  }
+  
+  if (!submitted) {
+    // Fall back to submitting the form with Enter
+    await codeField.press('Enter');
+  }
+  
+  // Wait for the verification step to complete
+  await page.waitForTimeout(3000);
+  
+  return true;
+}
+
+/**
+ * Ask the user for a verification code on the terminal
+ * 
+ * @param {string} question - Prompt to display
+ * @returns {Promise<string>} The code entered by the user, without whitespace
+ */
+async function promptForCode(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(question);
+    return answer.replace(/\s/g, '');
+  } finally {
+    rl.close();
+  }
+}
@@ -6,15 +6,50 @@
  */
 
 import { logger } from './utils/logger.js';
+import { isBookmarksResponse, parseBookmarksResponse } from './graphql.js';
+import { canonicalTweetUrl, normalizeUrl, tweetIdFromUrl, tweetKey } from './utils/urls.js';
+import { classifyLink } from './classifiers/index.js';
+import { githubRepoUrl } from './utils/github.js';
+import { resolveUrl } from './resolver.js';
+import { createLimiter, createHostLimiter, createPagePool } from './utils/pool.js';
+import { archiveMedia, largeImageUrl } from './media.js';
+
+/**
+ * Scrolls without finding a new part of a thread before it is considered complete
+ * @type {number}
+ */
+const THREAD_QUIET_ROUNDS = 3;
+
+/**
+ * Safety limit for scrolls while unrolling one thread
+ * @type {number}
+ */
+const MAX_THREAD_SCROLLS = 100;
 
 /**
  * Bookmark object type definition
  * @typedef {Object} BookmarkType
  * @property {string} tweet_url - URL of the Twitter/X post
  * @property {string|null} username - Twitter username of the tweet author
- * @property {string|null} tweet_text - Text content of the tweet
- * @property {string|null} github_url - Extracted GitHub URL (if any)
+ * @property {string|null} display_name - Display name of the tweet author
+ * @property {string|null} tweet_text - Full text of the tweet, t.co links replaced by the URLs they resolve to
+ * @property {string|null} created_at - ISO timestamp of when the tweet was posted
+ * @property {boolean|null} is_quote - Whether the tweet quotes another tweet
+ * @property {boolean|null} is_reply - Whether the tweet replies to another tweet
+ * @property {number|null} reply_count - Number of replies
+ * @property {number|null} retweet_count - Number of retweets (reposts)
+ * @property {number|null} like_count - Number of likes
+ * @property {number|null} quote_count - Number of quote tweets
+ * @property {number|null} bookmark_count - Number of bookmarks
+ * @property {number|null} view_count - Number of views
+ * @property {Array<import('./graphql.js').TweetMedia|import('./media.js').ArchivedMedia>} [media] - Media
+ *   attached to the tweet, with local paths when media archiving is on
+ * @property {string|null} github_url - First GitHub repository linked from the tweet (if any)
+ * @property {Array<string>} github_repos - Every GitHub repository linked from the tweet, as canonical repo URLs
  * @property {Array<string>} all_links - All links found in the tweet
+ * @property {Array<import('./classifiers/index.js').ClassifiedLink>} links - Links tagged with their category
+ * @property {Array<ThreadPart>} [thread] - The author's thread in posting order, including the
+ *   bookmarked tweet (thread mode)
  * @property {string} scraped_at - ISO timestamp of when the bookmark was scraped
  */
 
@@ -36,6 +71,87 @@ import { logger } from './utils/logger.js';
  * @property {number} maxScrolls - Maximum number of scroll operations
  * @property {number} scrollDelay - Delay between scrolls in milliseconds
  * @property {boolean} debug - Whether debug mode is enabled
+ * @property {boolean} deep - Whether to visit each tweet to mine replies (slow)
+ * @property {boolean} thread - Whether to visit each tweet to unroll the author's thread
+ * @property {boolean} media - Whether to download the media attached to each tweet
+ * @property {string} mediaDir - Directory for downloaded media
+ * @property {number} mediaMaxSize - Largest media file downloaded, in MB (0 = no limit)
+ * @property {boolean} skipVideo - Whether to leave videos and GIFs out of the media archive
+ * @property {'dom'|'graphql'} capture - Read bookmarks from the page DOM or from GraphQL responses
+ * @property {number} knownStreak - Consecutive already-known bookmarks that end an incremental sync
+ * @property {number} maxRedirects - Maximum redirects followed when resolving a link
+ * @property {string} userAgent - User agent sent when resolving links over HTTP
+ * @property {number} concurrency - Bookmarks processed at the same time (and browser pages used)
+ * @property {number} linkConcurrency - Links resolved at the same time across all bookmarks
+ * @property {number} perHostConcurrency - Requests in flight to any one host
+ * @property {number} perHostDelay - Minimum milliseconds between requests to one host
+ * @property {Array<string>} trackingParams - Query parameters stripped from resolved links
+ * @property {Array<LinkSource>} linkSources - Sources whose links are kept
+ */
+
+/**
+ * Shared state for resolving links from concurrently processed bookmarks
+ * @typedef {Object} LinkResolver
+ * @property {import('./utils/pool.js').PagePool} pages - Pages for deep mining and browser fallbacks
+ * @property {import('./utils/pool.js').Limiter} limit - Caps the number of links resolved at once
+ * @property {import('./utils/pool.js').HostScheduler} schedule - Per-host politeness limits
+ * @property {import('./cache.js').LinkCache|null} linkCache - Cache of earlier resolutions
+ * @property {Map<string, Promise<string|null>>} pending - Links being resolved right now, so a
+ *   link shared by several bookmarks is only followed once
+ */
+
+/**
+ * Where on the tweet page a link appeared: the bookmarked tweet itself, a reply by its author
+ * (their thread), the tweet it quotes, its link card, or a reply by someone else
+ * @typedef {'main'|'thread'|'quote'|'card'|'reply'} LinkSource
+ */
+
+/**
+ * Link read from a tweet element in the page, before its source is decided
+ * @typedef {Object} PageLink
+ * @property {string} href - Link as it appears on the page (usually t.co)
+ * @property {string|null} permalink - Permalink of the tweet containing the link, null if it
+ *   was outside any tweet
+ * @property {string|null} author - Handle of that tweet's author, including the @
+ * @property {'quote'|'card'|null} container - Set when the link is inside a quoted tweet or a card
+ * @property {string|null} quote_author - Handle of the quoted tweet's author
+ * @property {string|null} quote_url - Permalink of the quoted tweet, if the page shows one
+ */
+
+/**
+ * Cell of the conversation on a tweet page
+ * @typedef {Object} PageCell
+ * @property {{permalink: string|null, author: string|null, text: string|null, created_at: string|null}|null} tweet -
+ *   The tweet in the cell, null for cells without one
+ * @property {Array<PageLink>} links - Links in the cell
+ */
+
+/**
+ * One tweet of an unrolled thread
+ * @typedef {Object} ThreadPart
+ * @property {string} tweet_id - Tweet id
+ * @property {string} tweet_url - Permalink of the tweet
+ * @property {string|null} text - Text of the tweet
+ * @property {string|null} created_at - ISO timestamp of the tweet
+ */
+
+/**
+ * Link found in a tweet, with the tweet it appeared in
+ * @typedef {Object} FoundLink
+ * @property {string} href - Link as it appears on the page (usually t.co)
+ * @property {LinkSource} source - Where the link appeared
+ * @property {string|null} source_tweet_id - Id of the tweet the link appeared in, null if unknown
+ * @property {string|null} source_author - Handle of that tweet's author, null if unknown
+ */
+
+/**
+ * Extra inputs for a scrape run
+ * @typedef {Object} ScrapeOptions
+ * @property {Set<string>} [knownUrls] - Tweet URLs (or ids) mined by a previous run; scraping stops
+ *   once a run of `config.knownStreak` of them is reached (incremental sync)
+ * @property {Set<string>} [skipUrls] - Tweet URLs already finished in a resumed journal
+ * @property {function(BookmarkType): void} [onBookmark] - Called as soon as each bookmark is finished
+ * @property {import('./cache.js').LinkCache|null} [linkCache] - Link resolutions to reuse and extend
  */
 
 /**
@@ -43,11 +159,15 @@ import { logger } from './utils/logger.js';
  * 
  * @param {BrowserInstance} browserObj - Object containing browser, context and page
  * @param {Config} config - Configuration options
+ * @param {ScrapeOptions} [options] - Extra inputs for this run
  * @returns {Promise<Array<BookmarkType>>} Array of bookmark objects with extracted information
  * @throws {Error} If there is an error during scraping
  */
-export async function scrapeBookmarks(browserObj, config) {
+export async function scrapeBookmarks(browserObj, config, options = {}) {
   const { page, context } = browserObj;
+  // Matched by status id, so URL variants and the tweet ids of an NDJSON index all match
+  const knownUrls = new Set(Array.from(options.knownUrls || [], tweetKey));
+  const skipUrls = new Set(Array.from(options.skipUrls || [], tweetKey));
   
   // Array to hold all bookmarks
   /** @type {Array<BookmarkType>} */
@@ -59,20 +179,79 @@ export async function scrapeBookmarks(browserObj, config) {
   let consecutiveEmptyScrolls = 0;
   const MAX_CONSECUTIVE_EMPTY_SCROLLS = 15; // Increased from 5 to ensure we don't stop too early
   
-  logger.info(`Will scrape up to ${config.limit || 'unlimited'} bookmarks (use -l or --limit to change)`);
+  // Incremental sync: bookmarks are newest-first, so a run of known tweets means we're caught up
+  const seenKnownUrls = new Set();
+  let knownStreak = 0;
+  let reachedKnown = false;
   
-  // Create a separate page for following links (with reduced timeout)
-  let redirectPage = null;
-  try {
-    redirectPage = await context.newPage();
-    // Reduce timeout for quicker processing
-    redirectPage.setDefaultTimeout(Math.min(config.timeout / 3, 10000));
-  } catch (error) {
-    logger.error('Failed to create redirect page:', error);
-    throw new Error(`Failed to create redirect page: ${error.message}`);
+  // GraphQL capture: collect tweets from the Bookmarks responses the page fetches while scrolling
+  /** @type {Map<string, import('./graphql.js').GraphqlTweet>} */
+  const capturedTweets = new Map();
+  /** @param {import('playwright').Response} response */
+  const onResponse = async response => {
+    if (!isBookmarksResponse(response.url())) {
+      return;
+    }
+    try {
+      const tweets = parseBookmarksResponse(await response.json());
+      tweets.forEach(tweet => {
+        if (!capturedTweets.has(tweet.tweet_id)) {
+          capturedTweets.set(tweet.tweet_id, tweet);
+        }
+      });
+      logger.debug(`Captured ${tweets.length} bookmarks from GraphQL response (${capturedTweets.size} total)`);
+    } catch (error) {
+      logger.debug(`Could not parse Bookmarks GraphQL response: ${error.message}`);
+    }
+  };
+  if (config.capture === 'graphql') {
+    // Listen before navigating so the first page of bookmarks is captured too
+    context.on('response', onResponse);
+  }
+  
+  logger.info(`Will scrape up to ${config.limit || 'unlimited'} bookmarks (use -l or --limit to change)`);
+  if (knownUrls.size > 0) {
+    logger.info(`Incremental sync: will stop after ${config.knownStreak} consecutive already-saved bookmarks`);
   }
   
+  // Worker pages for deep mining and browser fallbacks; the main page stays on the bookmarks timeline
+  /** @type {LinkResolver} */
+  const resolver = {
+    pages: createPagePool(context, config.concurrency, workerPage => {
+      workerPage.setDefaultTimeout(Math.min(config.timeout / 3, 10000));
+    }),
+    limit: createLimiter(config.linkConcurrency),
+    schedule: createHostLimiter({ concurrency: config.perHostConcurrency, delay: config.perHostDelay }),
+    linkCache: options.linkCache || null,
+    pending: new Map()
+  };
+  
+  // Bookmarks are processed concurrently but handed out in the order they were found
+  /** @type {Set<Promise<void>>} */
+  const inFlight = new Set();
+  /** @type {Map<number, BookmarkType>} */
+  const finished = new Map();
+  let nextToEmit = 1;
+  const emitFinished = () => {
+    while (finished.has(nextToEmit)) {
+      const bookmark = finished.get(nextToEmit);
+      finished.delete(nextToEmit);
+      nextToEmit++;
+      
+      bookmarks.push(bookmark);
+      options.onBookmark?.(bookmark);
+      
+      // Log progress
+      const withLinks = bookmarks.filter(b => b.all_links.length > 0).length;
+      const withGitHub = bookmarks.filter(b => b.github_url).length;
+      logger.info(`Status: ${bookmarks.length} processed, ${withLinks} with links, ${withGitHub} with GitHub links`);
+    }
+  };
+  
   try {
+    // Every page navigated from here on, the worker pages included, gets the DOM helpers
+    await context.addInitScript(installTweetDomHelpers);
+    
     // Navigate to bookmarks page
     logger.info('Navigating to Twitter bookmarks page...');
     try {
@@ -160,225 +339,82 @@ export async function scrapeBookmarks(browserObj, config) {
     }
     
     // Process bookmarks immediately as we find them
-    logger.info('Starting to process bookmarks...');
+    logger.info(`Starting to process bookmarks in ${config.deep ? 'deep (visiting each tweet)' : 'fast (timeline only)'} mode...`);
+    if (config.thread) {
+      logger.info('Unrolling the author\'s thread for each bookmark');
+    }
+    if (config.capture === 'graphql') {
+      logger.info('Capturing bookmarks from GraphQL responses');
+    }
+    logger.info(`Processing up to ${config.concurrency} bookmarks and ${config.linkConcurrency} links at a time`);
+    
+    // Tweets already handed to a worker
+    const processedUrls = new Set();
     
     while (!reachedEnd && 
+           !reachedKnown &&
            (config.limit === 0 || processedCount < config.limit) && 
            scrollCount < config.maxScrolls &&
            consecutiveEmptyScrolls < MAX_CONSECUTIVE_EMPTY_SCROLLS) {
       
-      // Get tweet links currently visible on the page
-      const visibleTweetLinks = await page.evaluate(() => {
-        // Performance improvement: Use Set for automatic deduplication during collection
-        const linkSet = new Set();
-        document.querySelectorAll('a[href*="/status/"]').forEach(link => {
-          // Cast to HTMLAnchorElement to access href property
-          const anchor = link;
-          if (anchor instanceof HTMLAnchorElement && 
-              anchor.href && 
-              anchor.href.includes('/status/') && 
-              !anchor.href.includes('/analytics')) {
-            linkSet.add(anchor.href);
-          }
-        });
-        return Array.from(linkSet);
-      });
-      
-      logger.debug(`Found ${visibleTweetLinks.length} tweet links on current screen`);
+      // Read the bookmarked tweets loaded so far (captured responses) or currently rendered
+      /** @type {Array<TimelineTweet|import('./graphql.js').GraphqlTweet>} */
+      const visibleTweets = config.capture === 'graphql'
+        ? Array.from(capturedTweets.values())
+        : await extractTimelineTweets(page);
       
-      // Performance improvement: Create a Set of processed URLs for faster lookups
-      const processedUrls = new Set(bookmarks.map(b => b.tweet_url));
+      logger.debug(`Found ${visibleTweets.length} tweets on current screen`);
       
       // Process each unprocessed bookmark
       let processedAny = false;
-      for (const tweetUrl of visibleTweetLinks) {
+      for (const timelineTweet of visibleTweets) {
+        const tweetUrl = timelineTweet.tweet_url;
+        
         // Skip if we've already processed this tweet or reached the limit
         if (processedUrls.has(tweetUrl) || 
             (config.limit > 0 && processedCount >= config.limit)) {
           continue;
         }
         
-        processedCount++;
-        processedAny = true;
-        logger.info(`Processing bookmark ${processedCount}${config.limit > 0 ? '/' + config.limit : ''}: ${tweetUrl}`);
-        
-        // Create a new bookmark object
-        const bookmark = {
-          tweet_url: tweetUrl,
-          username: null,
-          tweet_text: null,
-          github_url: null, // Keep for backward compatibility
-          all_links: /** @type {Array<string>} */([]), // Store all redirected links
-          scraped_at: new Date().toISOString()
-        };
+        // Skip tweets already finished before a resumed run was interrupted
+        if (skipUrls.has(tweetKey(tweetUrl))) {
+          continue;
+        }
         
-        try {
-          // Extract username from the bookmark on the bookmarks page if possible
-          const tweetElement = await page.$(`a[href="${tweetUrl}"]`).then(
-            a => a ? a.evaluate(el => el.closest('article[data-testid="tweet"]')) : null
-          );
-          
-          if (tweetElement) {
-            const username = await page.evaluate(el => {
-              const usernameEl = el.querySelector('div[data-testid="User-Name"] a:nth-child(2)');
-              return usernameEl && usernameEl.textContent ? usernameEl.textContent.trim() : null;
-            }, tweetElement);
-            
-            if (username) {
-              bookmark.username = username.startsWith('@') ? username : `@${username}`;
-            }
-          }
-          
-          // Visit the tweet to find replies and extract GitHub links
-          logger.info(`Visiting tweet: ${tweetUrl}`);
-          await page.goto(tweetUrl, { 
-            waitUntil: 'domcontentloaded',
-            timeout: Math.min(config.timeout / 2, 15000) // Significantly reduced timeout
-          });
-          
-          // Wait for the page to load (reduced timeouts)
-          await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
-          await page.waitForTimeout(500); // Further reduced from 1000
-          
-          // Try to get username if we couldn't get it from the bookmarks page
-          if (!bookmark.username) {
-            try {
-              const username = await page.evaluate(() => {
-                const usernameEl = document.querySelector('div[data-testid="User-Name"] a:nth-child(2)');
-                return usernameEl && usernameEl.textContent ? usernameEl.textContent.trim() : null;
-              });
-              
-              if (username) {
-                bookmark.username = username.startsWith('@') ? username : `@${username}`;
-              }
-            } catch (e) {
-              logger.debug(`Error getting username: ${e.message}`);
-            }
+        // Skip tweets saved by a previous run and stop once we hit a run of them
+        if (knownUrls.has(tweetKey(tweetUrl))) {
+          if (!seenKnownUrls.has(tweetUrl)) {
+            seenKnownUrls.add(tweetUrl);
+            knownStreak++;
+            logger.debug(`Skipping already-saved bookmark (${knownStreak}/${config.knownStreak}): ${tweetUrl}`);
           }
-          
-          // Wait a bit longer for the content to fully load (reduced significantly)
-          await page.waitForTimeout(1000);
-          
-          // Try to load more replies if there's a "Show more replies" button (with reduced wait time)
-          try {
-            const showMoreButton = await page.$('div[role="button"]:has-text("Show more replies")');
-            if (showMoreButton) {
-              logger.debug('Found "Show more replies" button, clicking it');
-              await showMoreButton.click();
-              await page.waitForTimeout(1000); // Reduced from 3000
-            }
-          } catch (e) {
-            logger.debug('No "Show more replies" button found or error clicking it');
-          }
-          
-          if (config.debug) {
-            await page.screenshot({ path: `tweet-${processedCount}-loaded.png` });
-          }
-          
-          // Check ALL tweets on the page (not just the first reply)
-          const allTweets = await page.$$('article[data-testid="tweet"], div[data-testid="cellInnerDiv"]');
-          logger.info(`Found ${allTweets.length} tweet elements on the page`);
-          
-          if (allTweets.length === 0) {
-            logger.warn('No tweets found on the page - this is unusual');
-            bookmarks.push(bookmark);
-            continue;
-          }
-          
-          // Track if we found a GitHub link
-          let foundGitHubLink = false;
-          let linksChecked = 0;
-          
-          // Performance improvement: Use Set for automatic deduplication
-          const finalUrlsSet = new Set();
-          
-          // Check each tweet for links - similar to test-tco-links.js approach
-          for (const tweetElement of allTweets) {
-            // Find ALL links in this tweet element
-            const allLinks = await tweetElement.$$('a[href]');
-            
-            if (allLinks.length > 0) {
-              logger.debug(`Found ${allLinks.length} links in tweet element`);
-              
-              // Process each link
-              for (const link of allLinks) {
-                try {
-                  const href = await link.getAttribute('href');
-                  
-                  // Skip common Twitter-internal links and analytics
-                  if (!href || 
-                      href.startsWith('#') || 
-                      href === '/' || 
-                      href.includes('/search?') ||
-                      href.includes('/i/lists/') ||
-                      href.includes('/i/topics/') ||
-                      href.endsWith('/analytics')) {
-                    logger.debug(`Skipping Twitter internal link: ${href}`);
-                    continue;
-                  }
-                  
-                  linksChecked++;
-                  logger.info(`Processing link #${linksChecked}: ${href}`);
-                  
-                  // Follow the link to see where it redirects
-                  try {
-                    await redirectPage.goto(href, {
-                      waitUntil: 'domcontentloaded',
-                      timeout: Math.min(config.timeout / 2, 15000)
-                    });
-                    
-                    // Get the final URL after all redirects
-                    const finalUrl = redirectPage.url();
-                    logger.info(`Link redirected to: ${finalUrl}`);
-                    
-                    // Add to finalUrls set
-                    finalUrlsSet.add(finalUrl);
-                    
-                    // Also set github_url if it's a GitHub link
-                    if (finalUrl.includes('github.com') && 
-                        !finalUrl.includes('github.com/login') && 
-                        !finalUrl.includes('github.com/signup')) {
-                      bookmark.github_url = finalUrl;
-                      logger.info(`Found GitHub link: ${finalUrl}`);
-                      foundGitHubLink = true;
-                      // We don't break here - continue to find all links
-                    }
-                  } catch (redirectError) {
-                    logger.debug(`Error following link: ${redirectError.message}`);
-                    // Skip links that can't be followed
-                  }
-                } catch (linkError) {
-                  logger.debug(`Error getting link attribute: ${linkError.message}`);
-                }
-              }
-            }
+          if (knownStreak >= config.knownStreak) {
+            logger.info(`Reached ${knownStreak} consecutive already-saved bookmarks, stopping incremental sync`);
+            reachedKnown = true;
+            break;
           }
-          
-          // Convert set to array
-          bookmark.all_links = Array.from(finalUrlsSet);
-          
-          logger.info(`Found ${bookmark.all_links.length} unique links in this tweet`);
-          logger.info(`Checked ${linksChecked} links in total. Found GitHub link: ${foundGitHubLink ? 'YES' : 'NO'}`);
-          
-        } catch (error) {
-          logger.error(`Error processing bookmark ${tweetUrl}:`, error);
+          continue;
         }
+        knownStreak = 0;
         
-        // Add the bookmark to our collection
-        bookmarks.push(bookmark);
+        processedCount++;
+        processedAny = true;
+        processedUrls.add(tweetUrl);
+        logger.info(`Processing bookmark ${processedCount}${config.limit > 0 ? '/' + config.limit : ''}: ${tweetUrl}`);
         
-        // Log progress
-        const withLinks = bookmarks.filter(b => b.all_links.length > 0).length;
-        const withGitHub = bookmarks.filter(b => b.github_url).length;
-        logger.info(`Status: ${processedCount} processed, ${withLinks} with links, ${withGitHub} with GitHub links`);
+        const sequence = processedCount;
+        const task = processTweet(timelineTweet, config, resolver, sequence)
+          .then(bookmark => {
+            finished.set(sequence, bookmark);
+            emitFinished();
+          })
+          .finally(() => inFlight.delete(task));
+        inFlight.add(task);
         
-        // Return to the bookmarks page to continue
-        logger.debug('Returning to bookmarks page...');
-        await page.goto(`${config.twitterBaseUrl}${config.bookmarksPath}`, { 
-          waitUntil: 'domcontentloaded',
-          timeout: Math.min(config.timeout / 2, 15000) // Reduced timeout
-        });
-        await page.waitForTimeout(500); // Further reduced from 1000
+        // Keep at most `concurrency` bookmarks in progress before reading further
+        while (inFlight.size >= config.concurrency) {
+          await Promise.race(inFlight);
+        }
         
         // If we've reached the limit, break out
         if (config.limit > 0 && processedCount >= config.limit) {
@@ -387,6 +423,10 @@ export async function scrapeBookmarks(browserObj, config) {
         }
       }
       
+      if (reachedKnown) {
+        break;
+      }
+      
       // Check if we processed any new bookmarks
       if (!processedAny) {
         consecutiveEmptyScrolls++;
@@ -424,6 +464,9 @@ export async function scrapeBookmarks(browserObj, config) {
       }
     }
     
+    // Let the bookmarks still in progress finish
+    await Promise.all(inFlight);
+    
     // Make a final pass to ensure all bookmarks have unique links
     const cleanedBookmarks = bookmarks.map(bookmark => {
       if (bookmark.all_links && bookmark.all_links.length > 0) {
@@ -449,11 +492,749 @@ export async function scrapeBookmarks(browserObj, config) {
     logger.error('Error scraping bookmarks:', error);
     throw error;
   } finally {
-    // Close the redirect page
-    if (redirectPage) {
-      await redirectPage.close().catch(() => {});
+    context.off('response', onResponse);
+    
+    // Close the worker pages
+    await resolver.pages.close();
+  }
+}
+
+/**
+ * Defines the DOM helpers shared by the page readers (extractTimelineTweets and readTweetPage)
+ * as `window.__twimineDom`. Runs in the browser as an init script of the context, so every
+ * page has them before the site's own scripts load.
+ * 
+ * @returns {void}
+ */
+function installTweetDomHelpers() {
+  // The handle is the User-Name span that starts with @
+  const handleIn = element => {
+    const userNameEl = element.querySelector('div[data-testid="User-Name"]');
+    if (!userNameEl) {
+      return null;
+    }
+    return Array.from(userNameEl.querySelectorAll('span'))
+      .map(span => (span.textContent || '').trim())
+      .find(text => /^@\w+$/.test(text)) || null;
+  };
+  
+  // Quoted tweets render as a clickable block with their own User-Name inside the article
+  const quoteOf = (element, article) => {
+    const block = element.closest('div[role="link"]');
+    return block && article.contains(block) && block.querySelector('div[data-testid="User-Name"]') ? block : null;
+  };
+  
+  // Text with emoji images as their characters and t.co links as their URL, which is
+  // replaced by the resolved URL later (innerText would show the truncated display URL)
+  const textOf = element => {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('img[alt]').forEach(img => img.replaceWith(img.getAttribute('alt') || ''));
+    clone.querySelectorAll('a[href]').forEach(link => {
+      if (link instanceof HTMLAnchorElement && link.hostname === 't.co') {
+        link.replaceWith(link.href);
+      }
+    });
+    return clone.textContent;
+  };
+  
+  window.__twimineDom = { handleIn, quoteOf, textOf };
+}
+
+/**
+ * Tweet data read straight from the bookmarks timeline
+ * @typedef {Object} TimelineTweet
+ * @property {string} tweet_url - Permalink of the tweet
+ * @property {string|null} username - Author handle including the @
+ * @property {string|null} display_name - Author display name
+ * @property {string|null} tweet_text - Visible text of the tweet, links as their t.co URL
+ * @property {string|null} created_at - ISO timestamp of the tweet
+ * @property {boolean} is_quote - Whether the tweet quotes another tweet
+ * @property {boolean} is_reply - Whether the tweet replies to another tweet
+ * @property {import('./graphql.js').Engagement} engagement - Counts from the tweet's action bar
+ * @property {Array<import('./graphql.js').TweetMedia>} media - Images and videos attached to the tweet
+ * @property {Array<PageLink>} links - External (mostly t.co) links in the tweet
+ */
+
+/**
+ * Reads author, text, timestamp, engagement counts, media and external links from every tweet
+ * rendered on the bookmarks timeline, without leaving the page
+ * 
+ * @param {import('playwright').Page} page - Playwright page showing the bookmarks timeline
+ * @returns {Promise<Array<TimelineTweet>>} Tweets in timeline order
+ */
+async function extractTimelineTweets(page) {
+  const tweets = await page.evaluate(() => {
+    const twitterHosts = ['twitter.com', 'www.twitter.com', 'mobile.twitter.com', 'x.com', 'www.x.com'];
+    const tweets = [];
+    
+    const { handleIn, quoteOf, textOf } = window.__twimineDom;
+    
+    document.querySelectorAll('article[data-testid="tweet"]').forEach(article => {
+      // The tweet's own timestamp links to its permalink (quoted tweets have no such link)
+      const timeEl = article.querySelector('a[href*="/status/"] time[datetime]');
+      const permalink = timeEl ? timeEl.closest('a') : null;
+      if (!permalink || !(permalink instanceof HTMLAnchorElement)) {
+        return;
+      }
+      
+      const username = handleIn(article);
+      const nameEl = article.querySelector('div[data-testid="User-Name"] a');
+      
+      const textEl = Array.from(article.querySelectorAll('div[data-testid="tweetText"]'))
+        .find(element => !quoteOf(element, article));
+      
+      // "Replying to @someone" sits above the text of replies
+      const isReply = Array.from(article.querySelectorAll('div')).some(div =>
+        div.firstChild && div.firstChild.nodeType === Node.TEXT_NODE &&
+        (div.firstChild.textContent || '').trim() === 'Replying to');
+      const isQuote = Array.from(article.querySelectorAll('div[role="link"]'))
+        .some(block => block.querySelector('div[data-testid="User-Name"]'));
+      
+      // The action bar sums up the counts, e.g. "87 replies, 203 reposts, 1520 likes, 48211 views"
+      const actionBar = article.querySelector('div[role="group"][aria-label]');
+      
+      // Attached images and videos; those of a quoted tweet belong to that tweet
+      const media = [];
+      article.querySelectorAll('div[data-testid="tweetPhoto"] img, div[data-testid="videoPlayer"] video').forEach(element => {
+        if (quoteOf(element, article)) {
+          return;
+        }
+        if (element instanceof HTMLImageElement) {
+          const alt = element.getAttribute('alt');
+          media.push({ type: 'photo', url: element.src, alt_text: alt && alt !== 'Image' ? alt : null });
+        } else if (element instanceof HTMLVideoElement) {
+          // GIFs play from video.twimg.com/tweet_video; other videos usually stream from blob: URLs
+          const src = element.currentSrc || element.src || '';
+          media.push({
+            type: src.includes('/tweet_video/') ? 'animated_gif' : 'video',
+            url: /^https?:/.test(src) ? src : null,
+            alt_text: element.getAttribute('aria-label') || null
+          });
+        }
+      });
+      
+      // External links in the text, card and quoted tweet; Twitter-internal links are skipped
+      const links = new Map();
+      article.querySelectorAll('a[href]').forEach(link => {
+        if (!(link instanceof HTMLAnchorElement) || !/^https?:/.test(link.href)) {
+          return;
+        }
+        if (twitterHosts.includes(new URL(link.href).hostname) || links.has(link.href)) {
+          return;
+        }
+        
+        const quote = quoteOf(link, article);
+        const quotePermalink = quote ? quote.querySelector('a[href*="/status/"]') : null;
+        links.set(link.href, {
+          href: link.href,
+          permalink: permalink.href,
+          author: username,
+          container: quote ? 'quote' : link.closest('div[data-testid="card.wrapper"]') ? 'card' : null,
+          quote_author: quote ? handleIn(quote) : null,
+          quote_url: quotePermalink instanceof HTMLAnchorElement ? quotePermalink.href : null
+        });
+      });
+      
+      tweets.push({
+        tweet_url: permalink.href,
+        username,
+        display_name: nameEl ? textOf(nameEl).trim() || null : null,
+        tweet_text: textEl ? textOf(textEl) : null,
+        created_at: timeEl.getAttribute('datetime'),
+        is_quote: isQuote,
+        is_reply: isReply,
+        engagement_label: actionBar ? actionBar.getAttribute('aria-label') : null,
+        media,
+        links: Array.from(links.values())
+      });
+    });
+    
+    return tweets;
+  });
+  
+  // Collapse /photo/N, /analytics and host variants to one URL per tweet
+  return tweets.map(({ engagement_label, ...tweet }) => ({
+    ...tweet,
+    tweet_url: canonicalTweetUrl(tweet.tweet_url),
+    engagement: parseEngagement(engagement_label),
+    media: tweet.media.map(item => item.type === 'photo' ? { ...item, url: largeImageUrl(item.url) } : item)
+  }));
+}
+
+/**
+ * Reads the engagement counts from the label of a tweet's action bar, such as
+ * "87 replies, 203 reposts, 1520 likes, 15 bookmarks, 48211 views"
+ * 
+ * @param {string|null} label - aria-label of the action bar
+ * @returns {import('./graphql.js').Engagement} Counts; counts missing from the label are zero
+ *   (Twitter leaves them out), except quotes and views, which the label may not carry at all
+ */
+function parseEngagement(label) {
+  if (!label) {
+    return { reply_count: null, retweet_count: null, like_count: null, quote_count: null, bookmark_count: null, view_count: null };
+  }
+  
+  // Twitter leaves zero counts out of the label
+  const engagement = { reply_count: 0, retweet_count: 0, like_count: 0, quote_count: null, bookmark_count: 0, view_count: null };
+  const fields = {
+    repl: 'reply_count',
+    repost: 'retweet_count',
+    retweet: 'retweet_count',
+    like: 'like_count',
+    bookmark: 'bookmark_count',
+    view: 'view_count'
+  };
+  for (const [, number, word] of label.matchAll(/(\d[\d,]*)\s+(repl|repost|retweet|like|bookmark|view)/gi)) {
+    engagement[fields[word.toLowerCase()]] = Number(number.replace(/,/g, ''));
+  }
+  return engagement;
+}
+
+/**
+ * Deep and thread modes: visits a bookmarked tweet to collect links from the tweet and its
+ * replies, and in thread mode scrolls through the author's thread, storing it on the bookmark
+ * 
+ * @param {import('playwright').Page} page - Playwright page object
+ * @param {BookmarkType} bookmark - Bookmark being processed (username is filled in if missing)
+ * @param {Config} config - Configuration options
+ * @param {number} processedCount - Number of the bookmark being processed, used for screenshots
+ * @returns {Promise<Array<FoundLink>>} Links found on the tweet page with their source,
+ *   promoted tweets excluded
+ */
+async function mineTweetPage(page, bookmark, config, processedCount) {
+  // Visit the tweet to find replies and extract GitHub links
+  logger.info(`Visiting tweet: ${bookmark.tweet_url}`);
+  await page.goto(bookmark.tweet_url, { 
+    waitUntil: 'domcontentloaded',
+    timeout: Math.min(config.timeout / 2, 15000) // Significantly reduced timeout
+  });
+  
+  // Wait for the page to load (reduced timeouts)
+  await page.waitForLoadState('networkidle', { timeout: 5000 }).catch(() => {});
+  await page.waitForTimeout(500); // Further reduced from 1000
+  
+  // Try to get username if we couldn't get it from the bookmarks page
+  if (!bookmark.username) {
+    try {
+      const username = await page.evaluate(() => {
+        const usernameEl = document.querySelector('div[data-testid="User-Name"] a:nth-child(2)');
+        return usernameEl && usernameEl.textContent ? usernameEl.textContent.trim() : null;
+      });
+      
+      if (username) {
+        bookmark.username = username.startsWith('@') ? username : `@${username}`;
+      }
+    } catch (e) {
+      logger.debug(`Error getting username: ${e.message}`);
     }
   }
+  
+  // Wait a bit longer for the content to fully load (reduced significantly)
+  await page.waitForTimeout(1000);
+  
+  // Try to load more replies if there's a "Show more replies" button (with reduced wait time)
+  try {
+    const showMoreButton = await page.$('div[role="button"]:has-text("Show more replies")');
+    if (showMoreButton) {
+      logger.debug('Found "Show more replies" button, clicking it');
+      await showMoreButton.click();
+      await page.waitForTimeout(1000); // Reduced from 3000
+    }
+  } catch (e) {
+    logger.debug('No "Show more replies" button found or error clicking it');
+  }
+  
+  if (config.debug) {
+    await page.screenshot({ path: `tweet-${processedCount}-loaded.png` });
+  }
+  
+  /** @type {Map<string, PageLink>} */
+  const pageLinks = new Map();
+  /** @type {Map<string, ThreadPart>} */
+  const thread = new Map();
+  let cellCount = 0;
+  let promotedSkipped = 0;
+  let quietRounds = 0;
+  let mainText = null;
+  
+  // Thread mode follows the author's self-reply chain to its end, reading the page after each
+  // scroll because the conversation view drops tweets that are far out of view
+  for (let round = 0; ; round++) {
+    const { cells, promotedCount } = await readTweetPage(page);
+    cellCount = Math.max(cellCount, cells.length);
+    promotedSkipped = Math.max(promotedSkipped, promotedCount);
+    
+    cells.forEach(cell => cell.links.forEach(link => {
+      const key = `${link.permalink}|${link.href}`;
+      if (!pageLinks.has(key)) {
+        pageLinks.set(key, link);
+      }
+    }));
+    
+    // The tweet page shows the full text that the timeline cuts off with "Show more"
+    const main = cells.find(cell => cell.tweet?.permalink &&
+      tweetIdFromUrl(cell.tweet.permalink) === tweetIdFromUrl(bookmark.tweet_url));
+    mainText = main?.tweet.text || mainText;
+    
+    if (!config.thread) {
+      break;
+    }
+    
+    const knownParts = thread.size;
+    threadParts(cells, bookmark, thread).forEach(part => thread.set(part.tweet_id, part));
+    const grew = thread.size > knownParts;
+    quietRounds = grew ? 0 : quietRounds + 1;
+    
+    if (quietRounds >= THREAD_QUIET_ROUNDS || round >= MAX_THREAD_SCROLLS) {
+      break;
+    }
+    
+    await expandThread(page);
+    const scroll = await smartScroll(page, config.scrollDelay);
+    if (!scroll.didScroll && !scroll.heightChanged && !grew) {
+      break;
+    }
+  }
+  
+  logger.info(`Found ${cellCount} tweet elements on the page`);
+  if (mainText && config.capture !== 'graphql') {
+    bookmark.tweet_text = mainText;
+  }
+  if (promotedSkipped > 0) {
+    logger.info(`Skipped ${promotedSkipped} promoted tweets`);
+  }
+  
+  if (config.thread) {
+    // Tweet ids grow over time, so sorting by id puts the thread in posting order
+    bookmark.thread = Array.from(thread.values())
+      .sort((a, b) => (BigInt(a.tweet_id) < BigInt(b.tweet_id) ? -1 : 1));
+    logger.info(`Unrolled thread of ${bookmark.thread.length} tweets`);
+  }
+  
+  if (cellCount === 0) {
+    logger.warn('No tweets found on the page - this is unusual');
+    return [];
+  }
+  
+  const threadIds = config.thread ? new Set(thread.keys()) : null;
+  
+  /** @type {Array<FoundLink>} */
+  const found = [];
+  
+  // Check each tweet for links - similar to test-tco-links.js approach
+  for (const link of pageLinks.values()) {
+    const { href } = link;
+    // Skip common Twitter-internal links and analytics
+    if (!href || 
+        href.startsWith('#') || 
+        href === '/' || 
+        href.includes('/search?') ||
+        href.includes('/i/lists/') ||
+        href.includes('/i/topics/') ||
+        href.endsWith('/analytics')) {
+      logger.debug(`Skipping Twitter internal link: ${href}`);
+      continue;
+    }
+    
+    found.push({ href, ...linkOrigin(link, bookmark, threadIds) });
+  }
+  
+  return found;
+}
+
+/**
+ * Reads the tweets and links rendered on a tweet page, cell by cell, skipping promoted tweets
+ * 
+ * @param {import('playwright').Page} page - Playwright page showing a tweet
+ * @returns {Promise<{cells: Array<PageCell>, promotedCount: number}>} Cells in page order and
+ *   the number of promoted cells skipped
+ */
+function readTweetPage(page) {
+  return page.evaluate(() => {
+    // Ads injected into the conversation carry an "Ad"/"Promoted" label outside the tweet
+    // text, or wrap the whole tweet in a placementTracking container (videos in ordinary
+    // tweets use the same test id, but inside the article)
+    const isPromoted = cell => {
+      if (cell.querySelector('div[data-testid="placementTracking"] article[data-testid="tweet"]')) {
+        return true;
+      }
+      return Array.from(cell.querySelectorAll('span')).some(span =>
+        span.children.length === 0 &&
+        !span.closest('div[data-testid="tweetText"]') &&
+        /^(Ad|Promoted)$/.test((span.textContent || '').trim()));
+    };
+    
+    const { handleIn, quoteOf, textOf } = window.__twimineDom;
+    
+    const cellElements = Array.from(document.querySelectorAll('div[data-testid="cellInnerDiv"]'));
+    const containers = cellElements.length > 0
+      ? cellElements
+      : Array.from(document.querySelectorAll('article[data-testid="tweet"]'));
+    
+    let promotedCount = 0;
+    const cells = [];
+    for (const cell of containers) {
+      if (isPromoted(cell)) {
+        promotedCount++;
+        continue;
+      }
+      
+      const links = Array.from(cell.querySelectorAll('a[href]')).map(link => {
+        // The tweet's own timestamp links to its permalink
+        const article = link.closest('article[data-testid="tweet"]');
+        const timeEl = article ? article.querySelector('a[href*="/status/"] time[datetime]') : null;
+        const permalink = timeEl ? timeEl.closest('a') : null;
+        const quote = article ? quoteOf(link, article) : null;
+        const quotePermalink = quote ? quote.querySelector('a[href*="/status/"]') : null;
+        return {
+          href: link.getAttribute('href'),
+          permalink: permalink instanceof HTMLAnchorElement ? permalink.href : null,
+          author: article ? handleIn(article) : null,
+          container: quote ? 'quote' : link.closest('div[data-testid="card.wrapper"]') ? 'card' : null,
+          quote_author: quote ? handleIn(quote) : null,
+          quote_url: quotePermalink instanceof HTMLAnchorElement ? quotePermalink.href : null
+        };
+      });
+      
+      // The tweet in the cell, for following the author's thread
+      const article = cell.matches('article[data-testid="tweet"]') ? cell : cell.querySelector('article[data-testid="tweet"]');
+      let tweet = null;
+      if (article) {
+        const timeEl = article.querySelector('a[href*="/status/"] time[datetime]');
+        const permalink = timeEl ? timeEl.closest('a') : null;
+        const textEl = Array.from(article.querySelectorAll('div[data-testid="tweetText"]'))
+          .find(element => !quoteOf(element, article));
+        tweet = {
+          permalink: permalink instanceof HTMLAnchorElement ? permalink.href : null,
+          author: handleIn(article),
+          text: textEl ? textOf(textEl) : null,
+          created_at: timeEl ? timeEl.getAttribute('datetime') : null
+        };
+      }
+      
+      cells.push({ tweet, links });
+    }
+    
+    return { cells, promotedCount };
+  });
+}
+
+/**
+ * Finds the parts of the author's thread among the cells read from a tweet page: runs of
+ * consecutive tweets by the bookmarked author that contain the bookmarked tweet or a part
+ * already found (a reply by someone else ends a run)
+ * 
+ * @param {Array<PageCell>} cells - Cells in page order
+ * @param {BookmarkType} bookmark - Bookmarked tweet
+ * @param {Map<string, ThreadPart>} known - Thread parts found so far, by tweet id
+ * @returns {Array<ThreadPart>} Thread parts among the cells
+ */
+function threadParts(cells, bookmark, known) {
+  const mainId = tweetIdFromUrl(bookmark.tweet_url);
+  const author = bookmark.username ? bookmark.username.toLowerCase() : null;
+  
+  const runs = [[]];
+  for (const { tweet } of cells) {
+    if (!tweet) {
+      continue;
+    }
+    const tweetId = tweet.permalink ? tweetIdFromUrl(tweet.permalink) : null;
+    const byAuthor = tweetId && (tweetId === mainId || (author && tweet.author?.toLowerCase() === author));
+    if (!byAuthor) {
+      runs.push([]);
+      continue;
+    }
+    runs[runs.length - 1].push({
+      tweet_id: tweetId,
+      tweet_url: canonicalTweetUrl(tweet.permalink),
+      text: tweet.text,
+      created_at: tweet.created_at
+    });
+  }
+  
+  return runs
+    .filter(run => run.some(part => part.tweet_id === mainId || known.has(part.tweet_id)))
+    .flat();
+}
+
+/**
+ * Clicks the buttons that reveal hidden parts of a conversation ("Show replies",
+ * "Show more replies")
+ * 
+ * @param {import('playwright').Page} page - Playwright page showing a tweet
+ * @returns {Promise<void>}
+ */
+async function expandThread(page) {
+  try {
+    const buttons = await page.$$('div[role="button"]:has-text("Show replies"), div[role="button"]:has-text("Show more replies")');
+    for (const button of buttons) {
+      await button.click().catch(() => {});
+    }
+    if (buttons.length > 0) {
+      logger.debug(`Expanded ${buttons.length} collapsed replies`);
+      await page.waitForTimeout(1000);
+    }
+  } catch (e) {
+    logger.debug(`Error expanding replies: ${e.message}`);
+  }
+}
+
+/**
+ * Builds the bookmark for one tweet, mining its page in deep mode and resolving its links
+ * 
+ * @param {TimelineTweet|import('./graphql.js').GraphqlTweet} timelineTweet - Tweet read from the timeline
+ * @param {Config} config - Configuration options
+ * @param {LinkResolver} resolver - Shared link resolution state
+ * @param {number} processedCount - Position of the bookmark in this run (used in debug file names)
+ * @returns {Promise<BookmarkType>} Finished bookmark (errors are logged, never thrown)
+ */
+async function processTweet(timelineTweet, config, resolver, processedCount) {
+  // Create a new bookmark object from what the timeline already shows
+  /** @type {BookmarkType} */
+  const bookmark = {
+    tweet_url: timelineTweet.tweet_url,
+    username: timelineTweet.username,
+    display_name: timelineTweet.display_name,
+    tweet_text: timelineTweet.tweet_text,
+    created_at: timelineTweet.created_at,
+    is_quote: timelineTweet.is_quote,
+    is_reply: timelineTweet.is_reply,
+    ...timelineTweet.engagement,
+    github_url: null, // Keep for backward compatibility
+    github_repos: [], // Every distinct repository, deep links collapsed to the repo
+    all_links: [], // Store all redirected links
+    links: [], // Same links, tagged with their category
+    scraped_at: new Date().toISOString()
+  };
+  
+  bookmark.media = timelineTweet.media || [];
+  
+  try {
+    // GraphQL links are already expanded from t.co and need no redirect following
+    if ('tweet_id' in timelineTweet && config.linkSources.includes('main')) {
+      const origin = { source: 'main', source_tweet_id: timelineTweet.tweet_id, source_author: timelineTweet.username };
+      timelineTweet.links.forEach(url => recordLink(bookmark, url, config, origin));
+    }
+    
+    // Deep and thread modes visit the tweet page; fast mode uses the timeline links
+    /** @type {Array<FoundLink>} */
+    const found = config.deep || config.thread
+      ? await resolver.pages.use(tweetPage => mineTweetPage(tweetPage, bookmark, config, processedCount))
+      : 'tweet_id' in timelineTweet ? [] : timelineTweet.links.map(link => ({ href: link.href, ...linkOrigin(link, bookmark) }));
+    
+    // Only follow links from the sources asked for; replies by others are mined in deep mode only
+    const wanted = found.filter(link =>
+      config.linkSources.includes(link.source) && (config.deep || link.source !== 'reply'));
+    if (wanted.length < found.length) {
+      logger.debug(`Skipping ${found.length - wanted.length} links from excluded sources`);
+    }
+    
+    const resolved = await resolveLinks(wanted, bookmark, config, resolver);
+    
+    // Put the resolved URLs in place of the t.co links in the text
+    bookmark.tweet_text = expandLinks(bookmark.tweet_text, resolved);
+    bookmark.thread?.forEach(part => {
+      part.text = expandLinks(part.text, resolved);
+    });
+    
+    if (config.media && bookmark.media.length > 0) {
+      bookmark.media = await archiveMedia(bookmark.media, {
+        dir: config.mediaDir,
+        maxBytes: config.mediaMaxSize * 1024 * 1024,
+        skipVideo: config.skipVideo,
+        timeout: config.timeout,
+        userAgent: config.userAgent,
+        schedule: resolver.schedule
+      });
+    }
+  } catch (error) {
+    logger.error(`Error processing bookmark ${bookmark.tweet_url}:`, error);
+  }
+  
+  return bookmark;
+}
+
+/**
+ * Decides where a link on the tweet page came from: links in the bookmarked tweet belong to
+ * it, its card or the tweet it quotes; links in other tweets by the same author are part of
+ * their thread, and everything else is a reply
+ * 
+ * @param {PageLink} link - Link read from the page
+ * @param {BookmarkType} bookmark - Bookmark whose tweet page the link is on
+ * @param {Set<string>|null} [threadIds] - Ids of the unrolled thread (thread mode); the author's
+ *   tweets outside it are replies to other people
+ * @returns {{source: LinkSource, source_tweet_id: string|null, source_author: string|null}} Source of the link
+ */
+function linkOrigin(link, bookmark, threadIds = null) {
+  const tweetId = link.permalink ? tweetIdFromUrl(link.permalink) : null;
+  const origin = { source_tweet_id: tweetId, source_author: link.author };
+  
+  if (tweetId && tweetId === tweetIdFromUrl(bookmark.tweet_url)) {
+    if (link.container === 'quote') {
+      return {
+        source: 'quote',
+        source_tweet_id: link.quote_url ? tweetIdFromUrl(link.quote_url) : null,
+        source_author: link.quote_author
+      };
+    }
+    return { source: link.container === 'card' ? 'card' : 'main', ...origin };
+  }
+  
+  const sameAuthor = link.author && bookmark.username &&
+    link.author.toLowerCase() === bookmark.username.toLowerCase();
+  const inThread = sameAuthor && (!threadIds || threadIds.has(tweetId));
+  return { source: inThread ? 'thread' : 'reply', ...origin };
+}
+
+/**
+ * Follows each link to its final destination and records it on the bookmark
+ * 
+ * Links are resolved concurrently, within the resolver's limits, and recorded in the
+ * order they appear in the tweet.
+ * 
+ * @param {Array<FoundLink>} found - Links to follow
+ * @param {BookmarkType} bookmark - Bookmark to record the resolved links on
+ * @param {Config} config - Configuration options
+ * @param {LinkResolver} resolver - Shared link resolution state
+ * @returns {Promise<Map<string, string>>} Recorded URL of each link that could be followed
+ */
+async function resolveLinks(found, bookmark, config, resolver) {
+  const finalUrls = await Promise.all(found.map(({ href }, index) => {
+    logger.info(`Processing link #${index + 1}: ${href}`);
+    
+    // A link shared with a bookmark being processed right now is only followed once
+    if (!resolver.pending.has(href)) {
+      const resolution = resolver.limit(() => resolveLink(href, config, resolver))
+        .finally(() => resolver.pending.delete(href));
+      resolver.pending.set(href, resolution);
+    }
+    return resolver.pending.get(href);
+  }));
+  
+  /** @type {Map<string, string>} */
+  const resolved = new Map();
+  finalUrls.forEach((finalUrl, index) => {
+    if (finalUrl) {
+      const { href, ...origin } = found[index];
+      resolved.set(href, recordLink(bookmark, finalUrl, config, origin));
+    }
+  });
+  
+  logger.info(`Found ${bookmark.all_links.length} unique links in this tweet`);
+  logger.info(`Checked ${found.length} links in total. Found GitHub link: ${bookmark.github_url ? 'YES' : 'NO'}`);
+  
+  return resolved;
+}
+
+/**
+ * Replaces links in a tweet's text with the URLs they resolved to
+ * 
+ * @param {string|null} text - Tweet text
+ * @param {Map<string, string>} resolved - Resolved URL of each link
+ * @returns {string|null} Text with the links replaced
+ */
+function expandLinks(text, resolved) {
+  if (!text) {
+    return text;
+  }
+  let expanded = text;
+  for (const [href, url] of resolved) {
+    expanded = expanded.split(href).join(url);
+  }
+  return expanded;
+}
+
+/**
+ * Resolves a single link: from the cache, over HTTP, or in a browser page as a last resort
+ * 
+ * @param {string} href - Link to follow
+ * @param {Config} config - Configuration options
+ * @param {LinkResolver} resolver - Shared link resolution state
+ * @returns {Promise<string|null>} Final URL, or null if the link could not be followed
+ */
+async function resolveLink(href, config, resolver) {
+  const { linkCache } = resolver;
+  const timeout = Math.min(config.timeout / 2, 15000);
+  
+  const cached = linkCache?.get(href);
+  if (cached) {
+    logger.info(`Link redirected to: ${cached.final_url} (cached)`);
+    return cached.final_url;
+  }
+  
+  const result = await resolveUrl(href, {
+    maxRedirects: config.maxRedirects,
+    timeout,
+    userAgent: config.userAgent,
+    schedule: resolver.schedule
+  });
+  
+  if (!result.needsBrowser) {
+    logger.info(`Link redirected to: ${result.url}`);
+    linkCache?.set(href, { final_url: result.url, status: result.status, chain: result.chain });
+    return result.url;
+  }
+  
+  // Fall back to loading the link in the browser and reading where it ends up
+  try {
+    return await resolver.pages.use(async redirectPage => {
+      const response = await redirectPage.goto(result.url, {
+        waitUntil: 'domcontentloaded',
+        timeout
+      });
+      
+      // Get the final URL after all redirects
+      const finalUrl = redirectPage.url();
+      logger.info(`Link redirected to: ${finalUrl} (browser)`);
+      linkCache?.set(href, {
+        final_url: finalUrl,
+        status: response ? response.status() : null,
+        chain: [...new Set([...result.chain, finalUrl])]
+      });
+      return finalUrl;
+    });
+  } catch (redirectError) {
+    logger.debug(`Error following link: ${redirectError.message}`);
+    // Skip links that can't be followed
+    return null;
+  }
+}
+
+/**
+ * Records a final (already resolved) URL on the bookmark, normalized so tracking
+ * parameters and www./AMP variants do not count as different links
+ * 
+ * @param {BookmarkType} bookmark - Bookmark to record the link on
+ * @param {string} finalUrl - Final URL after all redirects
+ * @param {Config} config - Configuration options
+ * @param {{source: LinkSource, source_tweet_id: string|null, source_author: string|null}} origin - Where
+ *   the link appeared, kept so links can be weighed and audited
+ * @returns {string} The URL as recorded, after normalization
+ */
+function recordLink(bookmark, finalUrl, config, origin) {
+  const url = normalizeUrl(finalUrl, { trackingParams: config.trackingParams });
+  
+  if (!bookmark.all_links.includes(url)) {
+    bookmark.all_links.push(url);
+    
+    // Keep the URL as resolved for auditing when normalization changed it
+    const link = classifyLink(url);
+    bookmark.links.push({
+      ...link,
+      ...(url === finalUrl ? {} : { original_url: finalUrl }),
+      ...origin
+    });
+  }
+  
+  // Deep links (/blob/..., /issues/12, ?tab=readme) collapse to the repository they belong to
+  const repoUrl = githubRepoUrl(url);
+  if (repoUrl && !bookmark.github_repos.some(known => known.toLowerCase() === repoUrl.toLowerCase())) {
+    bookmark.github_repos.push(repoUrl);
+    bookmark.github_url = bookmark.github_url || repoUrl;
+    logger.info(`Found GitHub repo: ${repoUrl}`);
+  }
+  
+  return url;
 }
 
 /**
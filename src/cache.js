@@ -0,0 +1,211 @@
+/**
+ * @module cache
+ * @description TwiMine link cache: Remembers where each short link resolved to, with its
+ * HTTP status and redirect chain, so links seen in earlier runs (or earlier in the same run)
+ * are not followed again until the entry expires
+ */
+
+import fs from 'fs';
+import { logger } from './utils/logger.js';
+import { ensureOutputDir } from './utils/config.js';
+
+/**
+ * Version of the cache file layout, bumped when entries change shape
+ * @type {number}
+ */
+const CACHE_VERSION = 1;
+
+/**
+ * Milliseconds in a day, the unit of the cache TTL
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Cached resolution of a link
+ * @typedef {Object} CacheEntry
+ * @property {string} final_url - Final URL the link resolved to
+ * @property {number|null} status - HTTP status of the final response (null if resolved in the browser without one)
+ * @property {Array<string>} chain - Every URL visited, starting with the link itself
+ * @property {string} resolved_at - ISO timestamp of when the link was resolved
+ */
+
+/**
+ * Open link cache
+ * @typedef {Object} LinkCache
+ * @property {string} path - Path to the cache file
+ * @property {function(string): (CacheEntry|null)} get - Returns the unexpired entry for a link, if any
+ * @property {function(string, {final_url: string, status: number|null, chain: Array<string>}): void} set - Stores a resolution
+ * @property {function(): void} save - Writes the cache to disk if it changed
+ * @property {function(): {hits: number, misses: number}} stats - Lookups served from and missed by the cache this run
+ */
+
+/**
+ * Summary of a cache file, shown by --cache-info
+ * @typedef {Object} CacheInfo
+ * @property {string} path - Path to the cache file
+ * @property {boolean} exists - Whether the cache file exists
+ * @property {number} bytes - Size of the cache file
+ * @property {number} entries - Number of cached links
+ * @property {number} expired - Entries older than the TTL
+ * @property {string|null} oldest - Timestamp of the oldest entry
+ * @property {string|null} newest - Timestamp of the newest entry
+ * @property {Array<[string, number]>} topHosts - Most common destination hosts with their counts
+ */
+
+/**
+ * Reads the entries of a cache file
+ * 
+ * @param {string} cachePath - Path to the cache file
+ * @returns {Object<string, CacheEntry>} Entries keyed by link (empty if the file is missing or unreadable)
+ */
+function readEntries(cachePath) {
+  if (!fs.existsSync(cachePath)) {
+    return {};
+  }
+  
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (data?.version !== CACHE_VERSION || typeof data.entries !== 'object' || data.entries === null) {
+      logger.warn(`Ignoring link cache ${cachePath}: unknown format`);
+      return {};
+    }
+    return data.entries;
+  } catch (error) {
+    logger.warn(`Ignoring unreadable link cache ${cachePath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Check whether a cache entry is older than the TTL
+ * 
+ * @param {CacheEntry} entry - Cache entry
+ * @param {number} ttlDays - Time to live in days (0 = entries never expire)
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True if the entry has expired
+ */
+function isExpired(entry, ttlDays, now = Date.now()) {
+  if (!ttlDays) {
+    return false;
+  }
+  const resolvedAt = Date.parse(entry.resolved_at);
+  return isNaN(resolvedAt) || now - resolvedAt > ttlDays * DAY_MS;
+}
+
+/**
+ * Opens the link cache, dropping expired entries
+ * 
+ * @param {string} cachePath - Path to the cache file
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttlDays=30] - Days before an entry is resolved again (0 = never)
+ * @param {function(): number} [options.now=Date.now] - Clock returning the current time in milliseconds
+ * @returns {LinkCache} Cache handle
+ */
+export function openLinkCache(cachePath, { ttlDays = 30, now = Date.now } = {}) {
+  const entries = readEntries(cachePath);
+  let dirty = false;
+  let hits = 0;
+  let misses = 0;
+  
+  for (const [link, entry] of Object.entries(entries)) {
+    if (isExpired(entry, ttlDays, now())) {
+      delete entries[link];
+      dirty = true;
+    }
+  }
+  logger.debug(`Loaded ${Object.keys(entries).length} cached links from ${cachePath}`);
+  
+  return {
+    path: cachePath,
+    
+    get(link) {
+      const entry = Object.prototype.hasOwnProperty.call(entries, link) ? entries[link] : null;
+      if (entry && !isExpired(entry, ttlDays, now())) {
+        hits++;
+        return entry;
+      }
+      misses++;
+      return null;
+    },
+    
+    set(link, { final_url, status, chain }) {
+      entries[link] = { final_url, status, chain, resolved_at: new Date(now()).toISOString() };
+      dirty = true;
+    },
+    
+    save() {
+      if (!dirty) {
+        return;
+      }
+      try {
+        ensureOutputDir(cachePath);
+        fs.writeFileSync(cachePath, JSON.stringify({ version: CACHE_VERSION, entries }, null, 2), 'utf8');
+        dirty = false;
+        logger.debug(`Saved ${Object.keys(entries).length} cached links to ${cachePath}`);
+      } catch (error) {
+        logger.warn(`Could not save link cache ${cachePath}: ${error.message}`);
+      }
+    },
+    
+    stats() {
+      return { hits, misses };
+    }
+  };
+}
+
+/**
+ * Summarizes a cache file for --cache-info
+ * 
+ * @param {string} cachePath - Path to the cache file
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttlDays=30] - Days before an entry expires (0 = never)
+ * @param {function(): number} [options.now=Date.now] - Clock returning the current time in milliseconds
+ * @returns {CacheInfo} Cache summary
+ */
+export function describeLinkCache(cachePath, { ttlDays = 30, now = Date.now } = {}) {
+  const exists = fs.existsSync(cachePath);
+  const entries = Object.values(readEntries(cachePath));
+  const time = now();
+  
+  const hostCounts = new Map();
+  for (const entry of entries) {
+    try {
+      const host = new URL(entry.final_url).hostname;
+      hostCounts.set(host, (hostCounts.get(host) || 0) + 1);
+    } catch (e) {
+      // Entries with unparseable URLs are still counted, just not by host
+    }
+  }
+  
+  const timestamps = entries.map(entry => entry.resolved_at).filter(Boolean).sort();
+  
+  return {
+    path: cachePath,
+    exists,
+    bytes: exists ? fs.statSync(cachePath).size : 0,
+    entries: entries.length,
+    expired: entries.filter(entry => isExpired(entry, ttlDays, time)).length,
+    oldest: timestamps[0] || null,
+    newest: timestamps[timestamps.length - 1] || null,
+    topHosts: Array.from(hostCounts.entries()).sort((a, b) => b[1] - a[1]).slice(0, 10)
+  };
+}
+
+/**
+ * Deletes the cache file
+ * 
+ * @param {string} cachePath - Path to the cache file
+ * @returns {boolean} True if a cache file was deleted
+ */
+export function clearLinkCache(cachePath) {
+  try {
+    fs.unlinkSync(cachePath);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not remove link cache ${cachePath}: ${error.message}`);
+    }
+    return false;
+  }
+}
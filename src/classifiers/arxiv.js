@@ -0,0 +1,29 @@
+/**
+ * @module classifiers/arxiv
+ * @description Classifies arXiv paper links (abstract, PDF and HTML pages)
+ */
+
+/**
+ * Matches new-style (2401.12345v2) and old-style (cs/0112017v1) arXiv ids in a path
+ * @type {RegExp}
+ */
+const ARXIV_PATH_PATTERN = /^\/(?:abs|pdf|html)\/((?:\d{4}\.\d{4,5})|(?:[a-z-]+(?:\.[A-Z]{2})?\/\d{7}))(v\d+)?(?:\.pdf)?\/?$/;
+
+/** @type {import('./index.js').LinkClassifier} */
+export default {
+  category: 'arxiv',
+  
+  match(url) {
+    const host = url.hostname.replace(/^(www|export)\./, '');
+    if (host !== 'arxiv.org') {
+      return null;
+    }
+    
+    const match = url.pathname.match(ARXIV_PATH_PATTERN);
+    if (!match) {
+      return null;
+    }
+    
+    return { arxiv_id: match[1], version: match[2] ? match[2].slice(1) : null };
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * @module classifiers/github
+ * @description Classifies GitHub repository, issue, pull request, file and gist links
+ */
+
+import { parseGitHubUrl } from '../utils/github.js';
+
+/** @type {import('./index.js').LinkClassifier} */
+export default {
+  category: 'github',
+  
+  match(url) {
+    const host = url.hostname.replace(/^www\./, '');
+    
+    if (host === 'gist.github.com') {
+      const [owner, gistId] = url.pathname.split('/').filter(Boolean);
+      return gistId ? { kind: 'gist', owner, gist_id: gistId } : null;
+    }
+    
+    const parsed = parseGitHubUrl(url.href);
+    if (!parsed) {
+      return null;
+    }
+    
+    return { ...parsed, repo_url: `https://github.com/${parsed.owner}/${parsed.repo}` };
+  }
+};
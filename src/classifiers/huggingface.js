@@ -0,0 +1,40 @@
+/**
+ * @module classifiers/huggingface
+ * @description Classifies Hugging Face model, dataset, space and paper links
+ */
+
+/**
+ * Top-level Hugging Face paths that are site pages rather than model owners
+ * @type {string[]}
+ */
+const RESERVED_OWNERS = ['docs', 'blog', 'learn', 'models', 'tasks', 'collections', 'settings',
+  'login', 'join', 'pricing', 'organizations', 'posts', 'chat', 'enterprise', 'api'];
+
+/** @type {import('./index.js').LinkClassifier} */
+export default {
+  category: 'huggingface',
+  
+  match(url) {
+    const host = url.hostname.replace(/^www\./, '');
+    if (host !== 'huggingface.co' && host !== 'hf.co') {
+      return null;
+    }
+    
+    const parts = url.pathname.split('/').filter(Boolean);
+    
+    if (parts[0] === 'papers' && parts[1]) {
+      return { kind: 'paper', paper_id: parts[1] };
+    }
+    
+    if ((parts[0] === 'datasets' || parts[0] === 'spaces') && parts[1] && parts[2]) {
+      return { kind: parts[0] === 'datasets' ? 'dataset' : 'space', owner: parts[1], name: parts[2] };
+    }
+    
+    if (parts.length >= 2 && !RESERVED_OWNERS.includes(parts[0]) &&
+        parts[0] !== 'datasets' && parts[0] !== 'spaces') {
+      return { kind: 'model', owner: parts[0], name: parts[1] };
+    }
+    
+    return null;
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * @module classifiers
+ * @description TwiMine link classifiers: A registry of small rules that tag each resolved
+ * link with a category (GitHub, arXiv, Hugging Face, ...) and the fields parsed from its URL
+ */
+
+import github from './github.js';
+import arxiv from './arxiv.js';
+import huggingface from './huggingface.js';
+import youtube from './youtube.js';
+import npm from './npm.js';
+import pypi from './pypi.js';
+import substack from './substack.js';
+import medium from './medium.js';
+
+/**
+ * A link classification rule
+ * @typedef {Object} LinkClassifier
+ * @property {string} category - Category assigned to matching links
+ * @property {function(URL): (Object|null)} match - Returns the fields parsed from a matching
+ *   URL (an empty object if there are none), or null if the URL does not match
+ */
+
+/**
+ * A resolved link tagged with its category and parsed fields
+ * @typedef {Object} ClassifiedLink
+ * @property {string} url - The resolved URL
+ * @property {string} category - Category name, or 'other' when no rule matched
+ * @property {string} [original_url] - The URL as resolved, when normalization changed it
+ * @property {string} [source] - Where on the tweet page the link appeared (set when scraping):
+ *   main, thread, quote, card or reply
+ * @property {string|null} [source_tweet_id] - Id of the tweet the link appeared in
+ * @property {string|null} [source_author] - Handle of that tweet's author
+ */
+
+/**
+ * Category given to links that no classifier matches
+ * @type {string}
+ */
+export const OTHER_CATEGORY = 'other';
+
+/**
+ * Registered classifiers, tried in order until one matches
+ * @type {Array<LinkClassifier>}
+ */
+const registry = [github, arxiv, huggingface, youtube, npm, pypi, substack, medium];
+
+/**
+ * Adds a classifier to the registry
+ * 
+ * @param {LinkClassifier} classifier - Classifier to add
+ * @param {Object} [options] - Registration options
+ * @param {boolean} [options.first=false] - Try this classifier before the built-in ones
+ * @returns {void}
+ */
+export function registerClassifier(classifier, { first = false } = {}) {
+  if (!classifier || typeof classifier.category !== 'string' || typeof classifier.match !== 'function') {
+    throw new Error('A link classifier needs a category name and a match(url) function');
+  }
+  if (first) {
+    registry.unshift(classifier);
+  } else {
+    registry.push(classifier);
+  }
+}
+
+/**
+ * Classifies a single link
+ * 
+ * @param {string} url - Resolved URL
+ * @returns {ClassifiedLink} The link with its category and any parsed fields
+ */
+export function classifyLink(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { url, category: OTHER_CATEGORY };
+  }
+  
+  for (const classifier of registry) {
+    const fields = classifier.match(parsed);
+    if (fields) {
+      return { url, category: classifier.category, ...fields };
+    }
+  }
+  
+  return { url, category: OTHER_CATEGORY };
+}
+
+/**
+ * Classifies a list of links
+ * 
+ * @param {Array<string>} urls - Resolved URLs
+ * @returns {Array<ClassifiedLink>} Classified links in the same order
+ */
+export function classifyLinks(urls) {
+  return urls.map(classifyLink);
+}
+
+/**
+ * Returns the classified links of a bookmark. Records from older runs only have
+ * `all_links`; those are classified the same way new bookmarks are
+ * 
+ * @param {Object} bookmark - Bookmark with `links` or `all_links`
+ * @returns {Array<ClassifiedLink>} Classified links
+ */
+export function linksOf(bookmark) {
+  return bookmark.links || classifyLinks(bookmark.all_links || []);
+}
+
+/**
+ * Counts classified links per category
+ * 
+ * @param {Array<ClassifiedLink>} links - Classified links
+ * @returns {Object<string, number>} Number of links in each category
+ */
+export function countByCategory(links) {
+  const counts = {};
+  for (const link of links) {
+    counts[link.category] = (counts[link.category] || 0) + 1;
+  }
+  return counts;
+}
@@ -0,0 +1,34 @@
+/**
+ * @module classifiers/medium
+ * @description Classifies Medium article links on medium.com and its subdomains
+ */
+
+/**
+ * medium.com paths that are site pages rather than publications
+ * @type {string[]}
+ */
+const RESERVED_SECTIONS = ['m', 'me', 'tag', 'topics', 'search', 'plans', 'membership', 'about'];
+
+/** @type {import('./index.js').LinkClassifier} */
+export default {
+  category: 'medium',
+  
+  match(url) {
+    const host = url.hostname.replace(/^www\./, '');
+    const parts = url.pathname.split('/').filter(Boolean);
+    
+    // Publications and authors hosted on their own subdomain, e.g. netflixtechblog.medium.com/<slug>
+    if (host.endsWith('.medium.com')) {
+      return parts[0] ? { publication: host.slice(0, -'.medium.com'.length), slug: parts[0] } : null;
+    }
+    
+    if (host !== 'medium.com' || parts.length < 2 || RESERVED_SECTIONS.includes(parts[0])) {
+      return null;
+    }
+    
+    // medium.com/@author/<slug> or medium.com/<publication>/<slug>
+    return parts[0].startsWith('@')
+      ? { author: parts[0], slug: parts[1] }
+      : { publication: parts[0], slug: parts[1] };
+  }
+};
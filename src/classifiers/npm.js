@@ -0,0 +1,30 @@
+/**
+ * @module classifiers/npm
+ * @description Classifies npm package links
+ */
+
+/** @type {import('./index.js').LinkClassifier} */
+export default {
+  category: 'npm',
+  
+  match(url) {
+    const host = url.hostname.replace(/^www\./, '');
+    if (host !== 'npmjs.com') {
+      return null;
+    }
+    
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'package' || !parts[1]) {
+      return null;
+    }
+    
+    // Scoped packages span two path segments
+    const name = parts[1].startsWith('@') && parts[2] ? `${parts[1]}/${parts[2]}` : parts[1];
+    try {
+      return { package: decodeURIComponent(name) };
+    } catch (e) {
+      // Malformed percent-encoding: keep the name as it appears in the URL
+      return { package: name };
+    }
+  }
+};
@@ -0,0 +1,19 @@
+/**
+ * @module classifiers/pypi
+ * @description Classifies PyPI package links
+ */
+
+/** @type {import('./index.js').LinkClassifier} */
+export default {
+  category: 'pypi',
+  
+  match(url) {
+    const host = url.hostname.replace(/^www\./, '');
+    if (host !== 'pypi.org') {
+      return null;
+    }
+    
+    const [section, name] = url.pathname.split('/').filter(Boolean);
+    return section === 'project' && name ? { package: name } : null;
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * @module classifiers/substack
+ * @description Classifies Substack article links
+ */
+
+/** @type {import('./index.js').LinkClassifier} */
+export default {
+  category: 'substack',
+  
+  match(url) {
+    const host = url.hostname;
+    if (!host.endsWith('.substack.com') || host === 'www.substack.com') {
+      return null;
+    }
+    
+    const [section, slug] = url.pathname.split('/').filter(Boolean);
+    if (section !== 'p' || !slug) {
+      return null;
+    }
+    
+    return { publication: host.slice(0, -'.substack.com'.length), slug };
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * @module classifiers/youtube
+ * @description Classifies YouTube video links (watch, youtu.be, shorts, embed and live URLs)
+ */
+
+/** @type {import('./index.js').LinkClassifier} */
+export default {
+  category: 'youtube',
+  
+  match(url) {
+    const host = url.hostname.replace(/^(www|m|music)\./, '');
+    
+    let videoId = null;
+    if (host === 'youtu.be') {
+      videoId = url.pathname.split('/').filter(Boolean)[0] || null;
+    } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+      const [section, id] = url.pathname.split('/').filter(Boolean);
+      if (section === 'watch') {
+        videoId = url.searchParams.get('v');
+      } else if (['shorts', 'embed', 'live', 'v'].includes(section)) {
+        videoId = id || null;
+      }
+    } else {
+      return null;
+    }
+    
+    return videoId && /^[\w-]{11}$/.test(videoId) ? { video_id: videoId } : null;
+  }
+};
@@ -0,0 +1,389 @@
+/**
+ * @module database
+ * @description TwiMine SQLite storage: Keeps mined bookmarks in a database with tables for
+ * tweets, authors, links, link categories and runs, so a large shared archive can be queried
+ * with SQL and updated in place. Saving upserts tweets by id, and the bookmarks can be exported
+ * back in exactly the form JSON output has.
+ */
+
+import { logger } from './utils/logger.js';
+import { ensureOutputDir } from './utils/config.js';
+import { tweetKey } from './utils/urls.js';
+import { githubReposFromLinks } from './utils/github.js';
+import { linksOf } from './classifiers/index.js';
+
+/**
+ * Schema migrations, applied in order to databases whose `user_version` is older. Released
+ * migrations must never change; alter the schema by adding a new one.
+ * @type {Array<{version: number, description: string, sql: string}>}
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'tweets, authors, links, link categories and runs',
+    sql: `
+      CREATE TABLE authors (
+        id INTEGER PRIMARY KEY,
+        handle TEXT NOT NULL UNIQUE,
+        display_name TEXT
+      );
+      
+      CREATE TABLE link_categories (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE
+      );
+      
+      CREATE TABLE runs (
+        id INTEGER PRIMARY KEY,
+        saved_at TEXT NOT NULL,
+        source TEXT,
+        bookmarks INTEGER NOT NULL DEFAULT 0,
+        added INTEGER NOT NULL DEFAULT 0,
+        updated INTEGER NOT NULL DEFAULT 0
+      );
+      
+      CREATE TABLE tweets (
+        tweet_id TEXT PRIMARY KEY,
+        tweet_url TEXT NOT NULL,
+        author_id INTEGER REFERENCES authors(id),
+        tweet_text TEXT,
+        created_at TEXT,
+        is_quote INTEGER,
+        is_reply INTEGER,
+        reply_count INTEGER,
+        retweet_count INTEGER,
+        like_count INTEGER,
+        quote_count INTEGER,
+        bookmark_count INTEGER,
+        view_count INTEGER,
+        github_url TEXT,
+        thread TEXT,
+        media TEXT,
+        scraped_at TEXT,
+        first_run_id INTEGER REFERENCES runs(id),
+        last_run_id INTEGER REFERENCES runs(id)
+      );
+      CREATE INDEX tweets_author_id ON tweets(author_id);
+      CREATE INDEX tweets_created_at ON tweets(created_at);
+      
+      CREATE TABLE links (
+        tweet_id TEXT NOT NULL REFERENCES tweets(tweet_id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        category_id INTEGER NOT NULL REFERENCES link_categories(id),
+        original_url TEXT,
+        source TEXT,
+        source_tweet_id TEXT,
+        source_author TEXT,
+        details TEXT,
+        PRIMARY KEY (tweet_id, url)
+      );
+      CREATE INDEX links_category_id ON links(category_id);
+      CREATE INDEX links_url ON links(url);
+    `
+  }
+];
+
+/**
+ * Schema version of databases written by this version of TwiMine
+ * @type {number}
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Link fields stored in their own columns; anything else a classifier parsed (repository
+ * owner, arXiv id, ...) is kept as JSON in `links.details`
+ * @type {string[]}
+ */
+const LINK_FIELDS = ['url', 'category', 'original_url', 'source', 'source_tweet_id', 'source_author'];
+
+/**
+ * Tweet engagement counts, stored and exported as they are
+ * @type {string[]}
+ */
+const COUNT_FIELDS = ['reply_count', 'retweet_count', 'like_count', 'quote_count', 'bookmark_count', 'view_count'];
+
+/**
+ * Result of saving bookmarks to the database
+ * @typedef {Object} SaveResult
+ * @property {number} runId - Id of the run recorded for this save
+ * @property {Array<Object>} added - Bookmarks whose tweet was not in the database yet
+ * @property {Array<Object>} updated - Bookmarks that updated a tweet already in the database
+ */
+
+/**
+ * Open bookmark database handle
+ * @typedef {Object} BookmarkDatabase
+ * @property {string} path - Path to the database file
+ * @property {function(Array<Object>, {source?: string}=): SaveResult} saveBookmarks - Upserts
+ *   formatted bookmarks in one transaction and records the run
+ * @property {function(): Array<Object>} exportBookmarks - Returns every bookmark in the order
+ *   first saved, in the form JSON output has
+ * @property {function(): Set<string>} tweetIds - Returns the ids of the tweets saved
+ * @property {function(): void} close - Closes the database
+ */
+
+/**
+ * Loads the better-sqlite3 driver, which is an optional dependency
+ * 
+ * @returns {Promise<Function>} Database constructor
+ * @throws {Error} If the package is not installed
+ */
+async function loadDriver() {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error('SQLite storage needs the optional better-sqlite3 package: run npm install better-sqlite3');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Brings the schema of a database up to date by applying pending migrations in one transaction
+ * 
+ * @param {Object} db - better-sqlite3 database
+ * @param {string} dbPath - Path to the database file, for messages
+ * @throws {Error} If the database was written by a newer version of TwiMine
+ */
+function migrate(db, dbPath) {
+  const current = db.pragma('user_version', { simple: true });
+  if (current > SCHEMA_VERSION) {
+    throw new Error(`${dbPath} has schema version ${current}, newer than this version of TwiMine supports (${SCHEMA_VERSION})`);
+  }
+  
+  const pending = MIGRATIONS.filter(migration => migration.version > current);
+  if (pending.length === 0) {
+    return;
+  }
+  
+  db.transaction(() => {
+    for (const migration of pending) {
+      logger.info(`Migrating ${dbPath} to schema version ${migration.version}: ${migration.description}`);
+      db.exec(migration.sql);
+      db.pragma(`user_version = ${migration.version}`);
+    }
+  })();
+}
+
+/**
+ * Opens (creating if needed) a bookmark database and migrates it to the current schema
+ * 
+ * @param {string} dbPath - Path to the database file
+ * @returns {Promise<BookmarkDatabase>} Database handle
+ * @throws {Error} If better-sqlite3 is missing or the file is not a usable database
+ */
+export async function openDatabase(dbPath) {
+  const Database = await loadDriver();
+  ensureOutputDir(dbPath);
+  
+  const db = new Database(dbPath);
+  try {
+    db.pragma('foreign_keys = ON');
+    migrate(db, dbPath);
+  } catch (error) {
+    db.close();
+    throw error;
+  }
+  
+  const statements = {
+    insertRun: db.prepare('INSERT INTO runs (saved_at, source) VALUES (?, ?)'),
+    finishRun: db.prepare('UPDATE runs SET bookmarks = ?, added = ?, updated = ? WHERE id = ?'),
+    upsertAuthor: db.prepare(`
+      INSERT INTO authors (handle, display_name) VALUES (?, ?)
+      ON CONFLICT (handle) DO UPDATE SET display_name = COALESCE(excluded.display_name, display_name)
+      RETURNING id
+    `),
+    upsertCategory: db.prepare(`
+      INSERT INTO link_categories (name) VALUES (?)
+      ON CONFLICT (name) DO UPDATE SET name = excluded.name
+      RETURNING id
+    `),
+    tweetExists: db.prepare('SELECT 1 FROM tweets WHERE tweet_id = ?').pluck(),
+    // Later runs refresh what they saw; the first scrape time and first GitHub repository stay
+    upsertTweet: db.prepare(`
+      INSERT INTO tweets (tweet_id, tweet_url, author_id, tweet_text, created_at, is_quote, is_reply,
+        ${COUNT_FIELDS.join(', ')}, github_url, thread, media, scraped_at, first_run_id, last_run_id)
+      VALUES (@tweet_id, @tweet_url, @author_id, @tweet_text, @created_at, @is_quote, @is_reply,
+        ${COUNT_FIELDS.map(field => '@' + field).join(', ')}, @github_url, @thread, @media, @scraped_at, @run_id, @run_id)
+      ON CONFLICT (tweet_id) DO UPDATE SET
+        tweet_url = excluded.tweet_url,
+        author_id = COALESCE(excluded.author_id, author_id),
+        tweet_text = COALESCE(excluded.tweet_text, tweet_text),
+        created_at = COALESCE(excluded.created_at, created_at),
+        is_quote = COALESCE(excluded.is_quote, is_quote),
+        is_reply = COALESCE(excluded.is_reply, is_reply),
+        ${COUNT_FIELDS.map(field => `${field} = COALESCE(excluded.${field}, ${field})`).join(',\n        ')},
+        github_url = COALESCE(github_url, excluded.github_url),
+        thread = COALESCE(excluded.thread, thread),
+        media = COALESCE(excluded.media, media),
+        last_run_id = excluded.last_run_id
+    `),
+    lastLinkPosition: db.prepare('SELECT MAX(position) FROM links WHERE tweet_id = ?').pluck(),
+    insertLink: db.prepare(`
+      INSERT INTO links (tweet_id, position, url, category_id, original_url, source, source_tweet_id, source_author, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (tweet_id, url) DO NOTHING
+    `),
+    tweets: db.prepare(`
+      SELECT tweets.*, authors.handle, authors.display_name
+      FROM tweets LEFT JOIN authors ON authors.id = tweets.author_id
+      ORDER BY tweets.rowid
+    `),
+    links: db.prepare(`
+      SELECT links.*, link_categories.name AS category
+      FROM links JOIN link_categories ON link_categories.id = links.category_id
+      ORDER BY links.tweet_id, links.position
+    `),
+    tweetIds: db.prepare('SELECT tweet_id FROM tweets').pluck()
+  };
+  
+  /**
+   * Upserts one formatted bookmark and adds links the database does not have yet
+   * @param {Object} bookmark - Formatted bookmark
+   * @param {number} runId - Id of the current run
+   * @returns {boolean} True if the tweet was new
+   */
+  const saveBookmark = (bookmark, runId) => {
+    const tweetId = tweetKey(bookmark.tweet_url);
+    const isNew = !statements.tweetExists.get(tweetId);
+    const authorId = bookmark.username
+      ? statements.upsertAuthor.get(bookmark.username, bookmark.display_name ?? null).id
+      : null;
+    
+    statements.upsertTweet.run({
+      tweet_id: tweetId,
+      tweet_url: bookmark.tweet_url,
+      author_id: authorId,
+      tweet_text: bookmark.tweet_text ?? null,
+      created_at: bookmark.created_at ?? null,
+      is_quote: toInteger(bookmark.is_quote),
+      is_reply: toInteger(bookmark.is_reply),
+      ...Object.fromEntries(COUNT_FIELDS.map(field => [field, bookmark[field] ?? null])),
+      github_url: bookmark.github_url ?? null,
+      thread: bookmark.thread ? JSON.stringify(bookmark.thread) : null,
+      media: bookmark.media ? JSON.stringify(bookmark.media) : null,
+      scraped_at: bookmark.scraped_at ?? null,
+      run_id: runId
+    });
+    
+    const links = linksOf(bookmark);
+    let position = statements.lastLinkPosition.get(tweetId) ?? -1;
+    for (const link of links) {
+      const details = Object.fromEntries(Object.entries(link).filter(([field]) => !LINK_FIELDS.includes(field)));
+      const result = statements.insertLink.run(
+        tweetId,
+        position + 1,
+        link.url,
+        statements.upsertCategory.get(link.category).id,
+        link.original_url ?? null,
+        link.source ?? null,
+        link.source_tweet_id ?? null,
+        link.source_author ?? null,
+        Object.keys(details).length > 0 ? JSON.stringify(details) : null
+      );
+      position += result.changes;
+    }
+    
+    return isNew;
+  };
+  
+  return {
+    path: dbPath,
+    
+    saveBookmarks(bookmarks, { source = null } = {}) {
+      return db.transaction(() => {
+        const runId = Number(statements.insertRun.run(new Date().toISOString(), source).lastInsertRowid);
+        const added = [];
+        const updated = [];
+        for (const bookmark of bookmarks) {
+          (saveBookmark(bookmark, runId) ? added : updated).push(bookmark);
+        }
+        statements.finishRun.run(bookmarks.length, added.length, updated.length, runId);
+        return { runId, added, updated };
+      })();
+    },
+    
+    exportBookmarks() {
+      /** @type {Map<string, Array<Object>>} */
+      const linksByTweet = new Map();
+      for (const row of statements.links.all()) {
+        if (!linksByTweet.has(row.tweet_id)) {
+          linksByTweet.set(row.tweet_id, []);
+        }
+        linksByTweet.get(row.tweet_id).push(linkFromRow(row));
+      }
+      
+      return statements.tweets.all().map(row => {
+        const links = linksByTweet.get(row.tweet_id) || [];
+        const allLinks = links.map(link => link.url);
+        
+        // Same fields in the same order as JSON output
+        return {
+          username: row.handle ?? null,
+          display_name: row.display_name ?? null,
+          tweet_url: row.tweet_url,
+          tweet_text: row.tweet_text,
+          created_at: row.created_at,
+          is_quote: toBoolean(row.is_quote),
+          is_reply: toBoolean(row.is_reply),
+          ...Object.fromEntries(COUNT_FIELDS.map(field => [field, row[field]])),
+          github_url: row.github_url,
+          github_repos: githubReposFromLinks(allLinks),
+          all_links: allLinks,
+          links,
+          ...(row.thread !== null ? { thread: JSON.parse(row.thread) } : {}),
+          ...(row.media !== null ? { media: JSON.parse(row.media) } : {}),
+          scraped_at: row.scraped_at
+        };
+      });
+    },
+    
+    tweetIds() {
+      return new Set(statements.tweetIds.all());
+    },
+    
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Rebuilds a categorized link from its row, with its fields in the order scraping adds them
+ * 
+ * @param {Object} row - Row of the links table joined with its category name
+ * @returns {import('./classifiers/index.js').ClassifiedLink} Link
+ */
+function linkFromRow(row) {
+  return {
+    url: row.url,
+    category: row.category,
+    ...(row.details !== null ? JSON.parse(row.details) : {}),
+    ...(row.original_url !== null ? { original_url: row.original_url } : {}),
+    ...(row.source !== null
+      ? { source: row.source, source_tweet_id: row.source_tweet_id, source_author: row.source_author }
+      : {})
+  };
+}
+
+/**
+ * Stores a boolean flag as an SQLite integer
+ * 
+ * @param {boolean|null|undefined} value - Flag
+ * @returns {number|null} 1, 0 or null if unknown
+ */
+function toInteger(value) {
+  return value === null || value === undefined ? null : Number(Boolean(value));
+}
+
+/**
+ * Reads a boolean flag stored as an SQLite integer
+ * 
+ * @param {number|null} value - Stored flag
+ * @returns {boolean|null} The flag, or null if unknown
+ */
+function toBoolean(value) {
+  return value === null ? null : Boolean(value);
+}
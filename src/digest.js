@@ -0,0 +1,355 @@
+/**
+ * @module digest
+ * @description TwiMine digest export: Renders mined bookmarks as a readable Markdown document
+ * or a single self-contained HTML page, grouped by link category or by author. The same set
+ * of bookmarks always renders to the same file, whatever order they were scraped in.
+ */
+
+import { linksOf } from './classifiers/index.js';
+
+/**
+ * Ways a digest can be grouped
+ * @type {Array<string>}
+ */
+export const DIGEST_GROUPS = ['category', 'author'];
+
+/**
+ * Group of bookmarks that have no links (kept with `--include all`)
+ * @type {string}
+ */
+const NO_LINKS_GROUP = 'no links';
+
+/**
+ * Order links are listed in under a bookmark: the tweet itself first, replies last
+ * @type {Array<string>}
+ */
+const SOURCE_ORDER = ['main', 'card', 'quote', 'thread', 'reply'];
+
+/**
+ * Options for rendering a digest
+ * @typedef {Object} DigestOptions
+ * @property {string} [groupBy='category'] - Group by link category or by author
+ * @property {string} [title='TwiMine Bookmarks'] - Document title
+ */
+
+/**
+ * Bookmarks sharing a category or author
+ * @typedef {Object} DigestGroup
+ * @property {string} name - Category name or author handle
+ * @property {string} anchor - Fragment id of the group's heading
+ * @property {Array<Object>} bookmarks - Bookmarks in the group, newest first
+ */
+
+/**
+ * Renders bookmarks as a Markdown digest
+ * 
+ * @param {Array<Object>} bookmarks - Formatted bookmarks
+ * @param {DigestOptions} [options] - Digest options
+ * @returns {string} Markdown document
+ */
+export function renderMarkdown(bookmarks, { groupBy = 'category', title = 'TwiMine Bookmarks' } = {}) {
+  const groups = groupBookmarks(bookmarks, groupBy);
+  const lines = [
+    `# ${escapeMarkdown(title)}`,
+    '',
+    `${describeCounts(bookmarks)}, grouped by ${groupBy}.`,
+    ''
+  ];
+  
+  groups.forEach(group => lines.push(`- [${escapeMarkdown(group.name)}](#${group.anchor}) (${group.bookmarks.length})`));
+  
+  for (const group of groups) {
+    lines.push('', `<a id="${group.anchor}"></a>`, '', `## ${escapeMarkdown(group.name)}`);
+    
+    for (const bookmark of group.bookmarks) {
+      const date = tweetDate(bookmark);
+      lines.push('', `### ${escapeMarkdown(authorLabel(bookmark))}${date ? ` · ${date}` : ''}`, '');
+      
+      if (bookmark.tweet_text) {
+        bookmark.tweet_text.split('\n').forEach(line => lines.push(`> ${escapeMarkdown(line)}`.trimEnd()));
+        lines.push('');
+      }
+      
+      sortedLinks(bookmark).forEach(link => lines.push(`- [${escapeMarkdown(displayUrl(link.url))}](${markdownUrl(link.url)}) · ${linkTags(link)}`));
+      lines.push(`- [View tweet](${markdownUrl(bookmark.tweet_url)})`);
+    }
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders bookmarks as a single HTML page with its styles inlined, so it can be opened,
+ * mailed or hosted without any other file
+ * 
+ * @param {Array<Object>} bookmarks - Formatted bookmarks
+ * @param {DigestOptions} [options] - Digest options
+ * @returns {string} HTML document
+ */
+export function renderHtml(bookmarks, { groupBy = 'category', title = 'TwiMine Bookmarks' } = {}) {
+  const groups = groupBookmarks(bookmarks, groupBy);
+  
+  const sections = groups.map(group => {
+    const articles = group.bookmarks.map(bookmark => {
+      const date = tweetDate(bookmark);
+      const text = bookmark.tweet_text
+        ? `\n      <p class="text">${escapeHtml(bookmark.tweet_text).replace(/\n/g, '<br>')}</p>`
+        : '';
+      const links = sortedLinks(bookmark).map(link =>
+        `\n        <li><a href="${escapeHtml(link.url)}">${escapeHtml(displayUrl(link.url))}</a> <span class="tags">${escapeHtml(linkTags(link))}</span></li>`
+      ).join('');
+      
+      return `    <article>
+      <header><strong>${escapeHtml(authorLabel(bookmark))}</strong>${date ? ` <time datetime="${escapeHtml(bookmark.created_at)}">${date}</time>` : ''} <a class="tweet" href="${escapeHtml(bookmark.tweet_url)}">View tweet</a></header>${text}${links ? `\n      <ul>${links}\n      </ul>` : ''}
+    </article>`;
+    }).join('\n');
+    
+    return `  <section id="${group.anchor}">
+    <h2>${escapeHtml(group.name)} <span class="count">${group.bookmarks.length}</span></h2>
+${articles}
+  </section>`;
+  }).join('\n');
+  
+  const contents = groups.map(group =>
+    `    <li><a href="#${group.anchor}">${escapeHtml(group.name)}</a> (${group.bookmarks.length})</li>`
+  ).join('\n');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; color: #1f2328; line-height: 1.5; }
+  h2 { border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; margin-top: 2.5rem; }
+  .count, .tags, time { color: #656d76; font-size: .85em; font-weight: normal; }
+  article { border: 1px solid #d0d7de; border-radius: 6px; padding: .75rem 1rem; margin: 1rem 0; }
+  article header { display: flex; gap: .5rem; align-items: baseline; }
+  article .tweet { margin-left: auto; font-size: .85em; }
+  .text { white-space: normal; overflow-wrap: anywhere; }
+  ul { padding-left: 1.25rem; margin: .5rem 0 0; }
+  a { color: #0969da; overflow-wrap: anywhere; }
+</style>
+</head>
+<body>
+<main>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${describeCounts(bookmarks)}, grouped by ${escapeHtml(groupBy)}.</p>
+  <nav>
+    <ul>
+${contents}
+    </ul>
+  </nav>
+${sections}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Groups bookmarks by link category or author, in a fixed order: largest groups first,
+ * ties by name. A bookmark with links in several categories appears in each of them.
+ * 
+ * @param {Array<Object>} bookmarks - Formatted bookmarks
+ * @param {string} groupBy - 'category' or 'author'
+ * @returns {Array<DigestGroup>} Groups with their bookmarks sorted newest first
+ * @throws {Error} If groupBy is not a known grouping
+ */
+export function groupBookmarks(bookmarks, groupBy) {
+  if (!DIGEST_GROUPS.includes(groupBy)) {
+    throw new Error(`Invalid digest grouping: ${groupBy} (must be ${DIGEST_GROUPS.join(' or ')})`);
+  }
+  
+  /** @type {Map<string, {name: string, bookmarks: Array<Object>}>} */
+  const groups = new Map();
+  const add = (key, name, bookmark) => {
+    if (!groups.has(key)) {
+      groups.set(key, { name, bookmarks: [] });
+    }
+    const group = groups.get(key);
+    // Handles differing only in case share a group; pick its name independent of input order
+    if (compareStrings(name, group.name) < 0) {
+      group.name = name;
+    }
+    group.bookmarks.push(bookmark);
+  };
+  
+  for (const bookmark of bookmarks) {
+    if (groupBy === 'author') {
+      const handle = bookmark.username || '@unknown';
+      add(handle.toLowerCase(), handle, bookmark);
+      continue;
+    }
+    
+    const categories = [...new Set(sortedLinks(bookmark).map(link => link.category))];
+    if (categories.length === 0) {
+      add(NO_LINKS_GROUP, NO_LINKS_GROUP, bookmark);
+    }
+    categories.forEach(category => add(category, category, bookmark));
+  }
+  
+  const usedAnchors = new Set();
+  return Array.from(groups.entries())
+    .sort(([keyA, a], [keyB, b]) => b.bookmarks.length - a.bookmarks.length || compareStrings(keyA, keyB))
+    .map(([key, group]) => ({
+      name: group.name,
+      anchor: uniqueAnchor(key, usedAnchors),
+      bookmarks: group.bookmarks.slice().sort(compareBookmarks)
+    }));
+}
+
+/**
+ * Orders bookmarks newest first, undated ones last, ties by tweet URL
+ * 
+ * @param {Object} a - Bookmark
+ * @param {Object} b - Bookmark
+ * @returns {number} Sort order
+ */
+function compareBookmarks(a, b) {
+  const timeA = Date.parse(a.created_at);
+  const timeB = Date.parse(b.created_at);
+  if (!isNaN(timeA) || !isNaN(timeB)) {
+    if (isNaN(timeA)) {
+      return 1;
+    }
+    if (isNaN(timeB)) {
+      return -1;
+    }
+    if (timeA !== timeB) {
+      return timeB - timeA;
+    }
+  }
+  return compareStrings(a.tweet_url || '', b.tweet_url || '');
+}
+
+/**
+ * Compares strings by code point, independent of the machine's locale
+ * 
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Sort order
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Turns a group key into a fragment id that is unique within the document
+ * 
+ * @param {string} key - Group key
+ * @param {Set<string>} used - Anchors already taken
+ * @returns {string} Fragment id
+ */
+function uniqueAnchor(key, used) {
+  const base = key.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'group';
+  let anchor = base;
+  for (let i = 2; used.has(anchor); i++) {
+    anchor = `${base}-${i}`;
+  }
+  used.add(anchor);
+  return anchor;
+}
+
+/**
+ * Returns the classified links of a bookmark sorted by source and URL, since merging
+ * duplicate entries of a tweet collects them in whatever order the duplicates came in
+ * 
+ * @param {Object} bookmark - Formatted bookmark
+ * @returns {Array<import('./classifiers/index.js').ClassifiedLink>} Links in digest order
+ */
+export function sortedLinks(bookmark) {
+  const rank = link => SOURCE_ORDER.includes(link.source) ? SOURCE_ORDER.indexOf(link.source) : SOURCE_ORDER.length;
+  return linksOf(bookmark)
+    .slice()
+    .sort((a, b) => rank(a) - rank(b) || compareStrings(a.url, b.url));
+}
+
+/**
+ * Summarizes the number of bookmarks and links, e.g. "12 bookmarks with 30 links"
+ * 
+ * @param {Array<Object>} bookmarks - Formatted bookmarks
+ * @returns {string} Counts sentence
+ */
+function describeCounts(bookmarks) {
+  const links = bookmarks.reduce((total, bookmark) => total + linksOf(bookmark).length, 0);
+  return `${bookmarks.length} bookmark${bookmarks.length === 1 ? '' : 's'} with ${links} link${links === 1 ? '' : 's'}`;
+}
+
+/**
+ * Author handle with the display name when known, e.g. "Jane Doe (@jane)"
+ * 
+ * @param {Object} bookmark - Formatted bookmark
+ * @returns {string} Author label
+ */
+function authorLabel(bookmark) {
+  const handle = bookmark.username || '@unknown';
+  return bookmark.display_name ? `${bookmark.display_name} (${handle})` : handle;
+}
+
+/**
+ * Day the tweet was posted, in UTC so the digest does not depend on the machine's time zone
+ * 
+ * @param {Object} bookmark - Formatted bookmark
+ * @returns {string|null} YYYY-MM-DD, or null if the tweet has no timestamp
+ */
+function tweetDate(bookmark) {
+  const time = Date.parse(bookmark.created_at);
+  return isNaN(time) ? null : new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Category and source of a link, e.g. "github · thread"
+ * 
+ * @param {import('./classifiers/index.js').ClassifiedLink} link - Classified link
+ * @returns {string} Link tags
+ */
+function linkTags(link) {
+  return link.source ? `${link.category} · ${link.source}` : link.category;
+}
+
+/**
+ * Shortens a URL for display by dropping the scheme and a trailing slash
+ * 
+ * @param {string} url - URL
+ * @returns {string} Display text
+ */
+function displayUrl(url) {
+  return url.replace(/^https?:\/\//, '').replace(/\/$/, '');
+}
+
+/**
+ * Escapes the characters Markdown would treat as formatting or HTML
+ * 
+ * @param {string} text - Plain text
+ * @returns {string} Markdown-safe text
+ */
+function escapeMarkdown(text) {
+  return text.replace(/[\\`*_[\]<>#|]/g, '\\$&');
+}
+
+/**
+ * Makes a URL safe as a Markdown link target
+ * 
+ * @param {string} url - URL
+ * @returns {string} URL with parentheses and spaces percent-encoded
+ */
+function markdownUrl(url) {
+  return url.replace(/[()\s]/g, character => `%${character.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+}
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * 
+ * @param {string} text - Plain text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,167 @@
+/**
+ * @module filters
+ * @description TwiMine output filters: Decides which mined bookmarks are written to the output
+ * file, by inclusion policy (links only, GitHub only or everything) and by author, date range,
+ * link category or keyword, so one scrape can be split into several filtered files
+ */
+
+import { linksOf } from './classifiers/index.js';
+
+/**
+ * Inclusion policies: which bookmarks are kept before any other filter applies
+ * @type {Array<string>}
+ */
+export const INCLUDE_POLICIES = ['links-only', 'github-only', 'all'];
+
+/**
+ * Options for filtering bookmarks
+ * @typedef {Object} FilterOptions
+ * @property {string} [include='links-only'] - Inclusion policy: links-only keeps bookmarks with
+ *   links or archived media, github-only those with a GitHub repository, all keeps every bookmark
+ * @property {Array<string>} [authors] - Handles to keep, with or without the @ (any author if empty)
+ * @property {string|null} [since] - Keep tweets posted on or after this date
+ * @property {string|null} [until] - Keep tweets posted on or before this date (a plain date includes the whole day)
+ * @property {Array<string>} [categories] - Keep bookmarks with a link in one of these categories
+ * @property {Array<string>} [keywords] - Keep bookmarks whose text contains one of these words
+ */
+
+/**
+ * Milliseconds in a day, added to plain `--until` dates so the whole day is included
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a `--since`/`--until` date
+ * 
+ * @param {string|null|undefined} value - ISO date (2025-03-12) or timestamp
+ * @param {boolean} [endOfDay=false] - Move plain dates to the end of that day
+ * @returns {number|null} Milliseconds since the epoch, null if no date was given
+ * @throws {Error} If the date cannot be parsed
+ */
+export function parseFilterDate(value, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid date: ${value} (use YYYY-MM-DD or an ISO timestamp)`);
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value.trim()) ? time + DAY_MS - 1 : time;
+}
+
+/**
+ * Check whether any filter besides the default inclusion policy is set
+ * 
+ * @param {FilterOptions} options - Filter options
+ * @returns {boolean} True if bookmarks may be left out for reasons other than having no links
+ */
+export function hasFilters({ include = 'links-only', authors = [], since, until, categories = [], keywords = [] }) {
+  return include !== 'links-only' || authors.length > 0 || Boolean(since) || Boolean(until) ||
+    categories.length > 0 || keywords.length > 0;
+}
+
+/**
+ * Describes the active filters for logs and the summary, e.g.
+ * "include: github-only, author: @user123, since: 2025-01-01"
+ * 
+ * @param {FilterOptions} options - Filter options
+ * @returns {string} Comma-separated description
+ */
+export function describeFilters({ include = 'links-only', authors = [], since, until, categories = [], keywords = [] }) {
+  return [
+    `include: ${include}`,
+    authors.length > 0 ? `author: ${authors.join(', ')}` : null,
+    since ? `since: ${since}` : null,
+    until ? `until: ${until}` : null,
+    categories.length > 0 ? `category: ${categories.join(', ')}` : null,
+    keywords.length > 0 ? `keyword: ${keywords.join(', ')}` : null
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Keeps the bookmarks that pass the inclusion policy and every filter given
+ * 
+ * Filters of different kinds must all match; within one kind any value matches, so
+ * `--authors a,b --categories github` keeps GitHub links posted by either author.
+ * Bookmarks without a timestamp are left out when a date range is set.
+ * 
+ * @param {Array<Object>} bookmarks - Formatted bookmarks
+ * @param {FilterOptions} [options] - Filter options
+ * @returns {Array<Object>} Bookmarks that passed, in their original order
+ * @throws {Error} If the inclusion policy or a date is invalid
+ */
+export function filterBookmarks(bookmarks, options = {}) {
+  const { include = 'links-only', authors = [], categories = [], keywords = [] } = options;
+  if (!INCLUDE_POLICIES.includes(include)) {
+    throw new Error(`Invalid include policy: ${include} (must be ${INCLUDE_POLICIES.join(', ')})`);
+  }
+  
+  const since = parseFilterDate(options.since);
+  const until = parseFilterDate(options.until, true);
+  const handles = authors.map(handleKey);
+  const wantedCategories = categories.map(category => category.toLowerCase());
+  const words = keywords.map(keyword => keyword.toLowerCase());
+  
+  return bookmarks.filter(bookmark => {
+    if (!isIncluded(bookmark, include)) {
+      return false;
+    }
+    
+    if (handles.length > 0 && !handles.includes(handleKey(bookmark.username || ''))) {
+      return false;
+    }
+    
+    if (since !== null || until !== null) {
+      const created = Date.parse(bookmark.created_at);
+      if (isNaN(created) || (since !== null && created < since) || (until !== null && created > until)) {
+        return false;
+      }
+    }
+    
+    if (wantedCategories.length > 0) {
+      if (!linksOf(bookmark).some(link => wantedCategories.includes(link.category))) {
+        return false;
+      }
+    }
+    
+    if (words.length > 0) {
+      const text = [bookmark.tweet_text, ...(bookmark.thread || []).map(part => part.text)]
+        .filter(Boolean).join('\n').toLowerCase();
+      if (!words.some(word => text.includes(word))) {
+        return false;
+      }
+    }
+    
+    return true;
+  });
+}
+
+/**
+ * Applies the inclusion policy to one bookmark
+ * 
+ * @param {Object} bookmark - Formatted bookmark
+ * @param {string} include - Inclusion policy
+ * @returns {boolean} True if the policy keeps the bookmark
+ */
+function isIncluded(bookmark, include) {
+  switch (include) {
+    case 'all':
+      return true;
+    case 'github-only':
+      return Boolean(bookmark.github_url) || bookmark.github_repos?.length > 0;
+    default:
+      // Media is only written to the output when it was archived with --media
+      return Boolean(bookmark.github_url) || bookmark.all_links?.length > 0 || bookmark.media?.length > 0;
+  }
+}
+
+/**
+ * Normalizes a handle for comparison: lowercase, without the @
+ * 
+ * @param {string} handle - Handle with or without the @
+ * @returns {string} Comparable handle
+ */
+function handleKey(handle) {
+  return handle.trim().replace(/^@/, '').toLowerCase();
+}
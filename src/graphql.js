@@ -0,0 +1,246 @@
+/**
+ * @module graphql
+ * @description TwiMine GraphQL capture: Parses the Bookmarks GraphQL responses the bookmarks
+ * page already fetches, giving tweet ids, authors, full text, expanded URLs, media and
+ * timestamps without relying on brittle DOM selectors
+ */
+
+/**
+ * Media item attached to a tweet
+ * @typedef {Object} TweetMedia
+ * @property {string} type - Media type (photo, video or animated_gif)
+ * @property {string} url - Direct URL of the image, or the best video variant
+ * @property {string|null} alt_text - Alt text written by the author
+ */
+
+/**
+ * Engagement counts of a tweet (null when Twitter did not report one)
+ * @typedef {Object} Engagement
+ * @property {number|null} reply_count - Number of replies
+ * @property {number|null} retweet_count - Number of retweets (reposts)
+ * @property {number|null} like_count - Number of likes
+ * @property {number|null} quote_count - Number of quote tweets
+ * @property {number|null} bookmark_count - Number of bookmarks
+ * @property {number|null} view_count - Number of views
+ */
+
+/**
+ * Tweet parsed from a Bookmarks GraphQL response
+ * @typedef {Object} GraphqlTweet
+ * @property {string} tweet_id - Tweet id
+ * @property {string} tweet_url - Permalink of the tweet
+ * @property {string|null} username - Author handle including the @
+ * @property {string|null} display_name - Author display name
+ * @property {string|null} tweet_text - Full text of the tweet (long-form note text when present),
+ *   with t.co links replaced by the URLs they stand for and media links removed
+ * @property {string|null} created_at - ISO timestamp of the tweet
+ * @property {boolean} is_quote - Whether the tweet quotes another tweet
+ * @property {boolean} is_reply - Whether the tweet replies to another tweet
+ * @property {Engagement} engagement - Reply, retweet, like, quote, bookmark and view counts
+ * @property {Array<string>} links - Links to pages outside Twitter, already expanded from t.co
+ * @property {Array<TweetMedia>} media - Photos and videos attached to the tweet
+ */
+
+/**
+ * Hosts whose links point back into Twitter rather than to external content
+ * @type {string[]}
+ */
+const TWITTER_HOSTS = ['twitter.com', 'www.twitter.com', 'mobile.twitter.com', 'x.com', 'www.x.com'];
+
+/**
+ * Check whether a network response is one of the Bookmarks GraphQL timeline requests
+ * 
+ * @param {string} url - Response URL
+ * @returns {boolean} True for Bookmarks timeline responses
+ */
+export function isBookmarksResponse(url) {
+  return /\/graphql\/[^/]+\/Bookmark(s|FolderTimeline|SearchTimeline)(\?|$)/.test(url);
+}
+
+/**
+ * Extract the bookmarked tweets from a Bookmarks GraphQL response
+ * 
+ * @param {Object} json - Parsed response body
+ * @returns {Array<GraphqlTweet>} Tweets in timeline order (cursors and unavailable tweets are skipped)
+ */
+export function parseBookmarksResponse(json) {
+  const timeline = json?.data?.bookmark_timeline_v2?.timeline ||
+    json?.data?.bookmark_timeline?.timeline ||
+    json?.data?.bookmark_collection_timeline?.timeline ||
+    json?.data?.search_by_raw_query?.bookmarks_search_timeline?.timeline;
+  
+  if (!timeline || !Array.isArray(timeline.instructions)) {
+    return [];
+  }
+  
+  const tweets = [];
+  for (const instruction of timeline.instructions) {
+    const entries = instruction.entries || (instruction.entry ? [instruction.entry] : []);
+    for (const entry of entries) {
+      const itemContent = entry?.content?.itemContent;
+      if (!itemContent || itemContent.itemType !== 'TimelineTweet') {
+        continue;
+      }
+      
+      const tweet = parseTweetResult(itemContent.tweet_results?.result);
+      if (tweet) {
+        tweets.push(tweet);
+      }
+    }
+  }
+  
+  return tweets;
+}
+
+/**
+ * Convert a tweet result object into a GraphqlTweet
+ * 
+ * @param {Object} result - `tweet_results.result` from the response
+ * @returns {GraphqlTweet|null} Parsed tweet, or null for tombstones and unavailable tweets
+ */
+function parseTweetResult(result) {
+  // Tweets with limited visibility wrap the real tweet one level deeper
+  const tweet = result?.__typename === 'TweetWithVisibilityResults' ? result.tweet : result;
+  if (!tweet || !tweet.rest_id || !tweet.legacy) {
+    return null;
+  }
+  
+  const legacy = tweet.legacy;
+  const user = tweet.core?.user_results?.result;
+  const screenName = user?.core?.screen_name || user?.legacy?.screen_name || null;
+  const displayName = user?.core?.name || user?.legacy?.name || null;
+  
+  // Long tweets keep their full text and entities in a separate note
+  const note = tweet.note_tweet?.note_tweet_results?.result;
+  const text = note?.text ?? (legacy.full_text !== undefined ? decodeEntities(legacy.full_text) : null);
+  const urlEntities = note?.entity_set?.urls || legacy.entities?.urls || [];
+  
+  const links = [];
+  for (const entity of urlEntities) {
+    const url = entity.expanded_url || entity.url;
+    if (url && !isTwitterUrl(url) && !links.includes(url)) {
+      links.push(url);
+    }
+  }
+  
+  const mediaEntities = legacy.extended_entities?.media || legacy.entities?.media || [];
+  const media = mediaEntities.map(parseMedia).filter(Boolean);
+  
+  const createdAt = legacy.created_at ? new Date(legacy.created_at) : null;
+  const views = tweet.views?.count !== undefined ? Number(tweet.views.count) : NaN;
+  
+  return {
+    tweet_id: tweet.rest_id,
+    tweet_url: `https://x.com/${screenName || 'i/web'}/status/${tweet.rest_id}`,
+    username: screenName ? `@${screenName}` : null,
+    display_name: displayName,
+    tweet_text: text === null ? null : expandText(text, urlEntities, mediaEntities),
+    created_at: createdAt && !isNaN(createdAt.getTime()) ? createdAt.toISOString() : null,
+    is_quote: Boolean(legacy.is_quote_status),
+    is_reply: Boolean(legacy.in_reply_to_status_id_str),
+    engagement: {
+      reply_count: count(legacy.reply_count),
+      retweet_count: count(legacy.retweet_count),
+      like_count: count(legacy.favorite_count),
+      quote_count: count(legacy.quote_count),
+      bookmark_count: count(legacy.bookmark_count),
+      view_count: isNaN(views) ? null : views
+    },
+    links,
+    media
+  };
+}
+
+/**
+ * Replace the t.co links in a tweet's text with the URLs they stand for, and drop the
+ * links to attached media (the media is listed separately)
+ * 
+ * @param {string} text - Tweet text
+ * @param {Array<Object>} urlEntities - URL entities of the tweet
+ * @param {Array<Object>} mediaEntities - Media entities of the tweet
+ * @returns {string} Expanded text
+ */
+function expandText(text, urlEntities, mediaEntities) {
+  let expanded = text;
+  for (const entity of urlEntities) {
+    if (entity.url && entity.expanded_url) {
+      expanded = expanded.split(entity.url).join(entity.expanded_url);
+    }
+  }
+  for (const entity of mediaEntities) {
+    if (entity.url) {
+      expanded = expanded.split(entity.url).join('');
+    }
+  }
+  return expanded.trim();
+}
+
+/**
+ * Decode the HTML entities Twitter escapes in legacy tweet text
+ * 
+ * @param {string} text - Escaped text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read an engagement count from the response
+ * 
+ * @param {*} value - Count as reported (number, numeric string or missing)
+ * @returns {number|null} Count, or null if it is missing
+ */
+function count(value) {
+  const number = Number(value);
+  return value === undefined || value === null || isNaN(number) ? null : number;
+}
+
+/**
+ * Convert a media entity into a TweetMedia item
+ * 
+ * @param {Object} entity - Media entity from `extended_entities.media`
+ * @returns {TweetMedia|null} Media item, or null if it has no usable URL
+ */
+function parseMedia(entity) {
+  if (!entity) {
+    return null;
+  }
+  
+  let url = entity.media_url_https || entity.media_url || null;
+  
+  // Videos and GIFs: pick the highest bitrate MP4 variant
+  const variants = entity.video_info?.variants || [];
+  const mp4Variants = variants.filter(variant => variant.content_type === 'video/mp4');
+  if (mp4Variants.length > 0) {
+    mp4Variants.sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+    url = mp4Variants[0].url;
+  }
+  
+  if (!url) {
+    return null;
+  }
+  
+  return {
+    type: entity.type || 'photo',
+    url,
+    alt_text: entity.ext_alt_text || null
+  };
+}
+
+/**
+ * Check whether a URL points into Twitter itself (e.g. a quoted tweet permalink)
+ * 
+ * @param {string} url - URL to check
+ * @returns {boolean} True for twitter.com and x.com URLs
+ */
+function isTwitterUrl(url) {
+  try {
+    return TWITTER_HOSTS.includes(new URL(url).hostname);
+  } catch (e) {
+    return false;
+  }
+}
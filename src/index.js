@@ -10,9 +10,12 @@
 import { program } from 'commander';
 import { authenticateTwitter } from './auth.js';
 import { scrapeBookmarks } from './bookmarks.js';
-import { processOutput, generateSummary } from './output.js';
+import { processOutput, generateSummary, loadExistingTweetUrls, loadBookmarksFile, createBookmarkStream } from './output.js';
 import { logger, fatalError } from './utils/logger.js';
-import { loadConfig } from './utils/config.js';
+import { loadConfig, APPENDABLE_FORMATS } from './utils/config.js';
+import { createJournal, readJournal } from './journal.js';
+import { openLinkCache, describeLinkCache, clearLinkCache } from './cache.js';
+import { recordSeenTweets } from './seen.js';
 import env from './utils/env.js';
 
 // Log environment variables for debugging (hiding sensitive information)
@@ -20,10 +23,16 @@ logger.debug('Environment variables loaded. TWITTER_USERNAME exists: ' +
   (env.TWITTER_USERNAME ? 'Yes' : 'No'));
 logger.debug('Environment variables loaded. TWITTER_PASSWORD exists: ' + 
   (env.TWITTER_PASSWORD ? 'Yes' : 'No'));
+logger.debug('Environment variables loaded. TWITTER_TOTP_SECRET exists: ' + 
+  (env.TWITTER_TOTP_SECRET ? 'Yes' : 'No'));
 
 // Global variables to track execution
 /** @type {import('playwright').Browser|null} */
 let browser = null;
+/** @type {import('./journal.js').Journal|null} */
+let journal = null;
+/** @type {import('./cache.js').LinkCache|null} */
+let linkCache = null;
 
 /**
  * Clean up resources when process is terminated
@@ -34,6 +43,12 @@ async function cleanupResources() {
   if (browser) {
     await browser.close().catch(e => logger.debug('Error closing browser on SIGINT:', e.message));
   }
+  if (linkCache) {
+    linkCache.save();
+  }
+  if (journal) {
+    logger.info(`Progress saved to ${journal.path} - run again with --resume to continue`);
+  }
   process.exit(0);
 }
 
@@ -55,15 +70,57 @@ async function main() {
       .version('1.0.0')
       .option('-u, --username <username>', 'Twitter username or email')
       .option('-p, --password <password>', 'Twitter password')
-      .option('-o, --output <file>', 'Output JSON file', 'bookmarks.json')
+      .option('-o, --output <file>', 'Output file: .json, .ndjson, .db, .md, .html, .csv or .tsv', 'bookmarks.json')
       .option('-a, --append', 'Append to existing output file', false)
+      .option('--format <format>', 'Output format: "json", "ndjson", "sqlite", "markdown", "html", "netscape" (browser bookmarks), "csv" or "tsv" (default: from the output file extension)')
+      .option('--columns <list>', 'Comma-separated columns of CSV and TSV output (default: username,tweet_url,url,category,scraped_at)',
+        value => value.split(',').map(column => column.trim()).filter(Boolean))
+      .option('--group-by <field>', 'Group Markdown and HTML digests and Netscape bookmarks by "category" or "author" (default: category)')
       .option('-l, --limit <number>', 'Maximum number of bookmarks to scrape', parseInt)
+      .option('--input <file>', 'Filter the bookmarks in an existing output file instead of scraping')
+      .option('--include <policy>', 'Bookmarks written: "links-only", "github-only" or "all" (default: links-only)')
+      .option('--authors <list>', 'Comma-separated authors whose bookmarks are written',
+        value => value.split(',').map(author => author.trim()).filter(Boolean))
+      .option('--since <date>', 'Only write tweets posted on or after this date (YYYY-MM-DD)')
+      .option('--until <date>', 'Only write tweets posted on or before this date (YYYY-MM-DD)')
+      .option('--categories <list>', 'Comma-separated link categories to keep, e.g. github,arxiv',
+        value => value.split(',').map(category => category.trim()).filter(Boolean))
+      .option('--keywords <list>', 'Comma-separated words, one of which the tweet text must contain',
+        value => value.split(',').map(keyword => keyword.trim()).filter(Boolean))
+      .option('--deep', 'Visit each bookmarked tweet to also mine links from replies (slow)')
+      .option('--thread', 'Visit each bookmarked tweet to unroll the author\'s thread and mine links from every part (slow)')
+      .option('--media', 'Download the images and videos attached to each bookmark into a media archive')
+      .option('--media-dir <directory>', 'Directory for downloaded media (default: media)')
+      .option('--media-max-size <MB>', 'Largest media file downloaded in MB, 0 for no limit (default: 50)', parseFloat)
+      .option('--skip-video', 'Only archive images, leaving out videos and GIFs')
+      .option('--capture <mode>', 'Read bookmarks from the page DOM ("dom") or from GraphQL responses ("graphql")')
+      .option('--since-last', 'Only mine bookmarks added since the last run (implies --append)')
+      .option('--resume', 'Resume an interrupted scrape from its journal')
+      .option('--journal-file <file>', 'Checkpoint journal for --resume (default: <output>.journal.ndjson)')
+      .option('--known-streak <number>', 'Consecutive already-saved bookmarks that end a --since-last sync (default: 5)', parseInt)
+      .option('--link-sources <list>', 'Comma-separated places links are taken from: main, thread, quote, card, reply (default: all)',
+        value => value.split(',').map(source => source.trim()).filter(Boolean))
+      .option('--max-redirects <number>', 'Maximum redirects followed when resolving a link (default: 10)', parseInt)
+      .option('--tracking-params <list>', 'Comma-separated query parameters stripped from links, utm_* style prefixes allowed (default: utm_*, fbclid, gclid, ...)',
+        value => value.split(',').map(param => param.trim()).filter(Boolean))
+      .option('--concurrency <number>', 'Bookmarks processed at the same time (default: 3)', parseInt)
+      .option('--link-concurrency <number>', 'Links resolved at the same time (default: 8)', parseInt)
+      .option('--per-host-concurrency <number>', 'Requests in flight to any one website (default: 2)', parseInt)
+      .option('--link-cache-file <file>', 'File caching where links resolved to between runs (default: .twimine-cache.json)')
+      .option('--link-cache-ttl <days>', 'Days before a cached link is resolved again, 0 to never expire (default: 30)', parseFloat)
+      .option('--no-link-cache', 'Resolve every link again instead of using the link cache')
+      .option('--cache-info', 'Show link cache statistics and exit')
+      .option('--cache-clear', 'Delete the link cache and exit')
       .option('-d, --debug', 'Enable debug logging', false)
       .option('--headless <boolean>', 'Run in headless mode (default: true)')
       .option('--timeout <milliseconds>', 'Timeout for operations in milliseconds', parseInt)
       .option('--screenshot-dir <directory>', 'Directory to save debug screenshots')
+      .option('--session-file <file>', 'File to save and reuse the login session (default: .twimine-session.json)')
+      .option('--cookies-file <file>', 'Log in with a cookie export (cookies.txt or JSON) instead of username/password')
+      .option('--totp-secret <secret>', 'Authenticator (TOTP) secret used to answer 2FA code challenges')
+      .option('--no-session', 'Always log in from scratch and do not save the session')
       .parse(process.argv);
-
+    
     const options = program.opts();
     
     // Initial status message
@@ -72,12 +129,60 @@ async function main() {
     // Load config and merge with CLI options
     const config = loadConfig(options);
     
+    // Link cache maintenance runs without logging in
+    if (config.cacheClear) {
+      const removed = clearLinkCache(config.linkCacheFile);
+      logger.info(removed ? `Deleted link cache ${config.linkCacheFile}` : `No link cache at ${config.linkCacheFile}`);
+      return 0;
+    }
+    if (config.cacheInfo) {
+      console.log('\n' + formatCacheInfo(describeLinkCache(config.linkCacheFile, { ttlDays: config.linkCacheTtl }), config));
+      return 0;
+    }
+    
+    // Write a filtered copy of an earlier run without logging in
+    if (config.input) {
+      const bookmarks = await loadBookmarksFile(config.input);
+      logger.info(`Loaded ${bookmarks.length} bookmarks from ${config.input}`);
+      const processedBookmarks = await processOutput(bookmarks, config);
+      console.log('\n' + generateSummary(processedBookmarks, bookmarks.length, config));
+      return 0;
+    }
+    
+    // Incremental sync needs to know which bookmarks are already saved
+    /** @type {Set<string>} */
+    let knownUrls = new Set();
+    if (config.sinceLast) {
+      knownUrls = await loadExistingTweetUrls(config.output, config.format);
+      logger.info(`Incremental sync: ${knownUrls.size} bookmarks already mined into ${config.output}`);
+    }
+    
+    // Reload bookmarks finished before an interrupted run
+    const resumedBookmarks = config.resume ? readJournal(config.journalFile) : [];
+    if (config.resume) {
+      logger.info(`Resuming: ${resumedBookmarks.length} bookmarks already finished in ${config.journalFile}`);
+    }
+    
+    // NDJSON output is written bookmark by bookmark while scraping
+    const stream = config.format === 'ndjson' ? createBookmarkStream(config) : null;
+    resumedBookmarks.forEach(bookmark => stream?.write(bookmark));
+    
+    if (config.linkCache) {
+      linkCache = openLinkCache(config.linkCacheFile, { ttlDays: config.linkCacheTtl });
+    }
+    
+    // Resumed bookmarks count towards the limit
+    const remainingLimit = config.limit > 0 ? config.limit - resumedBookmarks.length : 0;
+    
     try {
       // Initialize browser and authenticate
       logger.info('Authenticating with Twitter...');
       const browserObj = await authenticateTwitter(config);
       browser = browserObj.browser; // Store for cleanup on interrupt
       
+      // Only journal once logged in, so a failed login never points at --resume
+      journal = createJournal(config.journalFile, { resume: config.resume });
+      
       // Scrape bookmarks with detailed console feedback
       logger.info('Starting to scrape bookmarks...');
       // Set debug level higher temporarily if not already in debug mode
@@ -86,14 +191,40 @@ async function main() {
         logger.level = 'info'; // Ensure we see important processing messages
       }
       
-      const bookmarks = await scrapeBookmarks(browserObj, config);
+      const scrapedBookmarks = config.limit > 0 && remainingLimit <= 0
+        ? []
+        : await scrapeBookmarks(browserObj, { ...config, limit: remainingLimit }, {
+          knownUrls,
+          skipUrls: new Set(resumedBookmarks.map(b => b.tweet_url)),
+          onBookmark: bookmark => {
+            journal.append(bookmark);
+            stream?.write(bookmark);
+          },
+          linkCache
+        });
+      
+      if (linkCache) {
+        const { hits, misses } = linkCache.stats();
+        logger.info(`Link cache: ${hits} links reused, ${misses} resolved`);
+        linkCache.save();
+      }
+      const bookmarks = [...resumedBookmarks, ...scrapedBookmarks];
       const originalCount = bookmarks.length;
       
       // Restore original log level
       logger.level = originalLogLevel;
       
-      // Process and save output
-      const processedBookmarks = await processOutput(bookmarks, config);
+      // Process and save output (streamed NDJSON output is already saved)
+      const processedBookmarks = stream ? stream.finish() : await processOutput(bookmarks, config);
+      
+      // Remember the bookmarks left out of the output too, so --since-last does not mine them again
+      if (APPENDABLE_FORMATS.includes(config.format)) {
+        recordSeenTweets(config.output, bookmarks, { append: config.append || config.format === 'sqlite' });
+      }
+      
+      // Everything is in the output file now, the journal is no longer needed
+      journal.remove();
+      journal = null;
       
       // Close browser
       logger.info('Closing browser...');
@@ -107,6 +238,11 @@ async function main() {
       logger.info('TwiMine completed successfully');
       return 0;
     } catch (error) {
+      // Keep the links resolved so far for the next attempt
+      if (linkCache) {
+        linkCache.save();
+      }
+      
       // Cleanup browser resources if there was an error
       if (browser) {
         await browser.close().catch(e => logger.debug('Error closing browser during error handling:', e.message));
@@ -128,7 +264,7 @@ async function main() {
     // Provide more specific error guidance based on the error message
     if (error.message?.includes('authentication')) {
       logger.error('Authentication error - please check your Twitter credentials and try again');
-      logger.error('If you use 2FA, you may need to temporarily disable it or use an app password');
+      logger.error('If you use 2FA, export your Twitter cookies and log in with --cookies-file <file> instead');
     } else if (error.message?.includes('timeout')) {
       logger.error('Operation timed out - this could be due to slow internet connection or Twitter rate limiting');
       logger.error('Try again later or use the --timeout option to increase the timeout value');
@@ -136,12 +272,48 @@ async function main() {
       logger.error('Network error - please check your internet connection and try again');
     }
     
+    if (journal) {
+      logger.error(`Bookmarks finished so far are saved in ${journal.path} - run again with --resume to continue`);
+    }
+    
     logger.error('For more detailed debugging information, run with the -d option');
     
     return 1;
   }
 }
 
+/**
+ * Formats link cache statistics for --cache-info
+ * 
+ * @param {import('./cache.js').CacheInfo} info - Cache summary
+ * @param {Object} config - Configuration options
+ * @param {number} config.linkCacheTtl - Days before a cached link expires
+ * @returns {string} Human-readable cache statistics
+ */
+function formatCacheInfo(info, config) {
+  if (!info.exists) {
+    return `No link cache at ${info.path}`;
+  }
+  
+  const lines = [
+    `TwiMine link cache: ${info.path}`,
+    `================================`,
+    ``,
+    `Cached links: ${info.entries}`,
+    `Expired (older than ${config.linkCacheTtl || 'unlimited'} days): ${config.linkCacheTtl ? info.expired : 0}`,
+    `File size: ${(info.bytes / 1024).toFixed(1)} KB`,
+    `Oldest entry: ${info.oldest || '-'}`,
+    `Newest entry: ${info.newest || '-'}`
+  ];
+  
+  if (info.topHosts.length > 0) {
+    lines.push(``, `Most common destinations:`);
+    info.topHosts.forEach(([host, count]) => lines.push(`- ${host}: ${count}`));
+  }
+  
+  return lines.join('\n');
+}
+
 // Run the main function
 main().then(exitCode => {
   process.exit(exitCode);
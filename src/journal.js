@@ -0,0 +1,70 @@
+/**
+ * @module journal
+ * @description TwiMine checkpoint journal: Appends each finished bookmark to an NDJSON file
+ * as soon as it is processed so interrupted or crashed scrapes can be resumed
+ */
+
+import fs from 'fs';
+import { logger } from './utils/logger.js';
+import { ensureOutputDir } from './utils/config.js';
+import { readJsonLines, openJsonLines } from './utils/jsonlines.js';
+
+/**
+ * Open journal handle
+ * @typedef {Object} Journal
+ * @property {string} path - Path to the journal file
+ * @property {function(Object): void} append - Appends a finished bookmark to the journal
+ * @property {function(): void} remove - Deletes the journal once its results are saved
+ */
+
+/**
+ * Reads the bookmarks recorded in a journal file
+ * 
+ * @param {string} journalPath - Path to the NDJSON journal
+ * @returns {Array<Object>} Bookmarks in the order they were finished (empty if no journal exists)
+ */
+export function readJournal(journalPath) {
+  return readJsonLines(journalPath);
+}
+
+/**
+ * Opens the journal for writing, starting a fresh one unless resuming. A journal left behind
+ * by an interrupted run is never truncated: without resume it is moved aside to
+ * `<journal>.<timestamp>` first, where it can still be resumed with `--journal-file`.
+ * 
+ * @param {string} journalPath - Path to the NDJSON journal
+ * @param {Object} [options] - Journal options
+ * @param {boolean} [options.resume=false] - Keep existing entries instead of starting a new journal
+ * @returns {Journal} Journal handle
+ */
+export function createJournal(journalPath, { resume = false } = {}) {
+  ensureOutputDir(journalPath);
+  
+  if (!resume && fs.existsSync(journalPath) && fs.statSync(journalPath).size > 0) {
+    const backupPath = `${journalPath}.${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.renameSync(journalPath, backupPath);
+    logger.warn(`Found the journal of an interrupted run and moved it to ${backupPath} - ` +
+      `run with --resume --journal-file "${backupPath}" to continue that scrape instead`);
+  }
+  
+  const file = openJsonLines(journalPath, { keep: resume });
+  
+  return {
+    path: journalPath,
+    
+    append(bookmark) {
+      file.append(bookmark);
+    },
+    
+    remove() {
+      try {
+        fs.unlinkSync(journalPath);
+        logger.debug(`Removed journal ${journalPath}`);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.warn(`Could not remove journal ${journalPath}: ${error.message}`);
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,217 @@
+/**
+ * @module media
+ * @description TwiMine media archive: Downloads the images and videos attached to bookmarked
+ * tweets into a content-addressed directory, so screenshots of code, diagrams and short clips
+ * are kept even when the tweet has no links
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './utils/logger.js';
+import { ensureOutputDir } from './utils/config.js';
+
+/**
+ * Media item with the result of archiving it
+ * @typedef {Object} ArchivedMedia
+ * @property {string} type - Media type (photo, video or animated_gif)
+ * @property {string|null} url - Remote URL of the media
+ * @property {string|null} alt_text - Alt text written by the author
+ * @property {string|null} path - Local path of the archived file, null if it was not archived
+ * @property {string|null} sha256 - SHA-256 of the file contents, which also names the file
+ * @property {number|null} bytes - Size of the file
+ * @property {string} [skipped] - Why the item was not archived: video, too-large, unavailable or failed
+ */
+
+/**
+ * Options for archiving media
+ * @typedef {Object} ArchiveOptions
+ * @property {string} dir - Media directory
+ * @property {number} maxBytes - Largest file downloaded, in bytes (0 = no limit)
+ * @property {boolean} [skipVideo=false] - Leave videos and GIFs out of the archive
+ * @property {number} [timeout=30000] - Timeout for each download in milliseconds
+ * @property {string} [userAgent] - User agent sent with each download
+ * @property {import('./utils/pool.js').HostScheduler} [schedule] - Runs each download, e.g. to
+ *   apply per-host politeness limits
+ */
+
+/**
+ * File extensions for the content types Twitter serves media as
+ * @type {Object<string, string>}
+ */
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4'
+};
+
+/**
+ * Downloads the media of one bookmark into the media directory
+ * 
+ * Files are named after the SHA-256 of their contents (`<dir>/ab/abcdef....jpg`), so the same
+ * image bookmarked twice is stored once. Failures are recorded on the item, never thrown.
+ * 
+ * @param {Array<import('./graphql.js').TweetMedia>} media - Media attached to the tweet
+ * @param {ArchiveOptions} options - Archive options
+ * @returns {Promise<Array<ArchivedMedia>>} The media items with their local paths
+ */
+export async function archiveMedia(media, options) {
+  const archived = [];
+  for (const item of media) {
+    archived.push(await archiveItem(item, options));
+  }
+  return archived;
+}
+
+/**
+ * Downloads a single media item
+ * 
+ * @param {import('./graphql.js').TweetMedia} item - Media item
+ * @param {ArchiveOptions} options - Archive options
+ * @returns {Promise<ArchivedMedia>} The item with its local path, or the reason it was skipped
+ */
+async function archiveItem(item, { dir, maxBytes, skipVideo = false, timeout = 30000, userAgent, schedule }) {
+  const result = { ...item, path: null, sha256: null, bytes: null };
+  
+  if (skipVideo && item.type !== 'photo') {
+    return { ...result, skipped: 'video' };
+  }
+  
+  // Videos played from blob: URLs in the page cannot be downloaded; GraphQL capture has their files
+  if (!item.url || !/^https?:/.test(item.url)) {
+    logger.debug(`No downloadable URL for ${item.type}, skipping`);
+    return { ...result, skipped: 'unavailable' };
+  }
+  
+  // Downloads are written to a temporary file and renamed once their hash is known
+  const tempPath = path.join(dir, `.download-${crypto.randomUUID()}`);
+  
+  try {
+    const download = () => fetchMedia(item.url, tempPath, maxBytes, timeout, userAgent);
+    const file = await (schedule ? schedule(item.url, download) : download());
+    if (!file) {
+      logger.warn(`Skipping ${item.url}: larger than the ${maxBytes} byte limit`);
+      return { ...result, skipped: 'too-large' };
+    }
+    const { sha256, bytes, contentType } = file;
+    
+    const extension = EXTENSIONS[contentType] || extensionFromUrl(item.url);
+    const filePath = path.join(dir, sha256.slice(0, 2), extension ? `${sha256}.${extension}` : sha256);
+    
+    if (!fs.existsSync(filePath)) {
+      ensureOutputDir(filePath);
+      fs.renameSync(tempPath, filePath);
+      logger.info(`Archived ${item.type}: ${filePath}`);
+    } else {
+      logger.debug(`Already archived: ${filePath}`);
+    }
+    
+    return { ...result, path: filePath, sha256, bytes };
+  } catch (error) {
+    logger.warn(`Could not download ${item.url}: ${error.message}`);
+    return { ...result, skipped: 'failed' };
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+/**
+ * Streams a media file to disk, hashing it on the way and giving up once it grows past
+ * the size limit, so large videos are never held in memory
+ * 
+ * @param {string} url - Media URL
+ * @param {string} tempPath - File the download is written to
+ * @param {number} maxBytes - Largest file accepted (0 = no limit)
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {string} [userAgent] - User agent
+ * @returns {Promise<{sha256: string, bytes: number, contentType: string}|null>} Hash, size and
+ *   content type of the file, or null if the file is larger than maxBytes
+ * @throws {Error} If the server does not answer with the file
+ */
+async function fetchMedia(url, tempPath, maxBytes, timeout, userAgent) {
+  const response = await fetch(url, {
+    headers: userAgent ? { 'user-agent': userAgent } : {},
+    signal: AbortSignal.timeout(timeout)
+  });
+  
+  if (!response.ok || !response.body) {
+    await response.body?.cancel().catch(() => {});
+    throw new Error(`HTTP ${response.status}`);
+  }
+  
+  const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  const declared = Number(response.headers.get('content-length'));
+  if (maxBytes && declared > maxBytes) {
+    await response.body.cancel().catch(() => {});
+    return null;
+  }
+  
+  ensureOutputDir(tempPath);
+  const output = await fs.promises.open(tempPath, 'w');
+  const hash = crypto.createHash('sha256');
+  
+  // Servers do not always declare the size, so count while reading as well
+  const reader = response.body.getReader();
+  let size = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      size += value.length;
+      if (maxBytes && size > maxBytes) {
+        await reader.cancel().catch(() => {});
+        return null;
+      }
+      hash.update(value);
+      await output.write(value);
+    }
+  } finally {
+    await output.close();
+  }
+  
+  return { sha256: hash.digest('hex'), bytes: size, contentType };
+}
+
+/**
+ * Guesses a file extension from a media URL (`.jpg` paths or `?format=jpg` queries)
+ * 
+ * @param {string} url - Media URL
+ * @returns {string|null} Extension without the dot, or null if the URL has none
+ */
+function extensionFromUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const format = parsed.searchParams.get('format');
+    if (format && /^[a-z0-9]{2,5}$/i.test(format)) {
+      return format.toLowerCase();
+    }
+    const match = parsed.pathname.match(/\.([a-z0-9]{2,5})$/i);
+    return match ? match[1].toLowerCase() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the large version of a pbs.twimg.com image, in place of the small preview
+ * the timeline shows
+ * 
+ * @param {string} url - Image URL from the page
+ * @returns {string} URL of the large image (other URLs are returned unchanged)
+ */
+export function largeImageUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.hostname !== 'pbs.twimg.com' || !parsed.pathname.startsWith('/media/')) {
+      return url;
+    }
+    parsed.searchParams.set('name', 'large');
+    return parsed.href;
+  } catch (e) {
+    return url;
+  }
+}
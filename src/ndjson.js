@@ -0,0 +1,100 @@
+/**
+ * @module ndjson
+ * @description TwiMine NDJSON output: Writes each bookmark to the output file as one line of
+ * JSON the moment it is finished, keeping a sidecar index of the tweet ids already in the file
+ * so appending never has to read or rewrite the bookmarks saved before
+ */
+
+import fs from 'fs';
+import { logger } from './utils/logger.js';
+import { ensureOutputDir } from './utils/config.js';
+import { tweetKey } from './utils/urls.js';
+import { readJsonLines, openJsonLines } from './utils/jsonlines.js';
+
+/**
+ * Open NDJSON output handle
+ * @typedef {Object} NdjsonOutput
+ * @property {string} path - Path to the output file
+ * @property {number} existingCount - Bookmarks already in the file when it was opened
+ * @property {function(Object): boolean} write - Appends a formatted bookmark unless its tweet
+ *   is already in the file; returns whether it was written
+ */
+
+/**
+ * Returns the path of the tweet index kept next to an NDJSON output file
+ * 
+ * @param {string} outputPath - Path to the NDJSON output file
+ * @returns {string} Path to the index file
+ */
+export function indexPath(outputPath) {
+  return `${outputPath}.idx`;
+}
+
+/**
+ * Reads the tweet ids saved in an NDJSON output file from its index, one id per line.
+ * The index is rebuilt from the output file when it is missing or older than the file,
+ * which happens after a crash between the two writes or when the file was edited by hand.
+ * 
+ * @param {string} outputPath - Path to the NDJSON output file
+ * @returns {Set<string>} De-duplication keys of the saved tweets (empty if there is no file)
+ */
+export function readTweetIndex(outputPath) {
+  if (!fs.existsSync(outputPath)) {
+    return new Set();
+  }
+  
+  const idxPath = indexPath(outputPath);
+  if (fs.existsSync(idxPath) && fs.statSync(idxPath).mtimeMs >= fs.statSync(outputPath).mtimeMs) {
+    return new Set(fs.readFileSync(idxPath, 'utf8').split('\n').filter(Boolean));
+  }
+  
+  logger.info(`Rebuilding tweet index ${idxPath} from ${outputPath}`);
+  const keys = new Set();
+  readJsonLines(outputPath).forEach(bookmark => {
+    if (bookmark?.tweet_url) {
+      keys.add(tweetKey(bookmark.tweet_url));
+    }
+  });
+  
+  fs.writeFileSync(idxPath, Array.from(keys, key => key + '\n').join(''), 'utf8');
+  return keys;
+}
+
+/**
+ * Opens an NDJSON output file for writing, starting fresh unless appending
+ * 
+ * @param {string} outputPath - Path to the NDJSON output file
+ * @param {Object} [options] - Output options
+ * @param {boolean} [options.append=false] - Keep the bookmarks already in the file
+ * @returns {NdjsonOutput} Output handle
+ */
+export function createNdjsonOutput(outputPath, { append = false } = {}) {
+  ensureOutputDir(outputPath);
+  const idxPath = indexPath(outputPath);
+  
+  const fresh = !append || !fs.existsSync(outputPath);
+  const file = openJsonLines(outputPath, { keep: append });
+  if (fresh) {
+    fs.writeFileSync(idxPath, '', 'utf8');
+  }
+  
+  const keys = readTweetIndex(outputPath);
+  
+  return {
+    path: outputPath,
+    existingCount: keys.size,
+    
+    write(bookmark) {
+      const key = tweetKey(bookmark.tweet_url);
+      if (keys.has(key)) {
+        return false;
+      }
+      
+      // The output line goes first so a crash in between leaves the index older than the file
+      file.append(bookmark);
+      fs.appendFileSync(idxPath, key + '\n', 'utf8');
+      keys.add(key);
+      return true;
+    }
+  };
+}
@@ -0,0 +1,109 @@
+/**
+ * @module netscape
+ * @description TwiMine browser bookmarks export: Writes mined links in the Netscape Bookmark
+ * File format that Chrome, Firefox, Safari and Edge import, with one folder per link category
+ * or per author inside a single top-level folder
+ */
+
+import { groupBookmarks, sortedLinks } from './digest.js';
+
+/**
+ * Longest bookmark title taken from the tweet text, in characters
+ * @type {number}
+ */
+const MAX_TITLE_LENGTH = 120;
+
+/**
+ * Options for rendering a bookmarks file
+ * @typedef {Object} NetscapeOptions
+ * @property {string} [groupBy='category'] - One folder per link category or per author
+ * @property {string} [title='TwiMine Bookmarks'] - Name of the top-level folder
+ */
+
+/**
+ * Renders formatted bookmarks as a Netscape bookmarks file. Each link becomes a browser
+ * bookmark titled with the tweet text and dated with the scrape date; bookmarks without
+ * links (kept with `--include all`) are exported as a bookmark of the tweet itself. Folders
+ * and their entries are ordered as in digests, so the same bookmarks give the same file.
+ * 
+ * @param {Array<Object>} bookmarks - Formatted bookmarks, as processOutput produces them
+ * @param {NetscapeOptions} [options] - Export options
+ * @returns {string} Bookmarks file contents
+ * @throws {Error} If groupBy is not a known grouping
+ */
+export function renderNetscape(bookmarks, { groupBy = 'category', title = 'TwiMine Bookmarks' } = {}) {
+  const folders = groupBookmarks(bookmarks, groupBy).map(group => {
+    const entries = group.bookmarks.flatMap(bookmark => {
+      // In a category folder only the links of that category belong
+      const links = groupBy === 'category'
+        ? sortedLinks(bookmark).filter(link => link.category === group.name)
+        : sortedLinks(bookmark);
+      const urls = links.length > 0 ? links.map(link => link.url) : [bookmark.tweet_url];
+      return urls.map(url => `            <DT>${bookmarkLink(url, bookmark)}`);
+    });
+    
+    return `        <DT><H3>${escapeText(group.name)}</H3>
+        <DL><p>
+${entries.join('\n')}
+        </DL><p>`;
+  });
+  
+  return `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<!-- This is an automatically generated file.
+     It will be read and overwritten.
+     DO NOT EDIT! -->
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3>${escapeText(title)}</H3>
+    <DL><p>
+${folders.join('\n')}
+    </DL><p>
+</DL><p>
+`;
+}
+
+/**
+ * Renders one bookmark entry
+ * 
+ * @param {string} url - Bookmarked URL
+ * @param {Object} bookmark - Formatted bookmark the URL came from
+ * @returns {string} Anchor element with HREF, ADD_DATE and title
+ */
+function bookmarkLink(url, bookmark) {
+  const time = Date.parse(bookmark.scraped_at);
+  const addDate = isNaN(time) ? '' : ` ADD_DATE="${Math.floor(time / 1000)}"`;
+  return `<A HREF="${escapeText(url)}"${addDate}>${escapeText(bookmarkTitle(url, bookmark))}</A>`;
+}
+
+/**
+ * Title of a browser bookmark: the tweet text on one line, shortened to MAX_TITLE_LENGTH,
+ * or the URL when the tweet text was not captured
+ * 
+ * @param {string} url - Bookmarked URL
+ * @param {Object} bookmark - Formatted bookmark
+ * @returns {string} Title
+ */
+function bookmarkTitle(url, bookmark) {
+  const text = (bookmark.tweet_text || '').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return url;
+  }
+  const characters = Array.from(text);
+  return characters.length > MAX_TITLE_LENGTH ? characters.slice(0, MAX_TITLE_LENGTH - 1).join('').trimEnd() + '…' : text;
+}
+
+/**
+ * Escapes text for the content and double-quoted attributes of the bookmarks file
+ * 
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -7,7 +7,16 @@
 import fs from 'fs/promises';
 import { existsSync } from 'fs';
 import { logger } from './utils/logger.js';
-import { ensureOutputDir } from './utils/config.js';
+import { ensureOutputDir, DEFAULT_CSV_COLUMNS } from './utils/config.js';
+import { canonicalTweetUrl, tweetKey, normalizeUrl } from './utils/urls.js';
+import { classifyLink, linksOf, countByCategory } from './classifiers/index.js';
+import { githubReposFromLinks } from './utils/github.js';
+import { filterBookmarks, hasFilters, describeFilters } from './filters.js';
+import { renderMarkdown, renderHtml } from './digest.js';
+import { renderNetscape } from './netscape.js';
+import { createNdjsonOutput, readTweetIndex } from './ndjson.js';
+import { openDatabase } from './database.js';
+import { readSeenTweets } from './seen.js';
 
 /**
  * Process and save bookmark data to output file with improved error handling
@@ -15,7 +24,19 @@ import { ensureOutputDir } from './utils/config.js';
  * @param {Array<Object>} bookmarks - Array of bookmark objects from scraping
  * @param {Object} config - Configuration options
  * @param {string} config.output - Path to output file
- * @param {boolean} config.append - Whether to append to existing output file
+ * @param {boolean} config.append - Whether to append to existing output file (JSON, NDJSON, CSV and TSV
+ *   output; SQLite databases are always updated in place)
+ * @param {string} [config.format='json'] - Output format: json, ndjson, sqlite, markdown, html, netscape, csv or tsv
+ * @param {string} [config.groupBy='category'] - Grouping of Markdown and HTML digests and Netscape bookmarks
+ * @param {Array<string>} [config.columns] - Columns of CSV and TSV output
+ * @param {Array<string>} [config.trackingParams] - Query parameters stripped from links
+ * @param {boolean} [config.media] - Whether media was archived (keeps bookmarks with media but no links)
+ * @param {string} [config.include] - Inclusion policy: links-only, github-only or all
+ * @param {Array<string>} [config.authors] - Only keep bookmarks by these authors
+ * @param {string|null} [config.since] - Only keep tweets posted on or after this date
+ * @param {string|null} [config.until] - Only keep tweets posted on or before this date
+ * @param {Array<string>} [config.categories] - Only keep bookmarks with a link in these categories
+ * @param {Array<string>} [config.keywords] - Only keep bookmarks whose text contains one of these words
  * @returns {Promise<Array<Object>>} Array of processed bookmark objects that were saved
  * @throws {Error} If saving output fails
  */
@@ -23,57 +44,57 @@ export async function processOutput(bookmarks, config) {
   try {
     logger.debug('Processing output data...');
     
-    // Include all bookmarks with any captured links, not just GitHub links
-    const finalBookmarks = bookmarks.filter(bookmark => {
-      if (!bookmark.github_url && (!bookmark.all_links || bookmark.all_links.length === 0)) {
-        logger.debug(`Skipping bookmark without any links: ${bookmark.tweet_url}`);
-        return false;
-      }
-      return true;
-    });
-    
-    /**
-     * Format bookmarks data for final output with consistent field order
-     * @type {Array<{
-     *   username: string|null,
-     *   tweet_url: string,
-     *   github_url: string|null,
-     *   all_links: string[],
-     *   scraped_at: string
-     * }>}
-     */
-    const formattedBookmarks = finalBookmarks.map(bookmark => {
-      // Remove duplicates from all_links
-      const uniqueLinks = [...new Set(bookmark.all_links || [])];
-      
-      return {
-        username: bookmark.username,
-        tweet_url: bookmark.tweet_url,
-        github_url: bookmark.github_url,
-        all_links: uniqueLinks, // Include only unique links
-        scraped_at: bookmark.scraped_at
-      };
-    });
-    
-    const withLinksCount = formattedBookmarks.length;
-    const totalCount = bookmarks.length;
-    
-    logger.info(`Found ${withLinksCount} bookmarks with links out of ${totalCount} total bookmarks`);
-    logger.info(`${bookmarks.filter(b => b.github_url).length} bookmarks have GitHub links`);
-    
-    if (withLinksCount === 0) {
-      logger.warn('No links found in any bookmarks. Output file will be empty or unchanged.');
-      if (totalCount > 0) {
-        logger.info('Try visiting the bookmarks directly in your browser to verify if they contain links.');
+    /** @type {Array<FormattedBookmark>} */
+    const allBookmarks = dedupeBookmarks(bookmarks.map(bookmark => formatBookmark(bookmark, config)));
+    
+    // By default only bookmarks with links (or archived media) are kept; --include and the
+    // author, date, category and keyword filters choose differently
+    const formattedBookmarks = filterBookmarks(allBookmarks, config);
+    
+    const keptCount = formattedBookmarks.length;
+    const totalCount = allBookmarks.length;
+    
+    if (hasFilters(config)) {
+      logger.info(`Kept ${keptCount} of ${totalCount} bookmarks (${describeFilters(config)})`);
+    } else {
+      logger.info(`Found ${keptCount} bookmarks with links${config.media ? ' or media' : ''} out of ${totalCount} total bookmarks`);
+    }
+    logger.info(`${formattedBookmarks.filter(b => b.github_url).length} bookmarks have GitHub links`);
+    
+    if (keptCount === 0) {
+      if (hasFilters(config)) {
+        logger.warn('No bookmarks matched the filters. Output file will be empty or unchanged.');
+      } else {
+        logger.warn('No links found in any bookmarks. Output file will be empty or unchanged.');
+        if (totalCount > 0) {
+          logger.info('Try visiting the bookmarks directly in your browser to verify if they contain links.');
+        }
       }
     }
     
+    const format = config.format || 'json';
+    
+    // Spreadsheet formats are written one row per link
+    if (format === 'csv' || format === 'tsv') {
+      return await saveDelimited(formattedBookmarks, config, format);
+    }
+    
+    // NDJSON is appended line by line, checking the tweet index instead of reading the file
+    if (format === 'ndjson') {
+      return saveNdjson(formattedBookmarks, config);
+    }
+    
+    // A database is updated in place, whether or not --append is given
+    if (format === 'sqlite') {
+      return await saveDatabase(formattedBookmarks, config);
+    }
+    
     // Determine final output based on append option
     let finalOutput = formattedBookmarks;
     let existingCount = 0;
     let newCount = 0;
     
-    if (config.append && existsSync(config.output)) {
+    if (config.append && format === 'json' && existsSync(config.output)) {
       try {
         // Read existing file
         const fileContent = await fs.readFile(config.output, 'utf8');
@@ -95,16 +116,27 @@ export async function processOutput(bookmarks, config) {
         }
         
         if (Array.isArray(existingData)) {
-          existingCount = existingData.length;
+          // Older files can hold several URL variants of the same tweet (/photo/1, twitter.com vs x.com)
+          const cleanedData = dedupeBookmarks(existingData.map(item => ({
+            ...item,
+            ...(Array.isArray(item.all_links) ? cleanLinks(item, config.trackingParams) : {}),
+            tweet_url: canonicalTweetUrl(item.tweet_url),
+            // Entries written before repos were tracked only kept the last GitHub link
+            github_repos: item.github_repos || githubReposFromLinks(item.all_links || [])
+          })));
+          if (cleanedData.length < existingData.length) {
+            logger.info(`Merged ${existingData.length - cleanedData.length} duplicate entries in existing file`);
+          }
+          existingCount = cleanedData.length;
           
-          // Performance improvement: Create a Set of existing URLs to check for duplicates efficiently
-          const existingUrls = new Set(existingData.map(item => item.tweet_url));
+          // Performance improvement: Create a Set of existing tweet keys to check for duplicates efficiently
+          const existingKeys = new Set(cleanedData.map(item => tweetKey(item.tweet_url)));
           
           // Only add bookmarks that don't already exist in the file
-          const newBookmarks = formattedBookmarks.filter(bookmark => !existingUrls.has(bookmark.tweet_url));
+          const newBookmarks = formattedBookmarks.filter(bookmark => !existingKeys.has(tweetKey(bookmark.tweet_url)));
           newCount = newBookmarks.length;
           
-          finalOutput = [...existingData, ...newBookmarks];
+          finalOutput = [...cleanedData, ...newBookmarks];
           
           logger.info(`Appending ${newCount} new bookmarks to existing file with ${existingCount} entries`);
         } else {
@@ -129,8 +161,8 @@ export async function processOutput(bookmarks, config) {
     // Ensure output directory exists
     ensureOutputDir(config.output);
     
-    // Write data to output file with pretty formatting
-    await fs.writeFile(config.output, JSON.stringify(finalOutput, null, 2), 'utf8');
+    // Write data to output file with pretty formatting, or as a readable digest
+    await fs.writeFile(config.output, renderOutput(finalOutput, format, config), 'utf8');
     
     const summaryMessage = config.append
       ? `Successfully saved ${finalOutput.length} bookmarks to ${config.output} (${newCount} new, ${existingCount} existing)`
@@ -145,6 +177,529 @@ export async function processOutput(bookmarks, config) {
   }
 }
 
+/**
+ * Bookmark as written to the output, with its fields in a consistent order
+ * @typedef {{
+ *   username: string|null,
+ *   display_name: string|null,
+ *   tweet_url: string,
+ *   tweet_text: string|null,
+ *   created_at: string|null,
+ *   is_quote: boolean|null,
+ *   is_reply: boolean|null,
+ *   reply_count: number|null,
+ *   retweet_count: number|null,
+ *   like_count: number|null,
+ *   quote_count: number|null,
+ *   bookmark_count: number|null,
+ *   view_count: number|null,
+ *   github_url: string|null,
+ *   github_repos: string[],
+ *   all_links: string[],
+ *   links: Array<import('./classifiers/index.js').ClassifiedLink>,
+ *   thread?: Array<import('./bookmarks.js').ThreadPart>,
+ *   media?: Array<import('./media.js').ArchivedMedia>,
+ *   scraped_at: string
+ * }} FormattedBookmark
+ */
+
+/**
+ * Formats a bookmark from scraping (or from an earlier output file) for the output:
+ * canonical tweet URL, normalized and categorized links and GitHub repositories
+ * 
+ * @param {Object} bookmark - Bookmark from scraping or loaded with --input
+ * @param {Object} config - Configuration options
+ * @param {Array<string>} [config.trackingParams] - Query parameters stripped from links
+ * @param {boolean} [config.media] - Whether media was archived
+ * @returns {FormattedBookmark} Formatted bookmark
+ */
+function formatBookmark(bookmark, config) {
+  // Normalize links and remove duplicates from all_links
+  const { all_links: uniqueLinks, links } = cleanLinks(bookmark, config.trackingParams);
+  const githubRepos = githubReposFromLinks(uniqueLinks);
+  
+  return {
+    username: bookmark.username,
+    display_name: bookmark.display_name ?? null,
+    tweet_url: canonicalTweetUrl(bookmark.tweet_url),
+    tweet_text: bookmark.tweet_text ?? null,
+    created_at: bookmark.created_at ?? null,
+    is_quote: bookmark.is_quote ?? null,
+    is_reply: bookmark.is_reply ?? null,
+    reply_count: bookmark.reply_count ?? null,
+    retweet_count: bookmark.retweet_count ?? null,
+    like_count: bookmark.like_count ?? null,
+    quote_count: bookmark.quote_count ?? null,
+    bookmark_count: bookmark.bookmark_count ?? null,
+    view_count: bookmark.view_count ?? null,
+    github_url: githubRepos[0] || null,
+    github_repos: githubRepos,
+    all_links: uniqueLinks, // Include only unique links
+    links,
+    ...(bookmark.thread ? { thread: bookmark.thread } : {}),
+    // Entries loaded with --input keep the media they were archived with
+    ...(config.media || bookmark.media?.some(item => 'path' in item) ? { media: bookmark.media || [] } : {}),
+    scraped_at: bookmark.scraped_at
+  };
+}
+
+/**
+ * Saves bookmarks to an NDJSON output file, one line per bookmark; when appending, tweets
+ * already in the file are skipped using its tweet index
+ * 
+ * @param {Array<FormattedBookmark>} bookmarks - Formatted bookmarks
+ * @param {Object} config - Configuration options
+ * @param {string} config.output - Path to output file
+ * @param {boolean} config.append - Whether to append to existing output file
+ * @returns {Array<FormattedBookmark>} Bookmarks written by this run
+ */
+function saveNdjson(bookmarks, config) {
+  const output = createNdjsonOutput(config.output, { append: config.append });
+  const written = bookmarks.filter(bookmark => output.write(bookmark));
+  
+  logger.info(config.append
+    ? `Successfully saved ${written.length} new bookmarks to ${config.output} (${output.existingCount} existing)`
+    : `Successfully saved ${written.length} bookmarks to ${config.output}`);
+  
+  return written;
+}
+
+/**
+ * Saves bookmarks to an SQLite database, inserting new tweets and updating those already in it
+ * 
+ * @param {Array<FormattedBookmark>} bookmarks - Formatted bookmarks
+ * @param {Object} config - Configuration options
+ * @param {string} config.output - Path to the database file
+ * @param {string|null} [config.input] - File the bookmarks were loaded from, recorded with the run
+ * @returns {Promise<Array<FormattedBookmark>>} Bookmarks saved by this run
+ */
+async function saveDatabase(bookmarks, config) {
+  const database = await openDatabase(config.output);
+  try {
+    const { runId, added, updated } = database.saveBookmarks(bookmarks, { source: config.input || null });
+    logger.info(`Successfully saved ${bookmarks.length} bookmarks to ${config.output} ` +
+      `(${added.length} new, ${updated.length} updated, run ${runId})`);
+    return bookmarks;
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Bookmark stream writing NDJSON output while scraping
+ * @typedef {Object} BookmarkStream
+ * @property {function(Object): void} write - Formats a finished bookmark and appends it to the
+ *   output file if it passes the filters and its tweet is not in the file yet
+ * @property {function(): Array<FormattedBookmark>} finish - Logs what was written and returns
+ *   the bookmarks written by this run
+ */
+
+/**
+ * Streams bookmarks to the NDJSON output file so each one is saved as soon as it is
+ * finished, instead of collecting the whole run and writing it at the end. The file is
+ * opened with the first bookmark, so a run that fails to log in leaves it untouched.
+ * 
+ * @param {Object} config - Configuration options (output, append and the filters, as for processOutput)
+ * @returns {BookmarkStream} Bookmark stream
+ */
+export function createBookmarkStream(config) {
+  /** @type {import('./ndjson.js').NdjsonOutput|null} */
+  let output = null;
+  /** @type {Array<FormattedBookmark>} */
+  const written = [];
+  let received = 0;
+  
+  const open = () => {
+    if (!output) {
+      output = createNdjsonOutput(config.output, { append: config.append });
+      if (config.append) {
+        logger.info(`Appending to ${config.output} with ${output.existingCount} bookmarks`);
+      }
+    }
+    return output;
+  };
+  
+  return {
+    write(bookmark) {
+      received++;
+      const [kept] = filterBookmarks([formatBookmark(bookmark, config)], config);
+      if (kept && open().write(kept)) {
+        written.push(kept);
+      }
+    },
+    
+    finish() {
+      open();
+      logger.info(hasFilters(config)
+        ? `Kept ${written.length} new of ${received} bookmarks (${describeFilters(config)})`
+        : `Found ${written.length} new bookmarks with links${config.media ? ' or media' : ''} out of ${received} total bookmarks`);
+      logger.info(`Successfully saved ${written.length} bookmarks to ${config.output}` +
+        (config.append ? ` (${output.existingCount} existing)` : ''));
+      return written;
+    }
+  };
+}
+
+/**
+ * Renders bookmarks in the output format
+ * 
+ * @param {Array<Object>} bookmarks - Formatted bookmarks
+ * @param {string} format - Output format: json, markdown, html or netscape
+ * @param {Object} config - Configuration options
+ * @param {string} [config.groupBy='category'] - Grouping of Markdown and HTML digests and Netscape bookmarks
+ * @returns {string} File contents
+ */
+function renderOutput(bookmarks, format, { groupBy = 'category' }) {
+  switch (format) {
+    case 'markdown':
+      return renderMarkdown(bookmarks, { groupBy });
+    case 'html':
+      return renderHtml(bookmarks, { groupBy });
+    case 'netscape':
+      return renderNetscape(bookmarks, { groupBy });
+    default:
+      return JSON.stringify(bookmarks, null, 2);
+  }
+}
+
+/**
+ * Columns of CSV and TSV rows that come from the link rather than the bookmark
+ * @type {string[]}
+ */
+const LINK_COLUMNS = ['url', 'original_url', 'category', 'source', 'source_tweet_id', 'source_author'];
+
+/**
+ * Saves bookmarks as CSV or TSV with one row per link; bookmarks without links get a single
+ * row with empty link columns. When appending, rows are added after those already in the
+ * file, in the file's own columns, and tweets already in it are skipped.
+ * 
+ * @param {Array<Object>} bookmarks - Formatted bookmarks
+ * @param {Object} config - Configuration options
+ * @param {string} config.output - Path to output file
+ * @param {boolean} config.append - Whether to append to existing output file
+ * @param {Array<string>} [config.columns] - Columns to write
+ * @param {'csv'|'tsv'} format - Output format
+ * @returns {Promise<Array<Object>>} Bookmarks written by this run
+ */
+async function saveDelimited(bookmarks, config, format) {
+  const delimiter = format === 'tsv' ? '\t' : ',';
+  let columns = config.columns || DEFAULT_CSV_COLUMNS;
+  let newBookmarks = bookmarks;
+  let existingCount = 0;
+  let appending = false;
+  let separator = '';
+  
+  if (config.append && existsSync(config.output)) {
+    const fileContent = await fs.readFile(config.output, 'utf8');
+    // RFC 4180 separates records with CRLF; add one if the file does not end with a line break
+    separator = fileContent === '' || /[\r\n]$/.test(fileContent) ? '' : '\r\n';
+    
+    try {
+      const [header, ...rows] = parseDelimited(fileContent, delimiter);
+      if (header && header.some(Boolean)) {
+        if (header.join(',') !== columns.join(',')) {
+          logger.info(`Appending with the columns already in ${config.output}: ${header.join(', ')}`);
+        }
+        columns = header;
+        appending = true;
+        
+        const urlIndex = header.indexOf('tweet_url');
+        if (urlIndex === -1) {
+          logger.warn(`${config.output} has no tweet_url column, so bookmarks already in it cannot be skipped`);
+        } else {
+          const existingKeys = new Set(rows.map(row => row[urlIndex]).filter(Boolean).map(tweetKey));
+          existingCount = existingKeys.size;
+          newBookmarks = bookmarks.filter(bookmark => !existingKeys.has(tweetKey(bookmark.tweet_url)));
+        }
+      }
+    } catch (parseError) {
+      logger.warn(`Error parsing existing output file: ${parseError.message}`);
+      logger.warn(`File content is not valid ${format.toUpperCase()}. Creating backup and overwriting with new data.`);
+      
+      // Create backup of corrupted file
+      const backupPath = `${config.output}.backup.${Date.now()}`;
+      await fs.writeFile(backupPath, fileContent, 'utf8');
+      logger.info(`Created backup of existing file at ${backupPath}`);
+    }
+    
+    if (appending) {
+      logger.info(`Appending ${newBookmarks.length} new bookmarks to existing file with ${existingCount} bookmarks`);
+    }
+  } else {
+    logger.info(`Creating new output file with ${bookmarks.length} bookmarks`);
+  }
+  
+  const rows = newBookmarks.flatMap(bookmark => {
+    const links = bookmark.links?.length > 0 ? bookmark.links : [null];
+    return links.map(link => columns.map(column => LINK_COLUMNS.includes(column) ? link?.[column] : bookmark[column]));
+  });
+  const lines = rows.map(row => row.map(value => escapeField(value, delimiter)).join(delimiter));
+  
+  ensureOutputDir(config.output);
+  if (appending) {
+    await fs.appendFile(config.output, lines.length > 0 ? separator + lines.join('\r\n') + '\r\n' : '', 'utf8');
+  } else {
+    const header = columns.map(column => escapeField(column, delimiter)).join(delimiter);
+    await fs.writeFile(config.output, [header, ...lines].join('\r\n') + '\r\n', 'utf8');
+  }
+  
+  logger.info(appending
+    ? `Successfully saved ${rows.length} rows to ${config.output} (${newBookmarks.length} new bookmarks, ${existingCount} existing)`
+    : `Successfully saved ${rows.length} rows for ${newBookmarks.length} bookmarks to ${config.output}`);
+  
+  return newBookmarks;
+}
+
+/**
+ * Escapes a CSV or TSV field as RFC 4180 describes: fields containing the delimiter, a
+ * double quote or a line break are wrapped in double quotes, with inner quotes doubled
+ * 
+ * @param {*} value - Field value (null and undefined become empty fields)
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Escaped field
+ */
+function escapeField(value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses CSV or TSV text as RFC 4180 describes, including quoted fields with delimiters,
+ * doubled quotes and line breaks inside them
+ * 
+ * @param {string} text - File contents
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {Array<Array<string>>} Records, each an array of fields
+ * @throws {Error} If a quoted field is never closed
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+  
+  for (; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (quoted) {
+    throw new Error('Unterminated quoted field at end of file');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  
+  return records;
+}
+
+/**
+ * Normalizes the links of a bookmark (tracking parameters, www./AMP variants) and returns
+ * them de-duplicated together with their categorized entries. Entries missing from older
+ * bookmarks are classified here; the URL as resolved is kept as `original_url` when
+ * normalization changed it.
+ * 
+ * @param {Object} bookmark - Bookmark from scraping or from an existing output file
+ * @param {Array<string>} [trackingParams] - Query parameters to strip (defaults apply if omitted)
+ * @returns {{all_links: Array<string>, links: Array<import('./classifiers/index.js').ClassifiedLink>}} Cleaned links
+ */
+function cleanLinks(bookmark, trackingParams) {
+  /** @type {Map<string, string>} */
+  const originals = new Map();
+  for (const raw of bookmark.all_links || []) {
+    const url = normalizeUrl(raw, trackingParams ? { trackingParams } : {});
+    if (!originals.has(url)) {
+      originals.set(url, raw);
+    }
+  }
+  
+  const known = new Map((bookmark.links || []).map(link => [link.url, link]));
+  const allLinks = Array.from(originals.keys());
+  const links = allLinks.map(url => {
+    if (known.has(url)) {
+      return known.get(url);
+    }
+    const original = known.get(originals.get(url))?.original_url || originals.get(url);
+    const link = classifyLink(url);
+    return original === url ? link : { ...link, original_url: original };
+  });
+  
+  return { all_links: allLinks, links };
+}
+
+/**
+ * Collapses bookmarks that refer to the same tweet, keeping the first entry and
+ * filling in anything it is missing from the duplicates
+ * 
+ * @param {Array<Object>} bookmarks - Bookmarks with canonical tweet URLs
+ * @returns {Array<Object>} Bookmarks with one entry per tweet, in original order
+ */
+function dedupeBookmarks(bookmarks) {
+  /** @type {Map<string, Object>} */
+  const byKey = new Map();
+  
+  for (const bookmark of bookmarks) {
+    const key = tweetKey(bookmark.tweet_url);
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...bookmark });
+      continue;
+    }
+    
+    for (const [field, value] of Object.entries(bookmark)) {
+      if (field === 'all_links') {
+        existing.all_links = [...new Set([...(existing.all_links || []), ...(value || [])])];
+      } else if (field === 'github_repos') {
+        existing.github_repos = githubReposFromLinks([...(existing.github_repos || []), ...(value || [])]);
+      } else if (field === 'links') {
+        const seen = new Set((existing.links || []).map(link => link.url));
+        existing.links = [...(existing.links || []), ...(value || []).filter(link => !seen.has(link.url))];
+      } else if ((existing[field] === null || existing[field] === undefined) && value !== null && value !== undefined) {
+        existing[field] = value;
+      }
+    }
+  }
+  
+  return Array.from(byKey.values());
+}
+
+/**
+ * Loads the tweet URLs already saved in an output file, used to detect
+ * bookmarks that were mined by a previous run. Bookmarks that --include or the
+ * filters left out of the file are added from its scraped tweet index.
+ * 
+ * @param {string} outputPath - Path to an existing output file
+ * @param {string} [format='json'] - Format of the file: json, ndjson, sqlite, csv or tsv
+ * @returns {Promise<Set<string>>} Set of tweet URLs in the file, or tweet ids for NDJSON and SQLite files
+ *   and the scraped tweet index (empty if missing or invalid)
+ */
+export async function loadExistingTweetUrls(outputPath, format = 'json') {
+  if (!existsSync(outputPath)) {
+    return new Set();
+  }
+  
+  const known = await readSavedTweetUrls(outputPath, format);
+  readSeenTweets(outputPath).forEach(key => known.add(key));
+  return known;
+}
+
+/**
+ * Reads the tweet URLs saved in an existing output file
+ * 
+ * @param {string} outputPath - Path to an existing output file
+ * @param {string} format - Format of the file: json, ndjson, sqlite, csv or tsv
+ * @returns {Promise<Set<string>>} Set of tweet URLs in the file, or tweet ids for NDJSON and SQLite files
+ *   (empty if invalid)
+ */
+async function readSavedTweetUrls(outputPath, format) {
+  try {
+    if (format === 'ndjson') {
+      return readTweetIndex(outputPath);
+    }
+    
+    if (format === 'sqlite') {
+      const database = await openDatabase(outputPath);
+      try {
+        return database.tweetIds();
+      } finally {
+        database.close();
+      }
+    }
+    
+    if (format === 'csv' || format === 'tsv') {
+      const [header = [], ...rows] = parseDelimited(await fs.readFile(outputPath, 'utf8'), format === 'tsv' ? '\t' : ',');
+      const urlIndex = header.indexOf('tweet_url');
+      if (urlIndex === -1) {
+        logger.warn(`Existing output file ${outputPath} has no tweet_url column, ignoring it`);
+        return new Set();
+      }
+      return new Set(rows.map(row => row[urlIndex]).filter(Boolean).map(canonicalTweetUrl));
+    }
+    
+    const existingData = JSON.parse(await fs.readFile(outputPath, 'utf8'));
+    if (!Array.isArray(existingData)) {
+      logger.warn(`Existing output file ${outputPath} is not a JSON array, ignoring it`);
+      return new Set();
+    }
+    return new Set(existingData.map(item => item.tweet_url).filter(Boolean).map(canonicalTweetUrl));
+  } catch (error) {
+    logger.warn(`Could not read existing output file ${outputPath}: ${error.message}`);
+    return new Set();
+  }
+}
+
+/**
+ * Header every SQLite database file starts with
+ * @type {string}
+ */
+const SQLITE_HEADER = 'SQLite format 3\0';
+
+/**
+ * Loads the bookmarks of an earlier run for --input, from an output file (JSON array or
+ * NDJSON), a checkpoint journal (one JSON object per line) or an SQLite database
+ * 
+ * @param {string} inputPath - Path to the file
+ * @returns {Promise<Array<Object>>} Bookmarks in file order (order first saved for databases)
+ * @throws {Error} If the file cannot be read or holds none of these formats
+ */
+export async function loadBookmarksFile(inputPath) {
+  const buffer = await fs.readFile(inputPath);
+  
+  if (buffer.subarray(0, SQLITE_HEADER.length).toString('latin1') === SQLITE_HEADER) {
+    const database = await openDatabase(inputPath);
+    try {
+      return database.exportBookmarks();
+    } finally {
+      database.close();
+    }
+  }
+  
+  const content = buffer.toString('utf8');
+  
+  if (content.trimStart().startsWith('[')) {
+    const data = JSON.parse(content);
+    if (!Array.isArray(data)) {
+      throw new Error(`${inputPath} is not a JSON array of bookmarks`);
+    }
+    return data;
+  }
+  
+  return content.split('\n').filter(line => line.trim()).map((line, index) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${inputPath} line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+  });
+}
+
 /**
  * Generates a human-readable summary of the scraping results
  * 
@@ -152,12 +707,19 @@ export async function processOutput(bookmarks, config) {
  * @param {number} originalCount - Total number of bookmarks processed
  * @param {Object} config - Configuration options
  * @param {string} config.output - Path to output file
+ * @param {boolean} [config.media] - Whether media was archived
+ * @param {string} [config.mediaDir] - Directory media was archived to
+ * @param {string} [config.include] - Inclusion policy the output was written with
  * @returns {string} Human-readable summary text
  */
 export function generateSummary(bookmarks, originalCount, config) {
-  const withLinksCount = bookmarks.length;
+  const filtered = hasFilters(config);
+  const withLinksCount = filtered
+    ? bookmarks.filter(b => b.github_url || b.all_links?.length > 0 || (config.media && b.media?.length > 0)).length
+    : bookmarks.length;
   const withoutLinksCount = originalCount - withLinksCount;
   const gitHubLinksCount = bookmarks.filter(b => b.github_url).length;
+  const gitHubReposCount = githubReposFromLinks(bookmarks.flatMap(b => b.github_repos || [])).length;
   const totalLinksCount = bookmarks.reduce((total, b) => total + (b.all_links?.length || 0), 0);
   
   const summary = [
@@ -165,14 +727,50 @@ export function generateSummary(bookmarks, originalCount, config) {
     `================================`,
     ``,
     `Total bookmarks processed: ${originalCount}`,
-    `Bookmarks with any links: ${withLinksCount}`,
+    `Bookmarks with any links${config.media ? ' or media' : ''}: ${withLinksCount}`,
     `Bookmarks with GitHub links: ${gitHubLinksCount}`,
+    `Distinct GitHub repositories: ${gitHubReposCount}`,
     `Total links captured: ${totalLinksCount}`,
-    `Bookmarks without links: ${withoutLinksCount}`,
+    // With filters the output holds a chosen subset, not simply every bookmark with links
+    filtered
+      ? `Bookmarks saved (${describeFilters(config)}): ${bookmarks.length}`
+      : `Bookmarks without links${config.media ? ' or media' : ''}: ${withoutLinksCount}`,
     `Results saved to: ${config.output}`,
     ``
   ];
   
+  // Older entries loaded on append may not carry categorized links yet
+  const categoryCounts = countByCategory(bookmarks.flatMap(linksOf));
+  const categories = Object.entries(categoryCounts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  if (categories.length > 0) {
+    summary.push(`Links by category:`);
+    categories.forEach(([category, count]) => summary.push(`- ${category}: ${count}`));
+    summary.push(``);
+  }
+  
+  // Where links came from on the tweet page (entries from older runs have no source)
+  const sourceCounts = {};
+  bookmarks.flatMap(b => b.links || []).filter(link => link.source).forEach(link => {
+    sourceCounts[link.source] = (sourceCounts[link.source] || 0) + 1;
+  });
+  const sources = Object.entries(sourceCounts).sort((a, b) => b[1] - a[1]);
+  if (sources.length > 0) {
+    summary.push(`Links by source:`);
+    sources.forEach(([source, count]) => summary.push(`- ${source}: ${count}`));
+    summary.push(``);
+  }
+  
+  // Media archive, when bookmarks were mined with --media
+  const media = bookmarks.flatMap(b => b.media || []);
+  if (media.length > 0) {
+    const archived = media.filter(item => item.path);
+    summary.push(`Media archived: ${archived.length} of ${media.length} files (${new Set(archived.map(item => item.sha256)).size} distinct)`);
+    if (config.mediaDir) {
+      summary.push(`Media saved to: ${config.mediaDir}`);
+    }
+    summary.push(``);
+  }
+  
   if (withLinksCount > 0) {
     if (gitHubLinksCount > 0) {
       summary.push(`Sample of extracted GitHub links:`);
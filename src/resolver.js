@@ -0,0 +1,257 @@
+/**
+ * @module resolver
+ * @description TwiMine link resolver: Follows t.co and other redirect chains over plain HTTP
+ * (Location headers, meta refresh and the t.co interstitial) instead of loading every
+ * destination in a browser page, and reports when a link needs a real browser after all
+ */
+
+import { logger } from './utils/logger.js';
+
+/**
+ * Result of resolving a link
+ * @typedef {Object} ResolveResult
+ * @property {string} url - Final URL reached (the last URL tried if resolution stopped early)
+ * @property {number|null} status - HTTP status of the final response, null if no response arrived
+ * @property {Array<string>} chain - Every URL visited, starting with the input URL
+ * @property {boolean} needsBrowser - True when the server only redirects with JavaScript, blocks
+ *   non-browser clients or could not be reached over HTTP, so the link should be opened in a page
+ */
+
+/**
+ * Options for resolving a link
+ * @typedef {Object} ResolveOptions
+ * @property {number} [maxRedirects=10] - Maximum number of redirects to follow
+ * @property {number} [timeout=10000] - Timeout for each request in milliseconds
+ * @property {string} [userAgent] - User agent sent with each request
+ * @property {import('./utils/pool.js').HostScheduler} [schedule] - Runs each request, e.g. to apply
+ *   per-host politeness limits (requests run immediately by default)
+ */
+
+/**
+ * Largest part of an HTML body read when looking for a meta refresh or script redirect
+ * @type {number}
+ */
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Statuses that often mean the server turns away non-browser clients (bot walls, rate limits)
+ * @type {number[]}
+ */
+const BROWSER_STATUSES = [403, 429, 503];
+
+/**
+ * Matches `<meta http-equiv="refresh" content="0;URL=...">` in either attribute order
+ * @type {RegExp}
+ */
+const META_REFRESH_PATTERN = /<meta[^>]+http-equiv=["']?refresh["']?[^>]*>/i;
+
+/**
+ * Matches the script redirect on the t.co interstitial: `location.replace("https:\/\/...")`
+ * @type {RegExp}
+ */
+const SCRIPT_REDIRECT_PATTERN = /location\.replace\(\s*["']([^"']+)["']\s*\)/;
+
+/**
+ * Markers of bot-challenge walls that only a browser can get past
+ * @type {RegExp}
+ */
+const CHALLENGE_PATTERN = /cf-chl|challenge-platform|_Incapsula_Resource|captcha-delivery/i;
+
+/**
+ * Markers of small placeholder pages that redirect or render with script only
+ * @type {RegExp}
+ */
+const SCRIPT_ONLY_PATTERN = /enable javascript|javascript is (?:required|disabled)|window\.location(?:\.href)?\s*=/i;
+
+/**
+ * Pages larger than this are real content even if they mention JavaScript
+ * @type {number}
+ */
+const PLACEHOLDER_PAGE_BYTES = 4096;
+
+/**
+ * Follows a link to its final destination over HTTP
+ * 
+ * Each hop is requested with HEAD first and GET when the server rejects HEAD or answers
+ * with an HTML page, whose start is checked for a meta refresh or the t.co script redirect.
+ * 
+ * @param {string} url - Link to resolve
+ * @param {ResolveOptions} [options] - Resolver options
+ * @returns {Promise<ResolveResult>} Final URL, status and redirect chain
+ */
+export async function resolveUrl(url, { maxRedirects = 10, timeout = 10000, userAgent, schedule } = {}) {
+  const chain = [url];
+  let current = url;
+  
+  try {
+    const protocol = new URL(url).protocol;
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      return { url, status: null, chain, needsBrowser: true };
+    }
+  } catch (e) {
+    // Relative or malformed links are left to the browser, which knows the page they came from
+    return { url, status: null, chain, needsBrowser: true };
+  }
+  
+  const headers = userAgent ? { 'user-agent': userAgent } : {};
+  const send = (method) => schedule
+    ? schedule(current, () => request(current, method, headers, timeout))
+    : request(current, method, headers, timeout);
+  
+  for (let hop = 0; ; hop++) {
+    let response;
+    let next = null;
+    
+    try {
+      response = await send('HEAD');
+      
+      // Some servers reject or mishandle HEAD; repeat the hop as GET
+      if (response.status >= 400) {
+        response = await send('GET');
+      }
+      
+      if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+        next = new URL(response.headers.get('location'), current).href;
+      } else if (response.status < 300 && isHtml(response)) {
+        if (response.method === 'HEAD') {
+          response = await send('GET');
+        }
+        const body = await readBody(response);
+        next = findHtmlRedirect(body, current);
+        
+        const scriptOnly = body.length < PLACEHOLDER_PAGE_BYTES && SCRIPT_ONLY_PATTERN.test(body);
+        if (!next && (scriptOnly || CHALLENGE_PATTERN.test(body))) {
+          logger.debug(`${current} needs JavaScript, falling back to the browser`);
+          return { url: current, status: response.status, chain, needsBrowser: true };
+        }
+      }
+    } catch (error) {
+      logger.debug(`HTTP request to ${current} failed: ${error.message}`);
+      return { url: current, status: null, chain, needsBrowser: true };
+    } finally {
+      // Release the connection when the body was not read
+      if (response && !response.bodyUsed && response.body) {
+        await response.body.cancel().catch(() => {});
+      }
+    }
+    
+    if (!next) {
+      const needsBrowser = BROWSER_STATUSES.includes(response.status);
+      if (needsBrowser) {
+        logger.debug(`${current} answered ${response.status}, falling back to the browser`);
+      }
+      return { url: current, status: response.status, chain, needsBrowser };
+    }
+    
+    if (chain.includes(next)) {
+      logger.debug(`Redirect loop at ${next}, stopping at ${current}`);
+      return { url: current, status: response.status, chain, needsBrowser: false };
+    }
+    
+    if (hop === maxRedirects) {
+      logger.warn(`Gave up on ${url} after ${maxRedirects} redirects, keeping ${current}`);
+      return { url: current, status: response.status, chain, needsBrowser: false };
+    }
+    
+    chain.push(next);
+    current = next;
+  }
+}
+
+/**
+ * Sends one request without following redirects
+ * 
+ * @param {string} url - URL to request
+ * @param {'HEAD'|'GET'} method - HTTP method
+ * @param {Object<string, string>} headers - Request headers
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response & {method: string}>} Response, tagged with the method used
+ */
+async function request(url, method, headers, timeout) {
+  const response = await fetch(url, {
+    method,
+    headers,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(timeout)
+  });
+  return Object.assign(response, { method });
+}
+
+/**
+ * Check whether a response is an HTML page
+ * 
+ * @param {Response} response - HTTP response
+ * @returns {boolean} True for text/html responses
+ */
+function isHtml(response) {
+  return (response.headers.get('content-type') || '').includes('text/html');
+}
+
+/**
+ * Reads the start of a response body, enough to find a redirect in the page head
+ * 
+ * @param {Response} response - HTTP response
+ * @returns {Promise<string>} Up to MAX_BODY_BYTES of the body as text
+ */
+async function readBody(response) {
+  if (!response.body) {
+    return '';
+  }
+  
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  
+  while (size < MAX_BODY_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    size += value.length;
+  }
+  await reader.cancel().catch(() => {});
+  
+  return Buffer.concat(chunks).toString('utf8', 0, Math.min(size, MAX_BODY_BYTES));
+}
+
+/**
+ * Finds a redirect in an HTML page: a meta refresh, or the script redirect
+ * on the t.co interstitial
+ * 
+ * @param {string} html - Start of the HTML page
+ * @param {string} baseUrl - URL of the page, used to resolve relative targets
+ * @returns {string|null} Absolute redirect target, or null if the page does not redirect
+ */
+export function findHtmlRedirect(html, baseUrl) {
+  const meta = html.match(META_REFRESH_PATTERN);
+  if (meta) {
+    const content = meta[0].match(/content\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const value = content ? (content[1] ?? content[2] ?? content[3]) : '';
+    const target = value.match(/url\s*=\s*['"]?([^'"]+)/i);
+    if (target) {
+      return new URL(decodeEntities(target[1].trim()), baseUrl).href;
+    }
+  }
+  
+  const script = html.match(SCRIPT_REDIRECT_PATTERN);
+  if (script) {
+    return new URL(script[1].replace(/\\\//g, '/'), baseUrl).href;
+  }
+  
+  return null;
+}
+
+/**
+ * Decodes the HTML entities that appear in URLs inside attributes
+ * 
+ * @param {string} value - Attribute value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&#x2F;/gi, '/')
+    .replace(/&#47;/g, '/')
+    .replace(/&quot;/g, '"');
+}
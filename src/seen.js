@@ -0,0 +1,81 @@
+/**
+ * @module seen
+ * @description TwiMine scraped tweet index: Records the id of every bookmark mined into an
+ * output file, including the ones --include or the filters left out of it, so --since-last
+ * recognizes them on the next run instead of mining them again
+ */
+
+import fs from 'fs';
+import { logger } from './utils/logger.js';
+import { ensureOutputDir } from './utils/config.js';
+import { tweetKey } from './utils/urls.js';
+
+/**
+ * Returns the path of the scraped tweet index kept next to an output file
+ * 
+ * @param {string} outputPath - Path to the output file
+ * @returns {string} Path to the index file
+ */
+export function seenPath(outputPath) {
+  return `${outputPath}.seen`;
+}
+
+/**
+ * Reads the tweet ids mined into an output file by earlier runs, one id per line
+ * 
+ * @param {string} outputPath - Path to the output file
+ * @returns {Set<string>} De-duplication keys of the mined tweets (empty if there is no index)
+ */
+export function readSeenTweets(outputPath) {
+  const filePath = seenPath(outputPath);
+  if (!fs.existsSync(filePath)) {
+    return new Set();
+  }
+  
+  try {
+    return new Set(fs.readFileSync(filePath, 'utf8').split('\n').map(line => line.trim()).filter(Boolean));
+  } catch (error) {
+    logger.warn(`Could not read scraped tweet index ${filePath}: ${error.message}`);
+    return new Set();
+  }
+}
+
+/**
+ * Records the tweets mined by this run, starting a new index unless the output was appended to
+ * 
+ * @param {string} outputPath - Path to the output file
+ * @param {Array<Object>} bookmarks - Every bookmark mined by the run, before filtering
+ * @param {Object} [options] - Index options
+ * @param {boolean} [options.append=false] - Keep the tweets recorded by earlier runs
+ * @returns {number} Number of tweets added to the index
+ */
+export function recordSeenTweets(outputPath, bookmarks, { append = false } = {}) {
+  const filePath = seenPath(outputPath);
+  const keys = append ? readSeenTweets(outputPath) : new Set();
+  const added = [];
+  
+  for (const bookmark of bookmarks) {
+    const key = bookmark.tweet_url ? tweetKey(bookmark.tweet_url) : null;
+    if (key && !keys.has(key)) {
+      keys.add(key);
+      added.push(key);
+    }
+  }
+  
+  try {
+    ensureOutputDir(filePath);
+    const lines = added.map(key => key + '\n').join('');
+    if (append) {
+      fs.appendFileSync(filePath, lines, 'utf8');
+    } else {
+      fs.writeFileSync(filePath, lines, 'utf8');
+    }
+  } catch (error) {
+    // The output itself is saved; without the index --since-last only mines a few bookmarks again
+    logger.warn(`Could not update scraped tweet index ${filePath}: ${error.message}`);
+    return 0;
+  }
+  
+  logger.debug(`Recorded ${added.length} scraped tweets in ${filePath}`);
+  return added.length;
+}
@@ -8,6 +8,74 @@ import fs from 'fs';
 import path from 'path';
 import { logger, setDebugMode } from './logger.js';
 import env from './env.js';
+import { DEFAULT_TRACKING_PARAMS } from './urls.js';
+import { INCLUDE_POLICIES, parseFilterDate } from '../filters.js';
+import { DIGEST_GROUPS } from '../digest.js';
+
+/**
+ * Places on a tweet page a link can come from: the bookmarked tweet, its author's thread,
+ * the quoted tweet, the link card, or replies by other people
+ * @type {string[]}
+ */
+export const LINK_SOURCES = ['main', 'thread', 'quote', 'card', 'reply'];
+
+/**
+ * Output formats, picked from the output file extension unless --format is given
+ * @type {Object<string, string>}
+ */
+const FORMAT_EXTENSIONS = {
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.db': 'sqlite',
+  '.sqlite': 'sqlite',
+  '.sqlite3': 'sqlite',
+  '.csv': 'csv',
+  '.tsv': 'tsv'
+};
+
+/**
+ * Formats the output file can be written in
+ * @type {string[]}
+ */
+export const OUTPUT_FORMATS = ['json', 'ndjson', 'sqlite', 'markdown', 'html', 'netscape', 'csv', 'tsv'];
+
+/**
+ * Formats an existing output file can be read back from, for --append and --since-last
+ * @type {string[]}
+ */
+export const APPENDABLE_FORMATS = ['json', 'ndjson', 'sqlite', 'csv', 'tsv'];
+
+/**
+ * Columns CSV and TSV output can have; each row is one link of a bookmark
+ * @type {string[]}
+ */
+export const CSV_COLUMNS = [
+  'username', 'display_name', 'tweet_url', 'tweet_text', 'created_at',
+  'url', 'original_url', 'category', 'source', 'source_tweet_id', 'source_author',
+  'github_url', 'reply_count', 'retweet_count', 'like_count', 'quote_count', 'bookmark_count', 'view_count',
+  'scraped_at'
+];
+
+/**
+ * Columns written to CSV and TSV output unless --columns is given
+ * @type {string[]}
+ */
+export const DEFAULT_CSV_COLUMNS = ['username', 'tweet_url', 'url', 'category', 'scraped_at'];
+
+/**
+ * Picks the output format from a file extension
+ * 
+ * @param {string} filePath - Output file path
+ * @returns {string} Output format (json for unknown extensions)
+ */
+export function formatFromPath(filePath) {
+  return FORMAT_EXTENSIONS[path.extname(filePath).toLowerCase()] || 'json';
+}
 
 /**
  * Default configuration with optimized settings
@@ -18,6 +86,16 @@ const defaultConfig = {
   password: env.TWITTER_PASSWORD,
   output: 'bookmarks.json',
   append: false,
+  format: null, // Output format: 'json', 'ndjson', 'sqlite', 'markdown', 'html', 'netscape', 'csv' or 'tsv' (defaults to the output file extension)
+  groupBy: 'category', // Grouping of Markdown and HTML digests and Netscape bookmarks: 'category' or 'author'
+  columns: DEFAULT_CSV_COLUMNS, // Columns of CSV and TSV output
+  input: null, // Existing output file to filter instead of scraping
+  include: 'links-only', // Bookmarks written: 'links-only', 'github-only' or 'all'
+  authors: [], // Only write bookmarks by these authors
+  since: null, // Only write tweets posted on or after this date
+  until: null, // Only write tweets posted on or before this date
+  categories: [], // Only write bookmarks with a link in these categories
+  keywords: [], // Only write bookmarks whose text contains one of these words
   limit: 0, // 0 means no limit
   debug: false,
   headless: true,
@@ -27,11 +105,39 @@ const defaultConfig = {
   // Scraping parameters
   scrollDelay: 500, // Milliseconds between scrolls (further reduced for faster operation)
   maxScrolls: 1000, // Safety limit for infinite scrolls (increased to allow for more bookmarks)
+  deep: false, // Visit each bookmarked tweet to mine replies (slow)
+  thread: false, // Visit each bookmarked tweet to unroll the author's thread
+  media: false, // Download the images and videos attached to each bookmark
+  mediaDir: 'media', // Content-addressed directory for downloaded media
+  mediaMaxSize: 50, // Largest media file downloaded, in MB (0 = no limit)
+  skipVideo: false, // Leave videos and GIFs out of the media archive
+  capture: 'dom', // Read bookmarks from the page DOM ('dom') or from GraphQL responses ('graphql')
+  sinceLast: false, // Incremental sync: stop at the first run of already-saved bookmarks
+  knownStreak: 5, // Consecutive already-saved bookmarks that end an incremental sync
+  linkSources: LINK_SOURCES, // Where on the tweet page links are taken from
+  maxRedirects: 10, // Redirects followed when resolving a link over HTTP
+  trackingParams: DEFAULT_TRACKING_PARAMS, // Query parameters stripped from resolved links ('utm_*' matches a prefix)
+  concurrency: 3, // Bookmarks processed at the same time (one browser page each in deep mode)
+  linkConcurrency: 8, // Links resolved at the same time across all bookmarks
+  perHostConcurrency: 2, // Requests in flight to any one host
+  perHostDelay: 250, // Minimum milliseconds between requests to one host
+  linkCache: true, // Reuse link resolutions from earlier runs
+  linkCacheFile: '.twimine-cache.json',
+  linkCacheTtl: 30, // Days before a cached link is resolved again (0 = never)
+  cacheInfo: false, // Print link cache statistics and exit
+  cacheClear: false, // Delete the link cache and exit
+  resume: false, // Resume an interrupted scrape from its journal
+  journalFile: null, // Checkpoint journal (defaults to <output>.journal.ndjson)
   retryAttempts: 3, // Number of retry attempts for operations
   retryDelay: 1000, // Delay between retries in ms
   // Twitter specific settings
   twitterBaseUrl: 'https://twitter.com',
   bookmarksPath: '/i/bookmarks',
+  // Session reuse
+  session: true, // Reuse and save the authenticated session between runs
+  sessionFile: '.twimine-session.json',
+  cookiesFile: env.TWITTER_COOKIES_FILE, // Cookie export used instead of username/password
+  totpSecret: env.TWITTER_TOTP_SECRET, // Authenticator secret for 2FA code challenges
   // User agent for stealth mode (updated to a more recent Chrome version)
   userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
 };
@@ -43,13 +149,49 @@ const defaultConfig = {
  * @param {Object} cliOptions - Command line options passed to the program
  * @param {string} [cliOptions.username] - Twitter username from CLI
  * @param {string} [cliOptions.password] - Twitter password from CLI
- * @param {string} [cliOptions.output] - Output JSON file path
+ * @param {string} [cliOptions.output] - Output file path (.json, .ndjson, .db, .md, .html, .csv or .tsv)
  * @param {boolean} [cliOptions.append] - Whether to append to existing output file
+ * @param {string} [cliOptions.format] - Output format: 'json', 'ndjson', 'sqlite', 'markdown', 'html', 'netscape', 'csv' or 'tsv'
+ * @param {string} [cliOptions.groupBy] - Grouping of Markdown and HTML digests and Netscape bookmarks: 'category' or 'author'
+ * @param {Array<string>} [cliOptions.columns] - Columns of CSV and TSV output
+ * @param {string} [cliOptions.input] - Existing output file to filter instead of scraping
+ * @param {string} [cliOptions.include] - Bookmarks written: 'links-only', 'github-only' or 'all'
+ * @param {Array<string>} [cliOptions.authors] - Only write bookmarks by these authors
+ * @param {string} [cliOptions.since] - Only write tweets posted on or after this date
+ * @param {string} [cliOptions.until] - Only write tweets posted on or before this date
+ * @param {Array<string>} [cliOptions.categories] - Only write bookmarks with a link in these categories
+ * @param {Array<string>} [cliOptions.keywords] - Only write bookmarks whose text contains one of these words
+ * @param {boolean} [cliOptions.deep] - Visit each bookmarked tweet to mine replies
+ * @param {boolean} [cliOptions.thread] - Visit each bookmarked tweet to unroll the author's thread
+ * @param {boolean} [cliOptions.media] - Download the images and videos attached to each bookmark
+ * @param {string} [cliOptions.mediaDir] - Directory for downloaded media
+ * @param {number} [cliOptions.mediaMaxSize] - Largest media file downloaded, in MB (0 = no limit)
+ * @param {boolean} [cliOptions.skipVideo] - Leave videos and GIFs out of the media archive
+ * @param {string} [cliOptions.capture] - Where to read bookmarks from: 'dom' or 'graphql'
+ * @param {boolean} [cliOptions.sinceLast] - Only mine bookmarks added since the last run (implies append)
+ * @param {number} [cliOptions.knownStreak] - Consecutive already-saved bookmarks that end an incremental sync
+ * @param {Array<string>} [cliOptions.linkSources] - Link sources to keep: main, thread, quote, card, reply
+ * @param {number} [cliOptions.maxRedirects] - Redirects followed when resolving a link
+ * @param {Array<string>} [cliOptions.trackingParams] - Query parameters stripped from resolved links
+ * @param {number} [cliOptions.concurrency] - Bookmarks processed at the same time
+ * @param {number} [cliOptions.linkConcurrency] - Links resolved at the same time
+ * @param {number} [cliOptions.perHostConcurrency] - Requests in flight to any one host
+ * @param {boolean} [cliOptions.linkCache] - Whether to reuse link resolutions from earlier runs
+ * @param {string} [cliOptions.linkCacheFile] - Path to the link cache
+ * @param {number} [cliOptions.linkCacheTtl] - Days before a cached link is resolved again (0 = never)
+ * @param {boolean} [cliOptions.cacheInfo] - Print link cache statistics and exit
+ * @param {boolean} [cliOptions.cacheClear] - Delete the link cache and exit
+ * @param {boolean} [cliOptions.resume] - Resume an interrupted scrape from its journal
+ * @param {string} [cliOptions.journalFile] - Path to the checkpoint journal
  * @param {number} [cliOptions.limit] - Maximum bookmarks to scrape
  * @param {boolean|string} [cliOptions.debug] - Enable debug logging
  * @param {boolean|string} [cliOptions.headless] - Run in headless mode
  * @param {string} [cliOptions.timeout] - Operation timeout in milliseconds
  * @param {string} [cliOptions.screenshotDir] - Directory to save debug screenshots
+ * @param {boolean} [cliOptions.session] - Whether to reuse and save the login session
+ * @param {string} [cliOptions.sessionFile] - Path to the saved session file
+ * @param {string} [cliOptions.cookiesFile] - Cookie export to log in with instead of username/password
+ * @param {string} [cliOptions.totpSecret] - Authenticator secret for 2FA code challenges
  * @returns {Object} Complete configuration object with all settings
  * @throws {Error} If configuration validation fails
  */
@@ -62,6 +204,16 @@ export function loadConfig(cliOptions = {}) {
    *   password: string|null;
    *   output: string;
    *   append: boolean;
+   *   format: string|null;
+   *   groupBy: string;
+   *   columns: Array<string>;
+   *   input: string|null;
+   *   include: string;
+   *   authors: Array<string>;
+   *   since: string|null;
+   *   until: string|null;
+   *   categories: Array<string>;
+   *   keywords: Array<string>;
    *   limit: number;
    *   debug: boolean;
    *   headless: boolean;
@@ -69,10 +221,37 @@ export function loadConfig(cliOptions = {}) {
    *   timeout: number;
    *   scrollDelay: number;
    *   maxScrolls: number;
+   *   deep: boolean;
+   *   thread: boolean;
+   *   media: boolean;
+   *   mediaDir: string;
+   *   mediaMaxSize: number;
+   *   skipVideo: boolean;
+   *   capture: string;
+   *   sinceLast: boolean;
+   *   knownStreak: number;
+   *   linkSources: Array<string>;
+   *   maxRedirects: number;
+   *   trackingParams: Array<string>;
+   *   concurrency: number;
+   *   linkConcurrency: number;
+   *   perHostConcurrency: number;
+   *   perHostDelay: number;
+   *   linkCache: boolean;
+   *   linkCacheFile: string;
+   *   linkCacheTtl: number;
+   *   cacheInfo: boolean;
+   *   cacheClear: boolean;
+   *   resume: boolean;
+   *   journalFile: string|null;
    *   retryAttempts: number;
    *   retryDelay: number;
    *   twitterBaseUrl: string;
    *   bookmarksPath: string;
+   *   session: boolean;
+   *   sessionFile: string;
+   *   cookiesFile: string|null;
+   *   totpSecret: string|null;
    *   userAgent: string;
    * }}
    */
@@ -82,6 +261,16 @@ export function loadConfig(cliOptions = {}) {
     password: null,
     output: 'bookmarks.json',
     append: false,
+    format: null, // Output format: 'json', 'ndjson', 'sqlite', 'markdown', 'html', 'netscape', 'csv' or 'tsv' (defaults to the output file extension)
+    groupBy: 'category', // Grouping of Markdown and HTML digests and Netscape bookmarks: 'category' or 'author'
+    columns: DEFAULT_CSV_COLUMNS, // Columns of CSV and TSV output
+    input: null, // Existing output file to filter instead of scraping
+    include: 'links-only', // Bookmarks written: 'links-only', 'github-only' or 'all'
+    authors: [], // Only write bookmarks by these authors
+    since: null, // Only write tweets posted on or after this date
+    until: null, // Only write tweets posted on or before this date
+    categories: [], // Only write bookmarks with a link in these categories
+    keywords: [], // Only write bookmarks whose text contains one of these words
     limit: 0, // 0 means no limit
     debug: false,
     headless: true,
@@ -90,10 +279,37 @@ export function loadConfig(cliOptions = {}) {
     timeout: 20000, // Default timeout in ms (reduced to 20s)
     scrollDelay: 500, // Milliseconds between scrolls (reduced for faster operation)
     maxScrolls: 1000, // Safety limit for infinite scrolls (increased from 500)
+    deep: false, // Visit each bookmarked tweet to mine replies (slow)
+    thread: false, // Visit each bookmarked tweet to unroll the author's thread
+    media: false, // Download the images and videos attached to each bookmark
+    mediaDir: 'media', // Content-addressed directory for downloaded media
+    mediaMaxSize: 50, // Largest media file downloaded, in MB (0 = no limit)
+    skipVideo: false, // Leave videos and GIFs out of the media archive
+    capture: 'dom', // Read bookmarks from the page DOM ('dom') or from GraphQL responses ('graphql')
+    sinceLast: false, // Incremental sync: stop at the first run of already-saved bookmarks
+    knownStreak: 5, // Consecutive already-saved bookmarks that end an incremental sync
+    linkSources: LINK_SOURCES, // Where on the tweet page links are taken from
+    maxRedirects: 10, // Redirects followed when resolving a link over HTTP
+    trackingParams: DEFAULT_TRACKING_PARAMS, // Query parameters stripped from resolved links ('utm_*' matches a prefix)
+    concurrency: 3, // Bookmarks processed at the same time (one browser page each in deep mode)
+    linkConcurrency: 8, // Links resolved at the same time across all bookmarks
+    perHostConcurrency: 2, // Requests in flight to any one host
+    perHostDelay: 250, // Minimum milliseconds between requests to one host
+    linkCache: true, // Reuse link resolutions from earlier runs
+    linkCacheFile: '.twimine-cache.json',
+    linkCacheTtl: 30, // Days before a cached link is resolved again (0 = never)
+    cacheInfo: false, // Print link cache statistics and exit
+    cacheClear: false, // Delete the link cache and exit
+    resume: false, // Resume an interrupted scrape from its journal
+    journalFile: null, // Checkpoint journal (defaults to <output>.journal.ndjson)
     retryAttempts: 3, // Number of retry attempts for operations
     retryDelay: 1000, // Delay between retries in ms
     twitterBaseUrl: 'https://twitter.com',
     bookmarksPath: '/i/bookmarks',
+    session: true, // Reuse and save the authenticated session between runs
+    sessionFile: '.twimine-session.json',
+    cookiesFile: null, // Cookie export used instead of username/password
+    totpSecret: null, // Authenticator secret for 2FA code challenges
     userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
   };
   
@@ -108,6 +324,16 @@ export function loadConfig(cliOptions = {}) {
     logger.debug('Loaded password from environment variables');
   }
   
+  if (env.TWITTER_COOKIES_FILE) {
+    config.cookiesFile = env.TWITTER_COOKIES_FILE;
+    logger.debug('Loaded cookies file from environment variables');
+  }
+  
+  if (env.TWITTER_TOTP_SECRET) {
+    config.totpSecret = env.TWITTER_TOTP_SECRET;
+    logger.debug('Loaded TOTP secret from environment variables');
+  }
+  
   // Use timeout from env if specified
   if (env.TIMEOUT) {
     config.timeout = env.TIMEOUT;
@@ -118,7 +344,9 @@ export function loadConfig(cliOptions = {}) {
   Object.keys(cliOptions).forEach(key => {
     if (cliOptions[key] !== undefined) {
       // Handle boolean options
-      if (key === 'headless' || key === 'debug' || key === 'append') {
+      if (key === 'headless' || key === 'debug' || key === 'append' || key === 'session' ||
+          key === 'sinceLast' || key === 'resume' || key === 'deep' || key === 'thread' || key === 'linkCache' ||
+          key === 'cacheInfo' || key === 'cacheClear' || key === 'media' || key === 'skipVideo') {
         if (cliOptions[key] === 'true' || cliOptions[key] === true) {
           config[key] = true;
         } else if (cliOptions[key] === 'false' || cliOptions[key] === false) {
@@ -134,6 +362,22 @@ export function loadConfig(cliOptions = {}) {
     }
   });
   
+  // The output file extension picks the format unless one is given
+  if (!config.format) {
+    config.format = formatFromPath(config.output);
+  }
+  
+  // Keep the journal next to the output file unless told otherwise
+  if (!config.journalFile) {
+    config.journalFile = `${config.output}.journal.ndjson`;
+  }
+  
+  // An incremental sync only makes sense when adding to the existing output
+  if (config.sinceLast && !config.append) {
+    config.append = true;
+    logger.debug('Enabled append mode for incremental sync');
+  }
+  
   // Set debug mode if specified
   if (config.debug) {
     setDebugMode(true);
@@ -153,6 +397,8 @@ export function loadConfig(cliOptions = {}) {
   sanitizedConfig.username = '[REDACTED]';
   // @ts-ignore - We know these properties exist
   sanitizedConfig.password = '[REDACTED]';
+  // @ts-ignore - We know these properties exist
+  sanitizedConfig.totpSecret = config.totpSecret ? '[REDACTED]' : null;
   logger.debug('Configuration loaded:', sanitizedConfig);
   
   return config;
@@ -164,21 +410,57 @@ export function loadConfig(cliOptions = {}) {
  * @param {Object} config - Configuration to validate
  * @param {string|null} config.username - Twitter username
  * @param {string|null} config.password - Twitter password
+ * @param {string|null} [config.cookiesFile] - Cookie export used instead of username/password
+ * @param {string|null} [config.input] - Existing output file to filter, no login needed
+ * @param {string} [config.output] - Output file
+ * @param {boolean} [config.append] - Whether to append to the output file
+ * @param {string} [config.format] - Output format
+ * @param {string} [config.groupBy] - Grouping of Markdown and HTML digests and Netscape bookmarks
+ * @param {Array<string>} [config.columns] - Columns of CSV and TSV output
+ * @param {string} [config.include] - Inclusion policy
+ * @param {string|null} [config.since] - Earliest tweet date written
+ * @param {string|null} [config.until] - Latest tweet date written
  * @param {number} [config.timeout] - Operation timeout in milliseconds
  * @param {number} [config.limit] - Maximum bookmarks to scrape
  * @param {number} [config.scrollDelay] - Delay between scrolls in milliseconds
+ * @param {number} [config.knownStreak] - Consecutive already-saved bookmarks that end an incremental sync
+ * @param {Array<string>} [config.linkSources] - Link sources to keep
+ * @param {number} [config.maxRedirects] - Redirects followed when resolving a link
+ * @param {number} [config.concurrency] - Bookmarks processed at the same time
+ * @param {number} [config.linkConcurrency] - Links resolved at the same time
+ * @param {number} [config.perHostConcurrency] - Requests in flight to any one host
+ * @param {number} [config.perHostDelay] - Minimum milliseconds between requests to one host
+ * @param {number} [config.linkCacheTtl] - Days before a cached link is resolved again
+ * @param {number} [config.mediaMaxSize] - Largest media file downloaded, in MB
+ * @param {boolean} [config.cacheInfo] - Only inspecting the link cache, no login needed
+ * @param {boolean} [config.cacheClear] - Only clearing the link cache, no login needed
+ * @param {string} [config.capture] - Where to read bookmarks from: 'dom' or 'graphql'
  * @returns {string[]} Array of validation error messages
  */
 function validateConfig(config) {
   const errors = [];
   
-  // Check required fields
-  if (!config.username) {
-    errors.push('Missing required configuration: username');
-  }
-  
-  if (!config.password) {
-    errors.push('Missing required configuration: password');
+  // Check required fields - cookie import mode, link cache maintenance and filtering an
+  // existing file (which never log in) do not need credentials
+  const cacheMaintenance = config.cacheInfo || config.cacheClear;
+  if (config.input) {
+    if (!fs.existsSync(config.input)) {
+      errors.push(`Input file not found: ${config.input}`);
+    } else if (!config.append && path.resolve(config.input) === path.resolve(config.output)) {
+      errors.push('The input file cannot be overwritten with its filtered copy: choose another --output');
+    }
+  } else if (config.cookiesFile) {
+    if (!fs.existsSync(config.cookiesFile)) {
+      errors.push(`Cookies file not found: ${config.cookiesFile}`);
+    }
+  } else if (!cacheMaintenance) {
+    if (!config.username) {
+      errors.push('Missing required configuration: username');
+    }
+    
+    if (!config.password) {
+      errors.push('Missing required configuration: password');
+    }
   }
   
   // Validate numeric values
@@ -194,6 +476,73 @@ function validateConfig(config) {
     errors.push('Invalid scrollDelay value: must be a number >= 100ms');
   }
   
+  if (config.knownStreak !== undefined && (isNaN(config.knownStreak) || config.knownStreak < 1)) {
+    errors.push('Invalid knownStreak value: must be a number >= 1');
+  }
+  
+  if (config.maxRedirects !== undefined && (isNaN(config.maxRedirects) || config.maxRedirects < 1)) {
+    errors.push('Invalid maxRedirects value: must be a number >= 1');
+  }
+  
+  ['concurrency', 'linkConcurrency', 'perHostConcurrency'].forEach(key => {
+    if (config[key] !== undefined && (isNaN(config[key]) || config[key] < 1)) {
+      errors.push(`Invalid ${key} value: must be a number >= 1`);
+    }
+  });
+  
+  if (config.perHostDelay !== undefined && (isNaN(config.perHostDelay) || config.perHostDelay < 0)) {
+    errors.push('Invalid perHostDelay value: must be a number >= 0ms');
+  }
+  
+  if (config.linkCacheTtl !== undefined && (isNaN(config.linkCacheTtl) || config.linkCacheTtl < 0)) {
+    errors.push('Invalid linkCacheTtl value: must be a number of days >= 0');
+  }
+  
+  if (config.mediaMaxSize !== undefined && (isNaN(config.mediaMaxSize) || config.mediaMaxSize < 0)) {
+    errors.push('Invalid mediaMaxSize value: must be a number of MB >= 0');
+  }
+  
+  if (config.capture && !['dom', 'graphql'].includes(config.capture)) {
+    errors.push(`Invalid capture mode: ${config.capture} (must be "dom" or "graphql")`);
+  }
+  
+  if (config.format && !OUTPUT_FORMATS.includes(config.format)) {
+    errors.push(`Invalid output format: ${config.format} (must be ${OUTPUT_FORMATS.join(', ')})`);
+  } else if (config.append && config.format && !APPENDABLE_FORMATS.includes(config.format)) {
+    // Digests cannot be read back, so there is nothing to append to or sync against
+    errors.push(`--append and --since-last need a JSON, NDJSON, SQLite, CSV or TSV output file, not ${config.format}: render the digest from it with --input`);
+  }
+  
+  if (config.columns) {
+    const unknown = config.columns.filter(column => !CSV_COLUMNS.includes(column));
+    if (unknown.length > 0 || config.columns.length === 0) {
+      errors.push(`Invalid columns: ${unknown.join(', ') || '(none)'} (choose from ${CSV_COLUMNS.join(', ')})`);
+    }
+  }
+  
+  if (config.groupBy && !DIGEST_GROUPS.includes(config.groupBy)) {
+    errors.push(`Invalid groupBy value: ${config.groupBy} (must be ${DIGEST_GROUPS.join(' or ')})`);
+  }
+  
+  if (config.include && !INCLUDE_POLICIES.includes(config.include)) {
+    errors.push(`Invalid include policy: ${config.include} (must be ${INCLUDE_POLICIES.join(', ')})`);
+  }
+  
+  ['since', 'until'].forEach(key => {
+    try {
+      parseFilterDate(config[key]);
+    } catch (error) {
+      errors.push(`Invalid ${key} value: ${error.message}`);
+    }
+  });
+  
+  if (config.linkSources) {
+    const unknown = config.linkSources.filter(source => !LINK_SOURCES.includes(source));
+    if (unknown.length > 0 || config.linkSources.length === 0) {
+      errors.push(`Invalid link sources: ${unknown.join(', ') || '(none)'} (choose from ${LINK_SOURCES.join(', ')})`);
+    }
+  }
+  
   return errors;
 }
 
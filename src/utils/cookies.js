@@ -0,0 +1,195 @@
+/**
+ * @module utils/cookies
+ * @description TwiMine cookie import: Parses cookie exports (Netscape cookies.txt or JSON)
+ * into Playwright cookies so accounts with 2FA can log in without a password
+ */
+
+import fs from 'fs/promises';
+
+/**
+ * Cookie format accepted by Playwright's BrowserContext.addCookies
+ * @typedef {Object} PlaywrightCookie
+ * @property {string} name - Cookie name
+ * @property {string} value - Cookie value
+ * @property {string} domain - Cookie domain (with leading dot for subdomains)
+ * @property {string} path - Cookie path
+ * @property {number} expires - Unix timestamp in seconds, -1 for session cookies
+ * @property {boolean} httpOnly - Whether the cookie is HTTP only
+ * @property {boolean} secure - Whether the cookie is secure
+ * @property {'Strict'|'Lax'|'None'} sameSite - SameSite policy
+ */
+
+/**
+ * Cookies Twitter needs to recognise a logged-in session
+ * @type {string[]}
+ */
+export const REQUIRED_COOKIES = ['auth_token', 'ct0'];
+
+/**
+ * Twitter serves the same session from both domains, so every imported
+ * cookie is set on each of them
+ * @type {string[]}
+ */
+const TWITTER_DOMAINS = ['.twitter.com', '.x.com'];
+
+/**
+ * Load and parse a cookie export file
+ * 
+ * @param {string} filePath - Path to a Netscape cookies.txt or JSON cookie export
+ * @returns {Promise<Array<PlaywrightCookie>>} Cookies ready to add to a browser context
+ * @throws {Error} If the file cannot be read or lacks the required cookies
+ */
+export async function loadCookieFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read cookie file ${filePath}: ${error.message}`);
+  }
+  
+  const cookies = parseCookies(content);
+  
+  const missing = REQUIRED_COOKIES.filter(name => !cookies.some(cookie => cookie.name === name));
+  if (missing.length > 0) {
+    throw new Error(`Cookie file ${filePath} is missing required cookies: ${missing.join(', ')}`);
+  }
+  
+  return cookies;
+}
+
+/**
+ * Parse cookie export content, detecting JSON or Netscape format
+ * 
+ * @param {string} content - Raw cookie file content
+ * @returns {Array<PlaywrightCookie>} Twitter cookies for both twitter.com and x.com
+ */
+export function parseCookies(content) {
+  const trimmed = content.trim();
+  const rawCookies = trimmed.startsWith('[') || trimmed.startsWith('{')
+    ? parseJsonCookies(trimmed)
+    : parseNetscapeCookies(trimmed);
+  
+  // Only keep Twitter cookies and mirror them onto both domains
+  /** @type {Map<string, PlaywrightCookie>} */
+  const cookies = new Map();
+  for (const cookie of rawCookies) {
+    if (!cookie.name || cookie.value === undefined || !isTwitterDomain(cookie.domain)) {
+      continue;
+    }
+    for (const domain of TWITTER_DOMAINS) {
+      cookies.set(`${domain}|${cookie.path}|${cookie.name}`, { ...cookie, domain });
+    }
+  }
+  
+  return Array.from(cookies.values());
+}
+
+/**
+ * Parse a JSON cookie export: either a plain array, as written by most browser
+ * extensions, or an object with a `cookies` array such as a Playwright storage state
+ * 
+ * @param {string} content - JSON content
+ * @returns {Array<PlaywrightCookie>} Parsed cookies
+ * @throws {Error} If the content is not valid JSON or has no cookie array
+ */
+function parseJsonCookies(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Cookie file is not valid JSON: ${error.message}`);
+  }
+  
+  const entries = Array.isArray(data) ? data : data.cookies;
+  if (!Array.isArray(entries)) {
+    throw new Error('Cookie file JSON must be an array of cookies or contain a "cookies" array');
+  }
+  
+  return entries.map(entry => {
+    const expires = entry.expires ?? entry.expirationDate ?? entry.expiry;
+    return {
+      name: String(entry.name),
+      value: String(entry.value ?? ''),
+      // Bare name/value pairs are assumed to belong to Twitter
+      domain: entry.domain || TWITTER_DOMAINS[0],
+      path: entry.path || '/',
+      expires: typeof expires === 'number' && expires > 0 ? Math.floor(expires) : -1,
+      httpOnly: Boolean(entry.httpOnly),
+      secure: entry.secure !== undefined ? Boolean(entry.secure) : true,
+      sameSite: normalizeSameSite(entry.sameSite)
+    };
+  });
+}
+
+/**
+ * Parse a Netscape cookies.txt export
+ * 
+ * @param {string} content - cookies.txt content
+ * @returns {Array<PlaywrightCookie>} Parsed cookies
+ */
+function parseNetscapeCookies(content) {
+  const cookies = [];
+  
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.trim();
+    let httpOnly = false;
+    
+    // curl and browser extensions mark HttpOnly cookies with a comment-like prefix
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (!line || line.startsWith('#')) {
+      continue;
+    }
+    
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      continue;
+    }
+    
+    const [domain, , path, secure, expires, name, ...valueParts] = fields;
+    const expiresAt = parseInt(expires, 10);
+    
+    cookies.push({
+      name,
+      value: valueParts.join('\t'),
+      domain,
+      path: path || '/',
+      expires: expiresAt > 0 ? expiresAt : -1,
+      httpOnly,
+      secure: secure.toUpperCase() === 'TRUE',
+      sameSite: /** @type {'Lax'} */ ('Lax')
+    });
+  }
+  
+  return cookies;
+}
+
+/**
+ * Map the various sameSite spellings used by exporters onto Playwright's values
+ * 
+ * @param {string|undefined} value - sameSite value from the export
+ * @returns {'Strict'|'Lax'|'None'} Playwright sameSite value
+ */
+function normalizeSameSite(value) {
+  switch (String(value || '').toLowerCase()) {
+    case 'strict':
+      return 'Strict';
+    case 'none':
+    case 'no_restriction':
+      return 'None';
+    default:
+      return 'Lax';
+  }
+}
+
+/**
+ * Check whether a cookie domain belongs to Twitter
+ * 
+ * @param {string} domain - Cookie domain
+ * @returns {boolean} True for twitter.com and x.com domains
+ */
+function isTwitterDomain(domain) {
+  const host = String(domain || '').replace(/^\./, '').toLowerCase();
+  return TWITTER_DOMAINS.some(candidate => host === candidate.slice(1) || host.endsWith(candidate));
+}
@@ -18,7 +18,8 @@ const rootDir = path.resolve(__dirname, '../../');
 
 /**
  * Load environment variables from .env file
- * @returns {Object} Environment variables object containing TWITTER_USERNAME, TWITTER_PASSWORD, LOG_LEVEL, and TIMEOUT
+ * @returns {Object} Environment variables object containing TWITTER_USERNAME, TWITTER_PASSWORD,
+ * TWITTER_COOKIES_FILE, TWITTER_TOTP_SECRET, LOG_LEVEL, and TIMEOUT
  */
 export function loadEnv() {
   // Check if .env file exists in the root directory
@@ -44,6 +45,12 @@ export function loadEnv() {
     /** @type {string|undefined} Twitter password for login */
     TWITTER_PASSWORD: process.env.TWITTER_PASSWORD,
     
+    /** @type {string|undefined} Cookie export (cookies.txt or JSON) to log in with instead of a password */
+    TWITTER_COOKIES_FILE: process.env.TWITTER_COOKIES_FILE,
+    
+    /** @type {string|undefined} Authenticator (TOTP) secret for answering 2FA code challenges */
+    TWITTER_TOTP_SECRET: process.env.TWITTER_TOTP_SECRET,
+    
     /** @type {string} Logging level (debug, info, warn, error) */
     LOG_LEVEL: process.env.LOG_LEVEL || 'info',
     
@@ -57,6 +64,8 @@ export function loadEnv() {
  * @type {Object}
  * @property {string|undefined} TWITTER_USERNAME - Twitter username or email for login
  * @property {string|undefined} TWITTER_PASSWORD - Twitter password for login
+ * @property {string|undefined} TWITTER_COOKIES_FILE - Cookie export to log in with instead of a password
+ * @property {string|undefined} TWITTER_TOTP_SECRET - Authenticator secret for answering 2FA code challenges
  * @property {string} LOG_LEVEL - Logging level (debug, info, warn, error)
  * @property {number|undefined} TIMEOUT - Custom timeout value in milliseconds
  */
@@ -0,0 +1,148 @@
+/**
+ * @module utils/github
+ * @description TwiMine GitHub helpers: Parses GitHub URLs into the repository they belong to,
+ * so deep links (/blob/..., /tree/..., /issues/12, ?tab=readme) collapse to one repo identity
+ */
+
+/**
+ * GitHub URL parsed into its repository and the page within it
+ * @typedef {Object} GitHubUrl
+ * @property {string} owner - User or organisation that owns the repository
+ * @property {string} repo - Repository name (without a .git suffix)
+ * @property {string} kind - Page type: repo, blob, tree, issue, pull, commit, release,
+ *   discussion, wiki, actions or another repository section name
+ * @property {string|null} ref - Branch, tag or commit for blob/tree/commit/release pages,
+ *   the number for issues, pull requests and discussions
+ * @property {string|null} path - File or directory path within the repository for blob/tree pages
+ */
+
+/**
+ * Top-level GitHub paths that are site pages rather than users or organisations
+ * @type {string[]}
+ */
+export const GITHUB_RESERVED_OWNERS = ['login', 'signup', 'account', 'settings', 'features', 'pricing',
+  'about', 'explore', 'topics', 'trending', 'marketplace', 'sponsors', 'orgs', 'organizations',
+  'notifications', 'search', 'apps', 'collections', 'enterprise', 'security', 'site', 'new',
+  'codespaces', 'customer-stories', 'readme', 'pulls', 'issues', 'watching', 'stars'];
+
+/**
+ * Repository sections whose third path segment is a number rather than a ref
+ * @type {Object<string, string>}
+ */
+const NUMBERED_SECTIONS = { issues: 'issue', pull: 'pull', pulls: 'pull', discussions: 'discussion' };
+
+/**
+ * Matches github.com URLs in free text, stopping at whitespace and closing brackets or quotes
+ * @type {RegExp}
+ */
+const GITHUB_URL_PATTERN = /https?:\/\/(?:www\.)?github\.com\/[^\s<>"'()[\]]+/g;
+
+/**
+ * Parses a GitHub URL into its repository and the page within it
+ * 
+ * @param {string} url - URL on github.com or raw.githubusercontent.com
+ * @returns {GitHubUrl|null} Parsed URL, or null if it does not point into a repository
+ */
+export function parseGitHubUrl(url) {
+  let parsed;
+  let parts;
+  try {
+    parsed = new URL(url);
+    parts = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (e) {
+    return null;
+  }
+  
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  
+  // raw.githubusercontent.com/<owner>/<repo>/<ref>/<path>
+  if (host === 'raw.githubusercontent.com') {
+    if (parts.length < 3) {
+      return null;
+    }
+    return { owner: parts[0], repo: parts[1], kind: 'blob', ref: parts[2], path: parts.slice(3).join('/') || null };
+  }
+  
+  if (host !== 'github.com') {
+    return null;
+  }
+  
+  const [owner, rawRepo, section, ...rest] = parts;
+  if (!owner || !rawRepo || GITHUB_RESERVED_OWNERS.includes(owner.toLowerCase())) {
+    return null;
+  }
+  
+  const repo = rawRepo.replace(/\.git$/, '');
+  if (!/^[A-Za-z0-9_.-]+$/.test(owner) || !/^[A-Za-z0-9_.-]+$/.test(repo) || repo === '.' || repo === '..') {
+    return null;
+  }
+  
+  const result = { owner, repo, kind: 'repo', ref: null, path: null };
+  if (!section) {
+    return result;
+  }
+  
+  if (NUMBERED_SECTIONS[section] && /^\d+$/.test(rest[0] || '')) {
+    return { ...result, kind: NUMBERED_SECTIONS[section], ref: rest[0] };
+  }
+  
+  if (section === 'blob' || section === 'tree') {
+    return { ...result, kind: section, ref: rest[0] || null, path: rest.slice(1).join('/') || null };
+  }
+  
+  if (section === 'commit' && rest[0]) {
+    return { ...result, kind: 'commit', ref: rest[0] };
+  }
+  
+  if (section === 'releases') {
+    // /releases/tag/<tag> names a release; /releases alone is the release list
+    return { ...result, kind: 'release', ref: rest[0] === 'tag' && rest[1] ? rest[1] : null };
+  }
+  
+  return { ...result, kind: section.toLowerCase() };
+}
+
+/**
+ * Returns the canonical URL of the repository a GitHub URL belongs to
+ * 
+ * @param {string} url - Any GitHub URL within a repository
+ * @returns {string|null} `https://github.com/<owner>/<repo>`, or null if the URL is not in a repository
+ */
+export function githubRepoUrl(url) {
+  const parsed = parseGitHubUrl(url);
+  return parsed ? `https://github.com/${parsed.owner}/${parsed.repo}` : null;
+}
+
+/**
+ * Collects the distinct repositories linked from a list of URLs
+ * 
+ * @param {Array<string>} urls - Resolved URLs (non-GitHub URLs are ignored)
+ * @returns {Array<string>} Canonical repository URLs in first-seen order; owner and repo names
+ *   are compared case-insensitively, as GitHub does
+ */
+export function githubReposFromLinks(urls) {
+  const repos = new Map();
+  for (const url of urls) {
+    const repoUrl = githubRepoUrl(url);
+    if (repoUrl && !repos.has(repoUrl.toLowerCase())) {
+      repos.set(repoUrl.toLowerCase(), repoUrl);
+    }
+  }
+  return Array.from(repos.values());
+}
+
+/**
+ * Extracts GitHub repository links from free text, skipping site pages such as
+ * github.com/login, github.com/signup and github.com/account
+ * 
+ * @param {string} text - Text to search
+ * @returns {Array<string>} GitHub URLs as written in the text, minus trailing punctuation
+ */
+export function extractGitHubLinks(text) {
+  if (!text) return [];
+  
+  const matches = text.match(GITHUB_URL_PATTERN) || [];
+  return matches
+    .map(url => url.replace(/[.,;:!?]+$/, ''))
+    .filter(url => parseGitHubUrl(url) !== null);
+}
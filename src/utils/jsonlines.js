@@ -0,0 +1,77 @@
+/**
+ * @module utils/jsonlines
+ * @description NDJSON file helpers shared by the checkpoint journal and NDJSON output:
+ * reading entries past a line cut off by a crash and appending entries one line at a time
+ */
+
+import fs from 'fs';
+import { logger } from './logger.js';
+
+/**
+ * Open NDJSON file handle
+ * @typedef {Object} JsonLinesFile
+ * @property {string} path - Path to the file
+ * @property {function(*): void} append - Appends a value as one line of JSON
+ */
+
+/**
+ * Reads the values in an NDJSON file, skipping lines that are not valid JSON with a warning
+ * 
+ * @param {string} filePath - Path to the NDJSON file
+ * @returns {Array<any>} Values in file order (empty if the file does not exist)
+ */
+export function readJsonLines(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  
+  const values = [];
+  fs.readFileSync(filePath, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+    try {
+      values.push(JSON.parse(line));
+    } catch (error) {
+      // A crash mid-write can leave a truncated last line behind
+      logger.warn(`Ignoring unreadable line ${index + 1} in ${filePath}: ${error.message}`);
+    }
+  });
+  
+  return values;
+}
+
+/**
+ * Opens an NDJSON file for appending, emptying it first unless its entries are kept
+ * 
+ * @param {string} filePath - Path to the NDJSON file
+ * @param {Object} [options] - File options
+ * @param {boolean} [options.keep=false] - Keep the entries already in the file
+ * @returns {JsonLinesFile} File handle
+ */
+export function openJsonLines(filePath, { keep = false } = {}) {
+  if (!keep || !fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, '', 'utf8');
+  } else {
+    // Terminate a truncated last line so new entries start on a line of their own
+    const size = fs.statSync(filePath).size;
+    if (size > 0) {
+      const fd = fs.openSync(filePath, 'r');
+      const lastByte = Buffer.alloc(1);
+      fs.readSync(fd, lastByte, 0, 1, size - 1);
+      fs.closeSync(fd);
+      if (lastByte[0] !== 0x0a) {
+        fs.appendFileSync(filePath, '\n', 'utf8');
+      }
+    }
+  }
+  
+  return {
+    path: filePath,
+    
+    append(value) {
+      // Synchronous so each entry is on disk before Ctrl+C can end the process
+      fs.appendFileSync(filePath, JSON.stringify(value) + '\n', 'utf8');
+    }
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * @module utils/pool
+ * @description TwiMine concurrency helpers: A bounded task limiter, per-host politeness limits
+ * for outgoing requests, and a pool of browser pages shared by concurrent workers
+ */
+
+/**
+ * Runs a task once a slot is free and resolves with its result
+ * @typedef {function(function(): Promise<any>): Promise<any>} Limiter
+ */
+
+/**
+ * Runs a request to a URL once its host allows another one and resolves with its result
+ * @typedef {function(string, function(): Promise<any>): Promise<any>} HostScheduler
+ */
+
+/**
+ * Pool of browser pages
+ * @typedef {Object} PagePool
+ * @property {function(function(import('playwright').Page): Promise<any>): Promise<any>} use - Runs a
+ *   task with a page from the pool and returns the page afterwards
+ * @property {function(): Promise<void>} close - Closes every page the pool opened
+ */
+
+/**
+ * Creates a limiter that runs at most `concurrency` tasks at a time, starting
+ * queued tasks in the order they were submitted
+ * 
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {Limiter} Limiter function
+ */
+export function createLimiter(concurrency) {
+  const queue = [];
+  let active = 0;
+  
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) {
+      return;
+    }
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Creates a scheduler that limits requests per host: at most `concurrency` at once,
+ * and at least `delay` milliseconds between the start of two requests to the same host
+ * 
+ * @param {Object} options - Politeness limits
+ * @param {number} options.concurrency - Maximum concurrent requests to one host
+ * @param {number} [options.delay=0] - Minimum milliseconds between requests to one host
+ * @returns {HostScheduler} Scheduler function
+ */
+export function createHostLimiter({ concurrency, delay = 0 }) {
+  /** @type {Map<string, {limit: Limiter, nextStart: number}>} */
+  const hosts = new Map();
+  
+  return (url, task) => {
+    let host;
+    try {
+      host = new URL(url).host.toLowerCase();
+    } catch (e) {
+      return task();
+    }
+    
+    if (!hosts.has(host)) {
+      hosts.set(host, { limit: createLimiter(concurrency), nextStart: 0 });
+    }
+    const state = hosts.get(host);
+    
+    return state.limit(async () => {
+      // Reserve the next start time before waiting so queued requests space out evenly
+      const now = Date.now();
+      const start = Math.max(now, state.nextStart);
+      state.nextStart = start + delay;
+      if (start > now) {
+        await new Promise(resolve => setTimeout(resolve, start - now));
+      }
+      return task();
+    });
+  };
+}
+
+/**
+ * Creates a pool of up to `size` pages in a browser context, opened on first use
+ * 
+ * @param {import('playwright').BrowserContext} context - Authenticated browser context
+ * @param {number} size - Maximum number of pages
+ * @param {function(import('playwright').Page): void} [setup] - Called once for each new page
+ * @returns {PagePool} Page pool
+ */
+export function createPagePool(context, size, setup = () => {}) {
+  const limit = createLimiter(size);
+  /** @type {Array<import('playwright').Page>} */
+  const idle = [];
+  /** @type {Array<import('playwright').Page>} */
+  const opened = [];
+  
+  return {
+    use(task) {
+      return limit(async () => {
+        let page = idle.pop();
+        if (!page) {
+          page = await context.newPage();
+          setup(page);
+          opened.push(page);
+        }
+        try {
+          return await task(page);
+        } finally {
+          idle.push(page);
+        }
+      });
+    },
+    
+    async close() {
+      await Promise.all(opened.map(page => page.close().catch(() => {})));
+      opened.length = 0;
+      idle.length = 0;
+    }
+  };
+}
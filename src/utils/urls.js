@@ -0,0 +1,201 @@
+/**
+ * @module utils/urls
+ * @description TwiMine URL helpers: Canonicalizes tweet URLs so the different forms of a
+ * status link (twitter.com/x.com hosts, /photo/N, /analytics, query strings) collapse to one,
+ * and normalizes resolved links by stripping tracking parameters, www. and AMP variants
+ */
+
+/**
+ * Query parameters removed from resolved links by default. A trailing `*` matches any
+ * parameter starting with the text before it.
+ * @type {string[]}
+ */
+export const DEFAULT_TRACKING_PARAMS = ['utm_*', 'twclid', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid',
+  'msclkid', 'yclid', 'igshid', 'mc_cid', 'mc_eid', 'ref_src', 'ref_url', '_hsenc', '_hsmi', 'mkt_tok',
+  'si', 'trk', 'cmpid'];
+
+/**
+ * Share parameters that only mean tracking on twitter.com/x.com links (elsewhere `s` is
+ * often a search query)
+ * @type {string[]}
+ */
+const TWITTER_SHARE_PARAMS = ['s', 't'];
+
+/**
+ * Query parameters that only request the AMP version of a page
+ * @type {RegExp}
+ */
+const AMP_PARAM_PATTERN = /^(amp|amp_js_v|usqp)$/i;
+
+/**
+ * Second-level labels under two-letter country codes that are not registrable on their own
+ * (www.co.uk must keep its `www.`)
+ * @type {string[]}
+ */
+const COUNTRY_SECOND_LEVELS = ['ac', 'co', 'com', 'edu', 'gov', 'ne', 'net', 'or', 'org'];
+
+/**
+ * Shared hosting domains whose subdomains belong to different sites (amp.github.io is the
+ * site of the `amp` user, not an AMP copy of github.io)
+ * @type {string[]}
+ */
+const SHARED_HOST_SUFFIXES = ['github.io', 'gitlab.io', 'netlify.app', 'vercel.app', 'pages.dev',
+  'web.app', 'firebaseapp.com', 'herokuapp.com', 'blogspot.com'];
+
+/**
+ * Hosts that serve tweet permalinks
+ * @type {string[]}
+ */
+const TWEET_HOSTS = ['twitter.com', 'www.twitter.com', 'mobile.twitter.com', 'x.com', 'www.x.com', 'mobile.x.com'];
+
+/**
+ * Matches `/<user>/status/<id>` and `/i/web/status/<id>` paths, ignoring anything after the id
+ * such as /photo/1, /video/1, /analytics, /likes, /retweets or /quotes
+ * @type {RegExp}
+ */
+const STATUS_PATH_PATTERN = /^\/(?:(i\/web|i)|([A-Za-z0-9_]{1,15}))\/status(?:es)?\/(\d+)(?:\/|$)/;
+
+/**
+ * Parses a tweet URL into its author and status id
+ * 
+ * @param {string} url - Tweet URL on twitter.com or x.com
+ * @returns {{username: string|null, id: string}|null} Author (null for /i/web/ links) and id,
+ *   or null if the URL is not a tweet permalink
+ */
+export function parseTweetUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+  
+  if (!TWEET_HOSTS.includes(parsed.hostname.toLowerCase())) {
+    return null;
+  }
+  
+  const match = parsed.pathname.match(STATUS_PATH_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  return { username: match[2] || null, id: match[3] };
+}
+
+/**
+ * Returns the status id of a tweet URL
+ * 
+ * @param {string} url - Tweet URL
+ * @returns {string|null} Status id, or null if the URL is not a tweet permalink
+ */
+export function tweetIdFromUrl(url) {
+  return parseTweetUrl(url)?.id || null;
+}
+
+/**
+ * Canonicalizes a tweet URL to `https://x.com/<user>/status/<id>`
+ * 
+ * @param {string} url - Tweet URL in any of its forms
+ * @returns {string} Canonical tweet URL, or the input unchanged if it is not a tweet permalink
+ */
+export function canonicalTweetUrl(url) {
+  const tweet = parseTweetUrl(url);
+  if (!tweet) {
+    return url;
+  }
+  return `https://x.com/${tweet.username || 'i/web'}/status/${tweet.id}`;
+}
+
+/**
+ * Returns the key used to de-duplicate bookmarks: the status id when the URL is a tweet
+ * permalink, otherwise the URL itself
+ * 
+ * @param {string} url - Tweet URL
+ * @returns {string} De-duplication key
+ */
+export function tweetKey(url) {
+  return tweetIdFromUrl(url) || url;
+}
+
+/**
+ * Tells whether a host is still a registrable domain, so a `www.` or `amp.` in front of it
+ * can be dropped: amp.dev must not become `dev`, nor www.co.uk `co.uk`
+ * 
+ * @param {string} host - Host without the dropped label
+ * @returns {boolean} Whether the host names a site of its own
+ */
+function isRegistrableHost(host) {
+  const labels = host.split('.');
+  if (labels.length < 2 || /^\d+$/.test(labels[labels.length - 1]) || SHARED_HOST_SUFFIXES.includes(host)) {
+    return false;
+  }
+  return !(labels.length === 2 && labels[1].length === 2 && COUNTRY_SECOND_LEVELS.includes(labels[0]));
+}
+
+/**
+ * Normalizes a resolved link so the same page is recorded under one URL: removes tracking
+ * parameters, lowercases the host, drops default ports, `www.`, AMP variants and fragments
+ * (except `#/` and `#!` client-side routes, which select different content). Only the
+ * unambiguous AMP forms are rewritten; `/amp` path segments are left alone because they are
+ * just as often part of the page (github.com/ampproject/amp).
+ * 
+ * @param {string} url - Resolved URL
+ * @param {Object} [options] - Normalization options
+ * @param {Array<string>} [options.trackingParams=DEFAULT_TRACKING_PARAMS] - Query parameters to
+ *   remove; a trailing `*` matches a prefix
+ * @returns {string} Normalized URL, or the input unchanged if it is not an http(s) URL
+ */
+export function normalizeUrl(url, { trackingParams = DEFAULT_TRACKING_PARAMS } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return url;
+  }
+  
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return url;
+  }
+  
+  // AMP caches wrap the original URL: <host>.cdn.ampproject.org/c/s/<host>/<path> and google.com/amp/s/<host>/<path>
+  const ampCache = parsed.hostname.endsWith('.cdn.ampproject.org') || /^(www\.)?google\.[a-z.]+$/.test(parsed.hostname)
+    ? parsed.pathname.match(/^\/(?:c|amp)\/(s\/)?(.+)$/)
+    : null;
+  if (ampCache) {
+    try {
+      parsed = new URL(`${ampCache[1] ? 'https' : 'http'}://${ampCache[2]}${parsed.search}${parsed.hash}`);
+    } catch (e) {
+      // Not a wrapped URL after all, keep it as it is
+    }
+  }
+  
+  // The URL parser already lowercases the host and drops default ports
+  const host = parsed.hostname.match(/^(?:www\d?|amp)\.(.+)$/);
+  if (host && isRegistrableHost(host[1])) {
+    parsed.hostname = host[1];
+  }
+  
+  parsed.pathname = parsed.pathname.replace(/\.amp\.html$/, '.html');
+  
+  const isTwitter = ['twitter.com', 'x.com', 'mobile.twitter.com', 'mobile.x.com'].includes(parsed.hostname);
+  const exact = trackingParams.filter(param => !param.endsWith('*')).map(param => param.toLowerCase());
+  const prefixes = trackingParams.filter(param => param.endsWith('*')).map(param => param.slice(0, -1).toLowerCase());
+  
+  for (const name of Array.from(new Set(parsed.searchParams.keys()))) {
+    const key = name.toLowerCase();
+    if (exact.includes(key) ||
+        prefixes.some(prefix => key.startsWith(prefix)) ||
+        AMP_PARAM_PATTERN.test(key) ||
+        (key === 'outputtype' && parsed.searchParams.get(name) === 'amp') ||
+        (isTwitter && TWITTER_SHARE_PARAMS.includes(key))) {
+      parsed.searchParams.delete(name);
+    }
+  }
+  
+  // Plain anchors point into the same page; hash routes (#/path, #!path) are different pages
+  if (!/^#[!/]/.test(parsed.hash)) {
+    parsed.hash = '';
+  }
+  
+  return parsed.href;
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJournal, readJournal } from './src/journal.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Bookmarks finished by an interrupted run
+ * @type {Array<Object>}
+ */
+const finished = [
+  { tweet_url: 'https://x.com/researcher/status/101', all_links: ['https://github.com/lab/sparse'] },
+  { tweet_url: 'https://x.com/devtools/status/100', all_links: [] }
+];
+
+/**
+ * Build the test cases
+ * @param {string} dir Temporary directory for journal files
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(dir) {
+  const file = name => path.join(dir, name);
+  const interrupted = name => {
+    const journal = createJournal(file(name));
+    finished.forEach(bookmark => journal.append(bookmark));
+    return journal;
+  };
+  
+  return [
+    {
+      description: 'Appends each bookmark as one line and reads them back in order',
+      run: () => {
+        interrupted('plain.ndjson');
+        assert.equal(fs.readFileSync(file('plain.ndjson'), 'utf8').split('\n').length, finished.length + 1);
+        assert.deepEqual(readJournal(file('plain.ndjson')), finished);
+        assert.deepEqual(readJournal(file('missing.ndjson')), []);
+      }
+    },
+    {
+      description: 'Resumes after a truncated last line without losing the entries before it',
+      run: () => {
+        interrupted('truncated.ndjson');
+        fs.appendFileSync(file('truncated.ndjson'), '{"tweet_url": "https://x.com/cut', 'utf8');
+        
+        const journal = createJournal(file('truncated.ndjson'), { resume: true });
+        journal.append({ tweet_url: 'https://x.com/hacker/status/104', all_links: [] });
+        assert.deepEqual(readJournal(file('truncated.ndjson')).map(bookmark => bookmark.tweet_url),
+          [...finished.map(bookmark => bookmark.tweet_url), 'https://x.com/hacker/status/104']);
+      }
+    },
+    {
+      description: 'Moves the journal of an interrupted run aside instead of truncating it without --resume',
+      run: () => {
+        interrupted('crashed.ndjson');
+        
+        const journal = createJournal(file('crashed.ndjson'));
+        assert.deepEqual(readJournal(journal.path), []);
+        
+        const backups = fs.readdirSync(dir).filter(name => name.startsWith('crashed.ndjson.'));
+        assert.equal(backups.length, 1);
+        assert.match(backups[0], /^crashed\.ndjson\.\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/);
+        assert.deepEqual(readJournal(file(backups[0])), finished);
+      }
+    },
+    {
+      description: 'Starts over an empty journal without keeping a copy of it',
+      run: () => {
+        fs.writeFileSync(file('empty.ndjson'), '', 'utf8');
+        createJournal(file('empty.ndjson'));
+        assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('empty.ndjson')), ['empty.ndjson']);
+      }
+    },
+    {
+      description: 'Removes the journal once the output is saved',
+      run: () => {
+        const journal = interrupted('done.ndjson');
+        journal.remove();
+        assert.equal(fs.existsSync(file('done.ndjson')), false);
+        journal.remove();
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-journal-'));
+  const testCases = buildTestCases(dir);
+  logger.info(`Running ${testCases.length} test cases for the checkpoint journal`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
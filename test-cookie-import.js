@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadCookieFile, parseCookies } from './src/utils/cookies.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Netscape cookies.txt as curl and browser extensions write it: comments, blank lines,
+ * #HttpOnly_ lines and a cookie of another site
+ * @type {string}
+ */
+const cookiesTxt = [
+  '# Netscape HTTP Cookie File',
+  '# https://curl.se/docs/http-cookies.html',
+  '',
+  '#HttpOnly_.x.com\tTRUE\t/\tTRUE\t1780000000\tauth_token\tabc123',
+  '.x.com\tTRUE\t/\tTRUE\t1780000000\tct0\tcsrf456',
+  '.x.com\tTRUE\t/\tFALSE\t0\tlang\ten',
+  '   ',
+  '.example.com\tTRUE\t/\tFALSE\t1780000000\tsession\tnope',
+  'not\ta\tcookie'
+].join('\r\n');
+
+/**
+ * Returns the cookies set on one domain by name
+ * @param {Array<Object>} cookies Parsed cookies
+ * @param {string} domain Cookie domain
+ * @returns {Object<string, Object>} Cookies by name
+ */
+function onDomain(cookies, domain) {
+  return Object.fromEntries(cookies.filter(cookie => cookie.domain === domain).map(cookie => [cookie.name, cookie]));
+}
+
+/**
+ * Build the test cases
+ * @param {string} dir Temporary directory for cookie files
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(dir) {
+  const file = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content, 'utf8');
+    return filePath;
+  };
+  
+  return [
+    {
+      description: 'Parses cookies.txt with #HttpOnly_ lines and skips comments, blank lines and other sites',
+      run: () => {
+        const cookies = parseCookies(cookiesTxt);
+        assert.equal(cookies.length, 6);
+        
+        const x = onDomain(cookies, '.x.com');
+        assert.deepEqual(Object.keys(x), ['auth_token', 'ct0', 'lang']);
+        assert.deepEqual(x.auth_token, {
+          name: 'auth_token', value: 'abc123', domain: '.x.com', path: '/',
+          expires: 1780000000, httpOnly: true, secure: true, sameSite: 'Lax'
+        });
+        assert.equal(x.ct0.httpOnly, false);
+        assert.equal(x.lang.secure, false);
+        assert.equal(x.lang.expires, -1);
+      }
+    },
+    {
+      description: 'Mirrors every Twitter cookie onto both twitter.com and x.com',
+      run: () => {
+        const cookies = parseCookies(cookiesTxt);
+        assert.deepEqual(onDomain(cookies, '.twitter.com').auth_token, { ...onDomain(cookies, '.x.com').auth_token, domain: '.twitter.com' });
+      }
+    },
+    {
+      description: 'Parses a JSON array export from a browser extension',
+      run: () => {
+        const cookies = parseCookies(JSON.stringify([
+          { name: 'auth_token', value: 'abc123', domain: '.twitter.com', path: '/', expirationDate: 1780000000.5, httpOnly: true, secure: true, sameSite: 'no_restriction' },
+          { name: 'ct0', value: 'csrf456', domain: 'x.com', sameSite: 'strict' },
+          { name: 'guest_id', value: 'v1' },
+          { name: 'session', value: 'nope', domain: '.example.com' }
+        ]));
+        
+        const x = onDomain(cookies, '.x.com');
+        assert.deepEqual(Object.keys(x), ['auth_token', 'ct0', 'guest_id']);
+        assert.deepEqual(x.auth_token, {
+          name: 'auth_token', value: 'abc123', domain: '.x.com', path: '/',
+          expires: 1780000000, httpOnly: true, secure: true, sameSite: 'None'
+        });
+        assert.equal(x.ct0.sameSite, 'Strict');
+        assert.equal(x.ct0.secure, true);
+        assert.equal(x.guest_id.expires, -1);
+        assert.equal(x.guest_id.sameSite, 'Lax');
+      }
+    },
+    {
+      description: 'Parses an object with a cookies array, such as a Playwright storage state',
+      run: () => {
+        const cookies = parseCookies(JSON.stringify({
+          cookies: [
+            { name: 'auth_token', value: 'abc123', domain: '.x.com', path: '/', expires: 1780000000, httpOnly: true, secure: true, sameSite: 'Lax' },
+            { name: 'ct0', value: 'csrf456', domain: '.x.com', path: '/', expires: -1, httpOnly: false, secure: false, sameSite: 'Lax' }
+          ],
+          origins: []
+        }));
+        assert.equal(cookies.length, 4);
+        assert.equal(onDomain(cookies, '.twitter.com').ct0.secure, false);
+        assert.equal(onDomain(cookies, '.twitter.com').ct0.expires, -1);
+        assert.throws(() => parseCookies('{"origins": []}'), /must be an array of cookies or contain a "cookies" array/);
+        assert.throws(() => parseCookies('[{"name": '), /Cookie file is not valid JSON/);
+      }
+    },
+    {
+      description: 'Loads a complete cookie file and rejects one without auth_token',
+      run: async () => {
+        assert.equal((await loadCookieFile(file('cookies.txt', cookiesTxt))).length, 6);
+        
+        const withoutToken = cookiesTxt.split('\r\n').filter(line => !line.includes('auth_token')).join('\n');
+        await assert.rejects(loadCookieFile(file('no-token.txt', withoutToken)), /is missing required cookies: auth_token$/);
+        await assert.rejects(loadCookieFile(file('empty.json', '[]')), /is missing required cookies: auth_token, ct0/);
+        await assert.rejects(loadCookieFile(path.join(dir, 'missing.txt')), /Could not read cookie file/);
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-cookies-'));
+  const testCases = buildTestCases(dir);
+  logger.info(`Running ${testCases.length} test cases for the cookie import`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { processOutput, parseDelimited, loadExistingTweetUrls } from './src/output.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Bookmarks as they come from scraping: one with two links, one whose text needs quoting
+ * @type {Array<Object>}
+ */
+const bookmarks = [
+  {
+    username: '@devtools',
+    tweet_url: 'https://x.com/devtools/status/100',
+    tweet_text: 'Two tools',
+    all_links: ['https://github.com/devtools/bundler', 'https://example.com/post'],
+    scraped_at: '2025-05-01T10:00:00.000Z'
+  },
+  {
+    username: '@quoter',
+    tweet_url: 'https://twitter.com/quoter/status/101/photo/1',
+    tweet_text: 'He said "ship it", then\nleft, early',
+    all_links: ['https://arxiv.org/abs/2504.00001'],
+    scraped_at: '2025-05-01T10:00:01.000Z'
+  }
+];
+
+/**
+ * Build the test cases
+ * @param {string} dir Temporary directory for output files
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(dir) {
+  const file = name => path.join(dir, name);
+  const read = name => fs.readFileSync(file(name), 'utf8');
+  
+  return [
+    {
+      description: 'Writes one row per link with the default columns and CRLF line breaks',
+      run: async () => {
+        await processOutput(bookmarks, { output: file('out.csv'), append: false, format: 'csv' });
+        assert.equal(read('out.csv'),
+          'username,tweet_url,url,category,scraped_at\r\n' +
+          '@devtools,https://x.com/devtools/status/100,https://github.com/devtools/bundler,github,2025-05-01T10:00:00.000Z\r\n' +
+          '@devtools,https://x.com/devtools/status/100,https://example.com/post,other,2025-05-01T10:00:00.000Z\r\n' +
+          '@quoter,https://x.com/quoter/status/101,https://arxiv.org/abs/2504.00001,arxiv,2025-05-01T10:00:01.000Z\r\n');
+      }
+    },
+    {
+      description: 'Quotes fields with commas, quotes and line breaks as RFC 4180 requires',
+      run: async () => {
+        await processOutput(bookmarks, { output: file('text.csv'), append: false, format: 'csv', columns: ['tweet_url', 'tweet_text'] });
+        assert.ok(read('text.csv').includes('https://x.com/quoter/status/101,"He said ""ship it"", then\nleft, early"\r\n'));
+        const records = parseDelimited(read('text.csv'));
+        assert.deepEqual(records[3], ['https://x.com/quoter/status/101', 'He said "ship it", then\nleft, early']);
+        assert.equal(records.length, 4);
+      }
+    },
+    {
+      description: 'Writes TSV with tabs, quoting only what needs it',
+      run: async () => {
+        await processOutput(bookmarks, { output: file('out.tsv'), append: false, format: 'tsv', columns: ['username', 'tweet_text'] });
+        const lines = read('out.tsv').split('\r\n');
+        assert.equal(lines[0], 'username\ttweet_text');
+        assert.equal(lines[1], '@devtools\tTwo tools');
+        assert.deepEqual(parseDelimited(read('out.tsv'), '\t')[3], ['@quoter', 'He said "ship it", then\nleft, early']);
+      }
+    },
+    {
+      description: 'Gives bookmarks without links one row with empty link columns',
+      run: async () => {
+        const tip = { username: '@tips', tweet_url: 'https://x.com/tips/status/102', all_links: [], scraped_at: 'now' };
+        await processOutput([tip], { output: file('tips.csv'), append: false, format: 'csv', include: 'all' });
+        assert.equal(read('tips.csv').split('\r\n')[1], '@tips,https://x.com/tips/status/102,,,now');
+      }
+    },
+    {
+      description: 'Appends new tweets only, in the columns already in the file',
+      run: async () => {
+        await processOutput([bookmarks[1]], { output: file('append.csv'), append: false, format: 'csv', columns: ['tweet_url', 'url'] });
+        const again = [
+          { ...bookmarks[1], tweet_url: 'https://x.com/quoter/status/101' },
+          { username: '@new', tweet_url: 'https://x.com/new/status/103', all_links: ['https://example.org/'], scraped_at: 'later' }
+        ];
+        const written = await processOutput(again, { output: file('append.csv'), append: true, format: 'csv' });
+        assert.deepEqual(written.map(bookmark => bookmark.tweet_url), ['https://x.com/new/status/103']);
+        assert.deepEqual(parseDelimited(read('append.csv')), [
+          ['tweet_url', 'url'],
+          ['https://x.com/quoter/status/101', 'https://arxiv.org/abs/2504.00001'],
+          ['https://x.com/new/status/103', 'https://example.org/']
+        ]);
+      }
+    },
+    {
+      description: 'Starts appended rows on a line of their own when the file has no final line break',
+      run: async () => {
+        fs.writeFileSync(file('edited.csv'), 'tweet_url,url\r\nhttps://x.com/quoter/status/101,https://arxiv.org/abs/2504.00001');
+        await processOutput([bookmarks[0]], { output: file('edited.csv'), append: true, format: 'csv' });
+        assert.equal(read('edited.csv'),
+          'tweet_url,url\r\nhttps://x.com/quoter/status/101,https://arxiv.org/abs/2504.00001\r\n' +
+          'https://x.com/devtools/status/100,https://github.com/devtools/bundler\r\n' +
+          'https://x.com/devtools/status/100,https://example.com/post\r\n');
+      }
+    },
+    {
+      description: 'Reads saved tweet URLs back from CSV for incremental syncs',
+      run: async () => {
+        const urls = await loadExistingTweetUrls(file('append.csv'), 'csv');
+        assert.deepEqual([...urls], ['https://x.com/quoter/status/101', 'https://x.com/new/status/103']);
+      }
+    },
+    {
+      description: 'Backs up an unreadable CSV file before overwriting it',
+      run: async () => {
+        fs.writeFileSync(file('broken.csv'), 'tweet_url\r\n"never closed');
+        await processOutput([bookmarks[0]], { output: file('broken.csv'), append: true, format: 'csv' });
+        assert.ok(fs.readdirSync(dir).some(name => name.startsWith('broken.csv.backup.')));
+        assert.ok(read('broken.csv').startsWith('username,tweet_url,url,category,scraped_at\r\n'));
+      }
+    },
+    {
+      description: 'Parses empty fields, a missing final line break and a byte order mark',
+      run: () => {
+        assert.deepEqual(parseDelimited('﻿a,b,c\r\n1,,3\n,"",x'), [['a', 'b', 'c'], ['1', '', '3'], ['', '', 'x']]);
+        assert.throws(() => parseDelimited('"open'), /Unterminated/);
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-csv-'));
+  const testCases = buildTestCases(dir);
+  logger.info(`Running ${testCases.length} test cases for the CSV/TSV export`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
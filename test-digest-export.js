@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { renderMarkdown, renderHtml, groupBookmarks } from './src/digest.js';
+import { formatFromPath } from './src/utils/config.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Formatted bookmarks: two by the same author (in different case), one with links in two
+ * categories, one without links and one with markup in its text
+ * @type {Array<Object>}
+ */
+const bookmarks = [
+  {
+    username: '@devtools',
+    display_name: 'Dev Tools',
+    tweet_url: 'https://x.com/devtools/status/100',
+    tweet_text: 'New release of our bundler',
+    created_at: '2025-03-12T18:02:11.000Z',
+    all_links: ['https://github.com/devtools/bundler'],
+    links: [{ url: 'https://github.com/devtools/bundler', category: 'github', source: 'main' }]
+  },
+  {
+    username: '@researcher',
+    display_name: null,
+    tweet_url: 'https://x.com/researcher/status/101',
+    tweet_text: 'Paper and code:\nboth linked below',
+    created_at: '2025-04-01T09:00:00.000Z',
+    all_links: ['https://github.com/lab/sparse', 'https://arxiv.org/abs/2504.00001'],
+    links: [
+      { url: 'https://github.com/lab/sparse', category: 'github', source: 'thread' },
+      { url: 'https://arxiv.org/abs/2504.00001', category: 'arxiv', source: 'main' }
+    ]
+  },
+  {
+    username: '@DevTools',
+    display_name: 'Dev Tools',
+    tweet_url: 'https://x.com/DevTools/status/103',
+    tweet_text: 'Tip: use `git worktree`',
+    created_at: '2025-04-30T23:30:00.000Z',
+    all_links: [],
+    links: []
+  },
+  {
+    username: '@hacker',
+    display_name: 'A <b>bold</b> name',
+    tweet_url: 'https://x.com/hacker/status/104',
+    tweet_text: '<script>alert("hi")</script> & *stars*',
+    created_at: null,
+    // Entry from an older run, without categorized links
+    all_links: ['https://en.wikipedia.org/wiki/Foo_(bar)']
+  }
+];
+
+/**
+ * Build the test cases
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases() {
+  const shuffled = [bookmarks[3], bookmarks[1], bookmarks[2], bookmarks[0]];
+  
+  return [
+    {
+      description: 'Renders the same Markdown and HTML whatever the bookmark order',
+      run: () => {
+        assert.equal(renderMarkdown(shuffled), renderMarkdown(bookmarks));
+        assert.equal(renderHtml(shuffled), renderHtml(bookmarks));
+        assert.equal(renderMarkdown(shuffled, { groupBy: 'author' }), renderMarkdown(bookmarks, { groupBy: 'author' }));
+      }
+    },
+    {
+      description: 'Groups by category, largest first, listing a bookmark under each of its categories',
+      run: () => {
+        const groups = groupBookmarks(bookmarks, 'category');
+        assert.deepEqual(groups.map(group => [group.name, group.bookmarks.length]),
+          [['github', 2], ['arxiv', 1], ['no links', 1], ['other', 1]]);
+        assert.deepEqual(groups[0].bookmarks.map(b => b.tweet_url.split('/').pop()), ['101', '100']);
+      }
+    },
+    {
+      description: 'Groups by author ignoring the case of the handle',
+      run: () => {
+        const groups = groupBookmarks(shuffled, 'author');
+        assert.equal(groups[0].name, '@DevTools');
+        assert.deepEqual(groups[0].bookmarks.map(b => b.tweet_url.split('/').pop()), ['103', '100']);
+        assert.equal(groups.length, 3);
+      }
+    },
+    {
+      description: 'Shows author, date, quoted text and every link in Markdown',
+      run: () => {
+        const markdown = renderMarkdown(bookmarks);
+        assert.ok(markdown.startsWith('# TwiMine Bookmarks\n\n4 bookmarks with 4 links, grouped by category.\n'));
+        assert.ok(markdown.includes('### @researcher · 2025-04-01\n\n> Paper and code:\n> both linked below\n\n' +
+          '- [arxiv.org/abs/2504.00001](https://arxiv.org/abs/2504.00001) · arxiv · main\n' +
+          '- [github.com/lab/sparse](https://github.com/lab/sparse) · github · thread\n' +
+          '- [View tweet](https://x.com/researcher/status/101)'));
+        assert.ok(markdown.includes('- [github](#github) (2)'));
+      }
+    },
+    {
+      description: 'Escapes Markdown formatting in text and parentheses in link targets',
+      run: () => {
+        const markdown = renderMarkdown(bookmarks);
+        assert.ok(markdown.includes('> Tip: use \\`git worktree\\`'));
+        assert.ok(markdown.includes('> \\<script\\>alert("hi")\\</script\\> & \\*stars\\*'));
+        assert.ok(markdown.includes('(https://en.wikipedia.org/wiki/Foo_%28bar%29)'));
+      }
+    },
+    {
+      description: 'Writes a self-contained HTML page with escaped content',
+      run: () => {
+        const html = renderHtml(bookmarks, { groupBy: 'author' });
+        assert.ok(html.startsWith('<!DOCTYPE html>'));
+        assert.ok(html.includes('<style>'));
+        assert.ok(!/<script|<link |src=/.test(html));
+        assert.ok(html.includes('&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt; &amp; *stars*'));
+        assert.ok(html.includes('<strong>A &lt;b&gt;bold&lt;/b&gt; name (@hacker)</strong>'));
+        assert.ok(html.includes('Paper and code:<br>both linked below'));
+        assert.ok(html.includes('<section id="devtools">'));
+      }
+    },
+    {
+      description: 'Rejects unknown groupings',
+      run: () => assert.throws(() => renderMarkdown(bookmarks, { groupBy: 'date' }), /Invalid digest grouping/)
+    },
+    {
+      description: 'Picks the output format from the file extension',
+      run: () => {
+        assert.equal(formatFromPath('digest.md'), 'markdown');
+        assert.equal(formatFromPath('out/Digest.HTML'), 'html');
+        assert.equal(formatFromPath('bookmarks.json'), 'json');
+        assert.equal(formatFromPath('bookmarks'), 'json');
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const testCases = buildTestCases();
+  logger.info(`Running ${testCases.length} test cases for the digest export`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < testCases.length; i++) {
+    const testCase = testCases[i];
+    logger.info(`Test #${i + 1}: ${testCase.description}`);
+    
+    try {
+      await testCase.run();
+      logger.debug('✓ PASSED');
+      passed++;
+    } catch (error) {
+      logger.error('✗ FAILED');
+      logger.error(error.message);
+      failed++;
+    }
+    
+    console.log(); // Add a blank line between tests
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
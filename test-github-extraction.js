@@ -5,6 +5,7 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { extractGitHubLinks, githubReposFromLinks, parseGitHubUrl } from './src/utils/github.js';
 
 // Get current directory
 const __filename = fileURLToPath(import.meta.url);
@@ -31,24 +32,6 @@ program
 
 const options = program.opts();
 
-// GitHub link extraction function (copy from main code)
-function extractGitHubLinks(text) {
-  if (!text) return [];
-  
-  const githubUrlRegex = /https?:\/\/(www\.)?github\.com\/[a-zA-Z0-9_-]+\/[a-zA-Z0-9_-]+/g;
-  const matches = text.match(githubUrlRegex);
-  
-  if (matches) {
-    return matches.filter(url => 
-      !url.includes('github.com/login') && 
-      !url.includes('github.com/signup') &&
-      !url.includes('github.com/account')
-    );
-  }
-  
-  return [];
-}
-
 // Test cases if no file is provided or file doesn't exist
 const defaultTestCases = [
   {
@@ -132,13 +115,31 @@ async function runTest() {
       // Check if all extracted links are in expected links
       const noExtraLinks = extractedLinks.every(link => expectedLinks.includes(link));
       
-      if (lengthMatch && contentMatch && noExtraLinks) {
+      // Repository identity: deep links collapse to one canonical repo URL each
+      const extractedRepos = githubReposFromLinks(extractedLinks);
+      const reposMatch = !testCase.expectedRepos ||
+        JSON.stringify(extractedRepos) === JSON.stringify(testCase.expectedRepos);
+      
+      // Parsed {owner, repo, kind, ref, path} of each extracted link
+      const parsedLinks = extractedLinks.map(parseGitHubUrl);
+      const parsedMatch = !testCase.expectedParsed ||
+        JSON.stringify(parsedLinks) === JSON.stringify(testCase.expectedParsed);
+      
+      if (lengthMatch && contentMatch && noExtraLinks && reposMatch && parsedMatch) {
         logger.debug('✓ PASSED');
         passed++;
       } else {
         logger.error('✗ FAILED');
         logger.error(`Expected: ${JSON.stringify(expectedLinks)}`);
         logger.error(`Actual:   ${JSON.stringify(extractedLinks)}`);
+        if (!reposMatch) {
+          logger.error(`Expected repos: ${JSON.stringify(testCase.expectedRepos)}`);
+          logger.error(`Actual repos:   ${JSON.stringify(extractedRepos)}`);
+        }
+        if (!parsedMatch) {
+          logger.error(`Expected parsed: ${JSON.stringify(testCase.expectedParsed)}`);
+          logger.error(`Actual parsed:   ${JSON.stringify(parsedLinks)}`);
+        }
         failed++;
       }
     } catch (error) {
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+import { program } from 'commander';
+import assert from 'assert/strict';
+import fs from 'fs';
+import { parseBookmarksResponse, isBookmarksResponse } from './src/graphql.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+// Command line options
+program
+  .option('-f, --fixture <file>', 'Recorded Bookmarks GraphQL response', 'test-graphql-bookmarks.json')
+  .parse(process.argv);
+
+const options = program.opts();
+
+/**
+ * Build the test cases against the parsed fixture
+ * @param {Array<Object>} tweets Tweets parsed from the fixture
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(tweets) {
+  const byId = id => tweets.find(tweet => tweet.tweet_id === id);
+  
+  return [
+    {
+      description: 'Skips cursors and tombstones, keeps timeline order',
+      run: () => assert.deepEqual(
+        tweets.map(tweet => tweet.tweet_id),
+        ['1898441606489108524', '1898807015599939679', '1897000000000000002']
+      )
+    },
+    {
+      description: 'Builds canonical tweet URL and @handle from the author',
+      run: () => {
+        const tweet = byId('1898441606489108524');
+        assert.equal(tweet.tweet_url, 'https://x.com/NizzyABI/status/1898441606489108524');
+        assert.equal(tweet.username, '@NizzyABI');
+        assert.equal(tweet.display_name, 'Nizzy');
+      }
+    },
+    {
+      description: 'Uses expanded URLs and drops links back into Twitter',
+      run: () => assert.deepEqual(
+        byId('1898441606489108524').links,
+        ['https://0.email/', 'https://github.com/Mail-0/Zero']
+      )
+    },
+    {
+      description: 'Expands t.co links in the text and drops media links',
+      run: () => assert.equal(
+        byId('1898441606489108524').tweet_text,
+        'Zero is an open source email app. Self-host it or use https://0.email/\n\nRepo: https://github.com/Mail-0/Zero'
+      )
+    },
+    {
+      description: 'Reads engagement counts, with null for counts Twitter did not report',
+      run: () => assert.deepEqual(byId('1898441606489108524').engagement, {
+        reply_count: 87,
+        retweet_count: 203,
+        like_count: 1520,
+        quote_count: 12,
+        bookmark_count: null,
+        view_count: 48211
+      })
+    },
+    {
+      description: 'Flags quote tweets and replies',
+      run: () => {
+        assert.equal(byId('1898807015599939679').is_quote, true);
+        assert.equal(byId('1898807015599939679').is_reply, false);
+        assert.equal(byId('1897000000000000002').is_quote, false);
+        assert.equal(byId('1897000000000000002').is_reply, true);
+      }
+    },
+    {
+      description: 'Converts created_at to ISO timestamp',
+      run: () => assert.equal(byId('1898441606489108524').created_at, '2025-03-08T18:02:11.000Z')
+    },
+    {
+      description: 'Reads photo media with alt text',
+      run: () => assert.deepEqual(byId('1898441606489108524').media, [{
+        type: 'photo',
+        url: 'https://pbs.twimg.com/media/GlkQ3xyWAAA1abc.jpg',
+        alt_text: 'Screenshot of the Zero inbox'
+      }])
+    },
+    {
+      description: 'Unwraps TweetWithVisibilityResults and reads the newer user core layout',
+      run: () => {
+        const tweet = byId('1898807015599939679');
+        assert.equal(tweet.username, '@khant_dev');
+        assert.equal(tweet.display_name, 'Khant');
+      }
+    },
+    {
+      description: 'Prefers long-form note text and its entities over the truncated legacy text',
+      run: () => {
+        const tweet = byId('1898807015599939679');
+        assert.ok(tweet.tweet_text.endsWith('Calculator: https://neuronad.com/ai-tools/llm-inference-hardware-calculator/'));
+        assert.deepEqual(tweet.links, [
+          'https://www.substratus.ai/blog/calculating-gpu-memory-for-llm',
+          'https://neuronad.com/ai-tools/llm-inference-hardware-calculator/'
+        ]);
+      }
+    },
+    {
+      description: 'Picks the highest bitrate MP4 for videos',
+      run: () => assert.deepEqual(byId('1897000000000000002').media, [{
+        type: 'video',
+        url: 'https://video.twimg.com/amplify_video/1897000000000000003/vid/avc1/1280x720/high.mp4',
+        alt_text: null
+      }])
+    },
+    {
+      description: 'Returns no tweets for unrelated responses',
+      run: () => {
+        assert.deepEqual(parseBookmarksResponse({ data: { user: {} } }), []);
+        assert.deepEqual(parseBookmarksResponse(null), []);
+      }
+    },
+    {
+      description: 'Recognises Bookmarks GraphQL request URLs only',
+      run: () => {
+        assert.ok(isBookmarksResponse('https://x.com/i/api/graphql/QUjXply7fA7fk05FRyajEg/Bookmarks?variables=%7B%7D'));
+        assert.ok(isBookmarksResponse('https://x.com/i/api/graphql/abc/BookmarkFolderTimeline?variables=%7B%7D'));
+        assert.ok(!isBookmarksResponse('https://x.com/i/api/graphql/abc/HomeTimeline?variables=%7B%7D'));
+        assert.ok(!isBookmarksResponse('https://x.com/i/api/graphql/abc/CreateBookmark'));
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  logger.info(`Loading recorded GraphQL response from ${options.fixture}`);
+  const fixture = JSON.parse(fs.readFileSync(options.fixture, 'utf8'));
+  const tweets = parseBookmarksResponse(fixture);
+  
+  const testCases = buildTestCases(tweets);
+  logger.info(`Running ${testCases.length} test cases for the Bookmarks GraphQL parser`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < testCases.length; i++) {
+    const testCase = testCases[i];
+    logger.info(`Test #${i + 1}: ${testCase.description}`);
+    
+    try {
+      testCase.run();
+      logger.debug('✓ PASSED');
+      passed++;
+    } catch (error) {
+      logger.error('✗ FAILED');
+      logger.error(error.message);
+      failed++;
+    }
+    
+    console.log(); // Add a blank line between tests
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { processOutput, loadExistingTweetUrls } from './src/output.js';
+import { seenPath, readSeenTweets, recordSeenTweets } from './src/seen.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Bookmarks of one run, newest first: two without links, which the default
+ * --include links-only leaves out of the output, around one with a link
+ * @type {Array<Object>}
+ */
+const bookmarks = [
+  {
+    username: '@chatty',
+    tweet_url: 'https://x.com/chatty/status/300/photo/1',
+    tweet_text: 'Just a thought',
+    all_links: [],
+    scraped_at: '2025-05-01T10:00:00.000Z'
+  },
+  {
+    username: '@devtools',
+    tweet_url: 'https://twitter.com/devtools/status/301',
+    tweet_text: 'New release',
+    all_links: ['https://github.com/devtools/bundler'],
+    scraped_at: '2025-05-01T10:00:01.000Z'
+  },
+  {
+    username: '@chatty',
+    tweet_url: 'https://x.com/chatty/status/302',
+    tweet_text: 'Another thought',
+    scraped_at: '2025-05-01T10:00:02.000Z'
+  }
+];
+
+/**
+ * Build the test cases
+ * @param {string} dir Temporary directory for output files
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(dir) {
+  const file = name => path.join(dir, name);
+  
+  return [
+    {
+      description: 'Bookmarks left out of the output by --include are still known to --since-last',
+      run: async () => {
+        const config = { output: file('out.json'), append: false, format: 'json' };
+        const saved = await processOutput(bookmarks, config);
+        assert.equal(saved.length, 1);
+        
+        // Without the scraped tweet index each of them would reset the known streak
+        assert.deepEqual(Array.from(await loadExistingTweetUrls(config.output, 'json')), ['https://x.com/devtools/status/301']);
+        
+        assert.equal(recordSeenTweets(config.output, bookmarks), 3);
+        const known = await loadExistingTweetUrls(config.output, 'json');
+        assert.deepEqual(Array.from(known).sort(), ['300', '301', '302', 'https://x.com/devtools/status/301']);
+      }
+    },
+    {
+      description: 'Appending adds new tweets once; a run that overwrites the output starts the index again',
+      run: async () => {
+        const output = file('index.json');
+        recordSeenTweets(output, bookmarks.slice(0, 2));
+        assert.equal(recordSeenTweets(output, bookmarks, { append: true }), 1);
+        assert.equal(fs.readFileSync(seenPath(output), 'utf8'), '300\n301\n302\n');
+        
+        assert.equal(recordSeenTweets(output, [{ tweet_url: 'https://x.com/new/status/400' }, {}]), 1);
+        assert.deepEqual(Array.from(readSeenTweets(output)), ['400']);
+      }
+    },
+    {
+      description: 'Adds the index to the tweet ids of NDJSON output and ignores it without an output file',
+      run: async () => {
+        const config = { output: file('out.ndjson'), append: false, format: 'ndjson' };
+        await processOutput(bookmarks, config);
+        recordSeenTweets(config.output, bookmarks);
+        assert.deepEqual(Array.from(await loadExistingTweetUrls(config.output, 'ndjson')).sort(), ['300', '301', '302']);
+        
+        recordSeenTweets(file('missing.json'), bookmarks);
+        assert.equal((await loadExistingTweetUrls(file('missing.json'), 'json')).size, 0);
+        assert.equal(readSeenTweets(file('none.json')).size, 0);
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-sync-'));
+  const testCases = buildTestCases(dir);
+  logger.info(`Running ${testCases.length} test cases for incremental sync`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
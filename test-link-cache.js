@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openLinkCache, describeLinkCache, clearLinkCache } from './src/cache.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Milliseconds in a day
+ * @type {number}
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the injected clock
+ * @type {number}
+ */
+const START = Date.parse('2025-05-01T10:00:00.000Z');
+
+/**
+ * Resolution of a short link, as the resolver reports it
+ * @type {{final_url: string, status: number, chain: Array<string>}}
+ */
+const resolved = {
+  final_url: 'https://github.com/lab/sparse',
+  status: 200,
+  chain: ['https://t.co/abc', 'https://github.com/lab/sparse']
+};
+
+/**
+ * Build the test cases
+ * @param {string} dir Temporary directory for cache files
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(dir) {
+  const file = name => path.join(dir, name);
+  let time = START;
+  const now = () => time;
+  
+  return [
+    {
+      description: 'Stores resolutions with the time they were resolved and reads them back after a save',
+      run: () => {
+        const cache = openLinkCache(file('cache.json'), { now });
+        assert.equal(cache.get('https://t.co/abc'), null);
+        cache.set('https://t.co/abc', resolved);
+        cache.save();
+        
+        const reopened = openLinkCache(file('cache.json'), { now });
+        assert.deepEqual(reopened.get('https://t.co/abc'), { ...resolved, resolved_at: '2025-05-01T10:00:00.000Z' });
+        assert.deepEqual(cache.stats(), { hits: 0, misses: 1 });
+        assert.deepEqual(reopened.stats(), { hits: 1, misses: 0 });
+      }
+    },
+    {
+      description: 'Expires entries older than the TTL, and never with a TTL of 0',
+      run: () => {
+        time = START + 29 * DAY;
+        assert.ok(openLinkCache(file('cache.json'), { ttlDays: 30, now }).get('https://t.co/abc'));
+        
+        // An entry that expires while the cache is open is a miss too
+        const open = openLinkCache(file('cache.json'), { ttlDays: 30, now });
+        time = START + 31 * DAY;
+        assert.equal(open.get('https://t.co/abc'), null);
+        assert.deepEqual(open.stats(), { hits: 0, misses: 1 });
+        
+        assert.equal(openLinkCache(file('cache.json'), { ttlDays: 30, now }).get('https://t.co/abc'), null);
+        assert.ok(openLinkCache(file('cache.json'), { ttlDays: 0, now }).get('https://t.co/abc'));
+      }
+    },
+    {
+      description: 'Only writes the file when entries were added or expired',
+      run: () => {
+        time = START;
+        const cache = openLinkCache(file('dirty.json'), { now });
+        cache.save();
+        assert.equal(fs.existsSync(file('dirty.json')), false);
+        
+        cache.set('https://t.co/abc', resolved);
+        cache.save();
+        const earlier = new Date('2000-01-01T00:00:00.000Z');
+        fs.utimesSync(file('dirty.json'), earlier, earlier);
+        cache.get('https://t.co/abc');
+        cache.save();
+        assert.equal(fs.statSync(file('dirty.json')).mtimeMs, earlier.getTime());
+        
+        // Dropping expired entries on open counts as a change
+        time = START + 31 * DAY;
+        openLinkCache(file('dirty.json'), { now }).save();
+        assert.deepEqual(JSON.parse(fs.readFileSync(file('dirty.json'), 'utf8')), { version: 1, entries: {} });
+      }
+    },
+    {
+      description: 'Ignores cache files of another version or that cannot be parsed',
+      run: () => {
+        const entries = { 'https://t.co/abc': { ...resolved, resolved_at: '2025-05-01T10:00:00.000Z' } };
+        fs.writeFileSync(file('future.json'), JSON.stringify({ version: 2, entries }), 'utf8');
+        fs.writeFileSync(file('broken.json'), '{"version": 1, "entries": {', 'utf8');
+        time = START;
+        
+        assert.equal(openLinkCache(file('future.json'), { now }).get('https://t.co/abc'), null);
+        assert.equal(openLinkCache(file('broken.json'), { now }).get('https://t.co/abc'), null);
+        assert.equal(describeLinkCache(file('future.json'), { now }).entries, 0);
+      }
+    },
+    {
+      description: 'Describes entries, expired entries, age range and top hosts for --cache-info',
+      run: () => {
+        time = START;
+        const cache = openLinkCache(file('info.json'), { ttlDays: 0, now });
+        cache.set('https://t.co/a', resolved);
+        time = START + 10 * DAY;
+        cache.set('https://t.co/b', { ...resolved, final_url: 'https://github.com/lab/dense' });
+        cache.set('https://t.co/c', { ...resolved, final_url: 'https://arxiv.org/abs/2504.00001' });
+        cache.set('https://t.co/d', { ...resolved, final_url: 'not a url' });
+        cache.save();
+        
+        time = START + 35 * DAY;
+        const info = describeLinkCache(file('info.json'), { ttlDays: 30, now });
+        assert.equal(info.exists, true);
+        assert.equal(info.bytes, fs.statSync(file('info.json')).size);
+        assert.equal(info.entries, 4);
+        assert.equal(info.expired, 1);
+        assert.equal(info.oldest, '2025-05-01T10:00:00.000Z');
+        assert.equal(info.newest, '2025-05-11T10:00:00.000Z');
+        assert.deepEqual(info.topHosts, [['github.com', 2], ['arxiv.org', 1]]);
+        
+        assert.deepEqual(describeLinkCache(file('missing.json'), { now }),
+          { path: file('missing.json'), exists: false, bytes: 0, entries: 0, expired: 0, oldest: null, newest: null, topHosts: [] });
+      }
+    },
+    {
+      description: 'Clears the cache file and reports whether there was one',
+      run: () => {
+        assert.equal(clearLinkCache(file('info.json')), true);
+        assert.equal(fs.existsSync(file('info.json')), false);
+        assert.equal(clearLinkCache(file('info.json')), false);
+        assert.throws(() => clearLinkCache(dir), /Could not remove link cache/);
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-cache-'));
+  const testCases = buildTestCases(dir);
+  logger.info(`Running ${testCases.length} test cases for the link cache`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
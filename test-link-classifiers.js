@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { classifyLink, classifyLinks, linksOf, countByCategory, registerClassifier, OTHER_CATEGORY } from './src/classifiers/index.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Asserts the category and parsed fields of each URL
+ * @param {Array<[string, string, Object]>} cases URL, expected category and expected fields
+ */
+function expectClassified(cases) {
+  for (const [url, category, fields = {}] of cases) {
+    assert.deepEqual(classifyLink(url), { url, category, ...fields }, `classifyLink(${url})`);
+  }
+}
+
+/**
+ * Test cases for the link classifiers, in registry order
+ * @type {Array<{description: string, run: Function}>}
+ */
+const testCases = [
+  {
+    description: 'GitHub: repositories, pages within them and gists',
+    run: () => expectClassified([
+      ['https://github.com/lab/sparse', 'github',
+        { owner: 'lab', repo: 'sparse', kind: 'repo', ref: null, path: null, repo_url: 'https://github.com/lab/sparse' }],
+      ['https://github.com/lab/sparse/issues/12', 'github',
+        { owner: 'lab', repo: 'sparse', kind: 'issue', ref: '12', path: null, repo_url: 'https://github.com/lab/sparse' }],
+      ['https://gist.github.com/someone/abc123', 'github', { kind: 'gist', owner: 'someone', gist_id: 'abc123' }],
+      ['https://github.com/settings/profile', OTHER_CATEGORY]
+    ])
+  },
+  {
+    description: 'arXiv: new and old style ids, versions and PDF links',
+    run: () => expectClassified([
+      ['https://arxiv.org/abs/2504.00001', 'arxiv', { arxiv_id: '2504.00001', version: null }],
+      ['https://arxiv.org/pdf/2504.00001v2.pdf', 'arxiv', { arxiv_id: '2504.00001', version: '2' }],
+      ['https://export.arxiv.org/abs/hep-th/9901001', 'arxiv', { arxiv_id: 'hep-th/9901001', version: null }],
+      ['https://arxiv.org/list/cs.LG/recent', OTHER_CATEGORY]
+    ])
+  },
+  {
+    description: 'Hugging Face: models, datasets, spaces and papers',
+    run: () => expectClassified([
+      ['https://huggingface.co/lab/sparse-7b', 'huggingface', { kind: 'model', owner: 'lab', name: 'sparse-7b' }],
+      ['https://huggingface.co/datasets/lab/corpus', 'huggingface', { kind: 'dataset', owner: 'lab', name: 'corpus' }],
+      ['https://hf.co/spaces/lab/demo', 'huggingface', { kind: 'space', owner: 'lab', name: 'demo' }],
+      ['https://huggingface.co/papers/2504.00001', 'huggingface', { kind: 'paper', paper_id: '2504.00001' }],
+      ['https://huggingface.co/docs/transformers', OTHER_CATEGORY]
+    ])
+  },
+  {
+    description: 'YouTube: watch, short, embed and youtu.be links',
+    run: () => expectClassified([
+      ['https://www.youtube.com/watch?v=dQw4w9WgXcQ', 'youtube', { video_id: 'dQw4w9WgXcQ' }],
+      ['https://youtu.be/dQw4w9WgXcQ', 'youtube', { video_id: 'dQw4w9WgXcQ' }],
+      ['https://m.youtube.com/shorts/dQw4w9WgXcQ', 'youtube', { video_id: 'dQw4w9WgXcQ' }],
+      ['https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ', 'youtube', { video_id: 'dQw4w9WgXcQ' }],
+      ['https://www.youtube.com/@channel', OTHER_CATEGORY]
+    ])
+  },
+  {
+    description: 'npm: plain and scoped packages, including malformed percent-encoding',
+    run: () => expectClassified([
+      ['https://www.npmjs.com/package/commander', 'npm', { package: 'commander' }],
+      ['https://www.npmjs.com/package/@playwright/test', 'npm', { package: '@playwright/test' }],
+      ['https://www.npmjs.com/package/%40scope%2Fname', 'npm', { package: '@scope/name' }],
+      ['https://npmjs.com/package/%E0%A4%A', 'npm', { package: '%E0%A4%A' }],
+      ['https://www.npmjs.com/search?q=cli', OTHER_CATEGORY]
+    ])
+  },
+  {
+    description: 'PyPI: project pages',
+    run: () => expectClassified([
+      ['https://pypi.org/project/requests/', 'pypi', { package: 'requests' }],
+      ['https://pypi.org/search/?q=http', OTHER_CATEGORY]
+    ])
+  },
+  {
+    description: 'Substack: posts of a publication',
+    run: () => expectClassified([
+      ['https://newsletter.substack.com/p/launch-notes', 'substack', { publication: 'newsletter', slug: 'launch-notes' }],
+      ['https://www.substack.com/p/launch-notes', OTHER_CATEGORY],
+      ['https://newsletter.substack.com/archive', OTHER_CATEGORY]
+    ])
+  },
+  {
+    description: 'Medium: author, publication and subdomain posts',
+    run: () => expectClassified([
+      ['https://medium.com/@writer/a-post-1a2b', 'medium', { author: '@writer', slug: 'a-post-1a2b' }],
+      ['https://medium.com/engineering/a-post-1a2b', 'medium', { publication: 'engineering', slug: 'a-post-1a2b' }],
+      ['https://netflixtechblog.medium.com/a-post-1a2b', 'medium', { publication: 'netflixtechblog', slug: 'a-post-1a2b' }],
+      ['https://medium.com/tag/javascript', OTHER_CATEGORY]
+    ])
+  },
+  {
+    description: 'Falls back to the other category for unknown and unparseable links',
+    run: () => expectClassified([
+      ['https://example.com/post', OTHER_CATEGORY],
+      ['not a url', OTHER_CATEGORY]
+    ])
+  },
+  {
+    description: 'Classifies lists in order and counts them per category',
+    run: () => {
+      const links = classifyLinks(['https://arxiv.org/abs/2504.00001', 'https://github.com/lab/sparse', 'https://github.com/lab/dense']);
+      assert.deepEqual(links.map(link => link.category), ['arxiv', 'github', 'github']);
+      assert.deepEqual(countByCategory(links), { arxiv: 1, github: 2 });
+    }
+  },
+  {
+    description: 'Reads the links of a bookmark, classifying records from older runs that only have all_links',
+    run: () => {
+      const links = [{ url: 'https://example.com/post', category: 'blog' }];
+      assert.equal(linksOf({ links, all_links: ['https://github.com/lab/sparse'] }), links);
+      assert.deepEqual(linksOf({ all_links: ['https://github.com/lab/sparse'] }).map(link => link.category), ['github']);
+      assert.deepEqual(linksOf({}), []);
+    }
+  },
+  {
+    description: 'Tries registered classifiers after the built-in ones, or before them with first',
+    run: () => {
+      assert.throws(() => registerClassifier({ category: 'broken' }), /needs a category name and a match\(url\) function/);
+      
+      registerClassifier({ category: 'docs', match: url => url.pathname.startsWith('/docs') ? {} : null });
+      assert.equal(classifyLink('https://example.com/docs/intro').category, 'docs');
+      assert.equal(classifyLink('https://huggingface.co/lab/docs').category, 'huggingface');
+      
+      registerClassifier({ category: 'mirror', match: url => url.hostname === 'github.com' ? { mirrored: true } : null }, { first: true });
+      assert.deepEqual(classifyLink('https://github.com/lab/sparse'), { url: 'https://github.com/lab/sparse', category: 'mirror', mirrored: true });
+    }
+  }
+];
+
+async function runTest() {
+  logger.info(`Running ${testCases.length} test cases for the link classifiers`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < testCases.length; i++) {
+    const testCase = testCases[i];
+    logger.info(`Test #${i + 1}: ${testCase.description}`);
+    
+    try {
+      await testCase.run();
+      logger.debug('✓ PASSED');
+      passed++;
+    } catch (error) {
+      logger.error('✗ FAILED');
+      logger.error(error.message);
+      failed++;
+    }
+    
+    console.log(); // Add a blank line between tests
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
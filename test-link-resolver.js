@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import http from 'http';
+import { resolveUrl, findHtmlRedirect } from './src/resolver.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Routes of the local server, simulating short links, redirect chains and awkward servers
+ * @type {Object<string, function(http.IncomingMessage, http.ServerResponse): void>}
+ */
+const routes = {
+  '/final': (req, res) => html(res, 200, '<html><body>Destination</body></html>'),
+  '/short': (req, res) => redirect(res, 301, '/hop1'),
+  '/hop1': (req, res) => redirect(res, 302, '/hop2'),
+  '/hop2': (req, res) => redirect(res, 307, '/final?ref=chain'),
+  '/relative': (req, res) => redirect(res, 301, 'final'),
+  '/loop-a': (req, res) => redirect(res, 302, '/loop-b'),
+  '/loop-b': (req, res) => redirect(res, 302, '/loop-a'),
+  '/meta': (req, res) => html(res, 200,
+    '<html><head><meta http-equiv="refresh" content="0; URL=/final?from=meta&amp;x=1"></head></html>'),
+  // Shape of the t.co interstitial served to browser user agents
+  '/tco': (req, res) => html(res, 200,
+    '<head><noscript><META http-equiv="refresh" content="0;URL=/final?from=tco"></noscript>' +
+    '<title>/final?from=tco</title></head><script>window.opener = null; location.replace("\\/final?from=tco")</script>'),
+  '/no-head': (req, res) => req.method === 'HEAD' ? html(res, 405, '') : redirect(res, 301, '/final?from=get'),
+  '/js-only': (req, res) => html(res, 200,
+    '<html><body><noscript>Please enable JavaScript</noscript><script>window.location = "/final"</script></body></html>'),
+  '/blocked': (req, res) => html(res, 403, '<html><body>Access denied</body></html>'),
+  '/image': (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/png' });
+    res.end(req.method === 'HEAD' ? undefined : Buffer.alloc(16));
+  },
+  '/user-agent': (req, res) => redirect(res, 302, `/final?ua=${encodeURIComponent(req.headers['user-agent'] || '')}`)
+};
+
+// Chain of more redirects than the hop limit allows
+for (let i = 0; i < 5; i++) {
+  routes[`/long${i}`] = (req, res) => redirect(res, 301, `/long${i + 1}`);
+}
+routes['/long5'] = routes['/final'];
+
+function redirect(res, status, location) {
+  res.writeHead(status, { location });
+  res.end();
+}
+
+function html(res, status, body) {
+  res.writeHead(status, { 'content-type': 'text/html; charset=utf-8' });
+  res.end(body);
+}
+
+/**
+ * Build the test cases against the local server
+ * @param {string} base Base URL of the local server
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(base) {
+  return [
+    {
+      description: 'Follows a chain of 301/302/307 redirects and records every hop',
+      run: async () => {
+        const result = await resolveUrl(`${base}/short`);
+        assert.equal(result.url, `${base}/final?ref=chain`);
+        assert.equal(result.status, 200);
+        assert.deepEqual(result.chain, [`${base}/short`, `${base}/hop1`, `${base}/hop2`, `${base}/final?ref=chain`]);
+        assert.equal(result.needsBrowser, false);
+      }
+    },
+    {
+      description: 'Resolves relative Location headers against the current URL',
+      run: async () => assert.equal((await resolveUrl(`${base}/relative`)).url, `${base}/final`)
+    },
+    {
+      description: 'Follows meta refresh tags and decodes entities in their URL',
+      run: async () => assert.equal((await resolveUrl(`${base}/meta`)).url, `${base}/final?from=meta&x=1`)
+    },
+    {
+      description: 'Follows the t.co HTML interstitial',
+      run: async () => assert.equal((await resolveUrl(`${base}/tco`)).url, `${base}/final?from=tco`)
+    },
+    {
+      description: 'Retries with GET when the server rejects HEAD',
+      run: async () => assert.equal((await resolveUrl(`${base}/no-head`)).url, `${base}/final?from=get`)
+    },
+    {
+      description: 'Stops at the hop limit',
+      run: async () => {
+        const result = await resolveUrl(`${base}/long0`, { maxRedirects: 3 });
+        assert.equal(result.url, `${base}/long3`);
+        assert.equal(result.needsBrowser, false);
+      }
+    },
+    {
+      description: 'Stops on redirect loops',
+      run: async () => {
+        const result = await resolveUrl(`${base}/loop-a`);
+        assert.equal(result.url, `${base}/loop-b`);
+        assert.equal(result.chain.length, 2);
+      }
+    },
+    {
+      description: 'Falls back to the browser for pages that redirect with JavaScript only',
+      run: async () => {
+        const result = await resolveUrl(`${base}/js-only`);
+        assert.equal(result.url, `${base}/js-only`);
+        assert.equal(result.needsBrowser, true);
+      }
+    },
+    {
+      description: 'Falls back to the browser when the server blocks non-browser clients',
+      run: async () => {
+        const result = await resolveUrl(`${base}/blocked`);
+        assert.equal(result.status, 403);
+        assert.equal(result.needsBrowser, true);
+      }
+    },
+    {
+      description: 'Falls back to the browser when the server cannot be reached',
+      run: async () => {
+        const result = await resolveUrl('http://127.0.0.1:9/unreachable', { timeout: 2000 });
+        assert.equal(result.status, null);
+        assert.equal(result.needsBrowser, true);
+      }
+    },
+    {
+      description: 'Leaves relative links to the browser',
+      run: async () => assert.equal((await resolveUrl('/NizzyABI/status/1')).needsBrowser, true)
+    },
+    {
+      description: 'Stops at non-HTML destinations without reading them',
+      run: async () => {
+        const result = await resolveUrl(`${base}/image`);
+        assert.equal(result.url, `${base}/image`);
+        assert.equal(result.needsBrowser, false);
+      }
+    },
+    {
+      description: 'Sends the configured user agent',
+      run: async () => assert.equal(
+        (await resolveUrl(`${base}/user-agent`, { userAgent: 'TwiMineTest/1.0' })).url,
+        `${base}/final?ua=TwiMineTest%2F1.0`
+      )
+    },
+    {
+      description: 'Finds no redirect in ordinary pages',
+      run: async () => assert.equal(findHtmlRedirect('<html><head><title>Hi</title></head></html>', base), null)
+    }
+  ];
+}
+
+async function runTest() {
+  const server = http.createServer((req, res) => {
+    const route = routes[new URL(req.url, 'http://localhost').pathname];
+    if (route) {
+      route(req, res);
+    } else {
+      html(res, 404, 'Not found');
+    }
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  logger.info(`Local redirect server listening on ${base}`);
+  
+  const testCases = buildTestCases(base);
+  logger.info(`Running ${testCases.length} test cases for the link resolver`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    server.close();
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { archiveMedia, largeImageUrl } from './src/media.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const JPEG = Buffer.alloc(2048, 0xff);
+const VIDEO = crypto.randomBytes(4 * 1024 * 1024);
+
+/**
+ * Routes of the local server, standing in for pbs.twimg.com and video.twimg.com
+ * @type {Object<string, function(http.IncomingMessage, http.ServerResponse): void>}
+ */
+const routes = {
+  '/media/diagram.png': (req, res) => file(res, 'image/png', PNG),
+  '/media/same-diagram': (req, res) => file(res, 'image/png', PNG),
+  '/media/photo': (req, res) => file(res, 'application/octet-stream', JPEG),
+  '/media/big.jpg': (req, res) => file(res, 'image/jpeg', JPEG),
+  // Streams the body without declaring its size
+  '/media/chunked.jpg': (req, res) => {
+    res.writeHead(200, { 'content-type': 'image/jpeg' });
+    res.write(JPEG.subarray(0, 1024));
+    res.end(JPEG.subarray(1024));
+  },
+  '/tweet_video/clip.mp4': (req, res) => file(res, 'video/mp4', Buffer.from('mp4 data')),
+  // A long video sent in chunks without a declared size
+  '/tweet_video/long.mp4': (req, res) => {
+    res.writeHead(200, { 'content-type': 'video/mp4' });
+    for (let offset = 0; offset < VIDEO.length; offset += 65536) {
+      res.write(VIDEO.subarray(offset, offset + 65536));
+    }
+    res.end();
+  }
+};
+
+function file(res, contentType, data) {
+  res.writeHead(200, { 'content-type': contentType, 'content-length': data.length });
+  res.end(data);
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Build the test cases against the local server
+ * @param {string} base Base URL of the local server
+ * @param {string} dir Temporary media directory
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(base, dir) {
+  return [
+    {
+      description: 'Stores a file under its SHA-256 with the extension of its content type',
+      run: async () => {
+        const [item] = await archiveMedia([{ type: 'photo', url: `${base}/media/diagram.png`, alt_text: 'Diagram' }], { dir, maxBytes: 0 });
+        const hash = sha256(PNG);
+        assert.equal(item.path, path.join(dir, hash.slice(0, 2), `${hash}.png`));
+        assert.equal(item.sha256, hash);
+        assert.equal(item.bytes, PNG.length);
+        assert.equal(item.alt_text, 'Diagram');
+        assert.deepEqual(fs.readFileSync(item.path), PNG);
+      }
+    },
+    {
+      description: 'Stores the same image from two URLs once',
+      run: async () => {
+        const items = await archiveMedia([
+          { type: 'photo', url: `${base}/media/diagram.png`, alt_text: null },
+          { type: 'photo', url: `${base}/media/same-diagram`, alt_text: null }
+        ], { dir, maxBytes: 0 });
+        assert.equal(items[0].path, items[1].path);
+        assert.deepEqual(fs.readdirSync(path.dirname(items[0].path)), [path.basename(items[0].path)]);
+      }
+    },
+    {
+      description: 'Falls back to the ?format= query for the extension',
+      run: async () => {
+        const [item] = await archiveMedia([{ type: 'photo', url: `${base}/media/photo?format=jpg&name=large`, alt_text: null }], { dir, maxBytes: 0 });
+        assert.ok(item.path.endsWith('.jpg'));
+      }
+    },
+    {
+      description: 'Skips files whose declared size is over the limit',
+      run: async () => {
+        const [item] = await archiveMedia([{ type: 'photo', url: `${base}/media/big.jpg`, alt_text: null }], { dir, maxBytes: 1000 });
+        assert.equal(item.skipped, 'too-large');
+        assert.equal(item.path, null);
+      }
+    },
+    {
+      description: 'Stops reading undeclared bodies once they pass the limit',
+      run: async () => {
+        const [item] = await archiveMedia([{ type: 'photo', url: `${base}/media/chunked.jpg`, alt_text: null }], { dir, maxBytes: 1500 });
+        assert.equal(item.skipped, 'too-large');
+      }
+    },
+    {
+      description: 'Leaves out videos and GIFs with skipVideo',
+      run: async () => {
+        const items = await archiveMedia([
+          { type: 'animated_gif', url: `${base}/tweet_video/clip.mp4`, alt_text: null },
+          { type: 'photo', url: `${base}/media/diagram.png`, alt_text: null }
+        ], { dir, maxBytes: 0, skipVideo: true });
+        assert.equal(items[0].skipped, 'video');
+        assert.equal(items[1].skipped, undefined);
+        assert.ok(items[1].path);
+      }
+    },
+    {
+      description: 'Archives videos as .mp4 when they are not skipped',
+      run: async () => {
+        const [item] = await archiveMedia([{ type: 'video', url: `${base}/tweet_video/clip.mp4`, alt_text: null }], { dir, maxBytes: 0 });
+        assert.ok(item.path.endsWith('.mp4'));
+      }
+    },
+    {
+      description: 'Streams large videos to disk without a limit and leaves no partial downloads behind',
+      run: async () => {
+        const [item] = await archiveMedia([{ type: 'video', url: `${base}/tweet_video/long.mp4`, alt_text: null }], { dir, maxBytes: 0 });
+        assert.equal(item.sha256, sha256(VIDEO));
+        assert.equal(item.bytes, VIDEO.length);
+        assert.ok(fs.readFileSync(item.path).equals(VIDEO));
+        
+        // Including the downloads dropped earlier for passing the size limit
+        assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('.download-')), []);
+      }
+    },
+    {
+      description: 'Records blob: videos and failed downloads instead of throwing',
+      run: async () => {
+        const items = await archiveMedia([
+          { type: 'video', url: 'blob:https://x.com/1234', alt_text: null },
+          { type: 'photo', url: `${base}/media/missing.jpg`, alt_text: null }
+        ], { dir, maxBytes: 0 });
+        assert.equal(items[0].skipped, 'unavailable');
+        assert.equal(items[1].skipped, 'failed');
+      }
+    },
+    {
+      description: 'Sends downloads through the scheduler',
+      run: async () => {
+        const scheduled = [];
+        const schedule = (url, task) => {
+          scheduled.push(url);
+          return task();
+        };
+        await archiveMedia([{ type: 'photo', url: `${base}/media/diagram.png`, alt_text: null }], { dir, maxBytes: 0, schedule });
+        assert.deepEqual(scheduled, [`${base}/media/diagram.png`]);
+      }
+    },
+    {
+      description: 'Asks pbs.twimg.com for the large version of timeline images',
+      run: async () => {
+        assert.equal(largeImageUrl('https://pbs.twimg.com/media/GAbc123?format=jpg&name=small'),
+          'https://pbs.twimg.com/media/GAbc123?format=jpg&name=large');
+        assert.equal(largeImageUrl('https://pbs.twimg.com/profile_images/1/a_normal.jpg'),
+          'https://pbs.twimg.com/profile_images/1/a_normal.jpg');
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const server = http.createServer((req, res) => {
+    const route = routes[new URL(req.url, 'http://localhost').pathname];
+    if (route) {
+      route(req, res);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-media-'));
+  logger.info(`Local media server listening on ${base}, archiving to ${dir}`);
+  
+  const testCases = buildTestCases(base, dir);
+  logger.info(`Running ${testCases.length} test cases for the media archive`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
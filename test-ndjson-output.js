@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { processOutput, createBookmarkStream, loadExistingTweetUrls, loadBookmarksFile } from './src/output.js';
+import { readTweetIndex, indexPath } from './src/ndjson.js';
+import { formatFromPath } from './src/utils/config.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Build a bookmark as it comes from scraping
+ * @param {string} id - Status id
+ * @param {Array<string>} [links] - Links in the tweet
+ * @returns {Object} Bookmark
+ */
+const bookmark = (id, links = [`https://example.com/${id}`]) => ({
+  username: '@someone',
+  tweet_url: `https://twitter.com/someone/status/${id}/photo/1`,
+  all_links: links,
+  scraped_at: '2025-05-01T10:00:00.000Z'
+});
+
+/**
+ * Build the test cases
+ * @param {string} dir Temporary directory for output files
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(dir) {
+  const file = name => path.join(dir, name);
+  const lines = name => fs.readFileSync(file(name), 'utf8').split('\n').filter(Boolean);
+  const ids = name => lines(name).map(line => JSON.parse(line).tweet_url.split('/').pop());
+  
+  return [
+    {
+      description: 'Writes one formatted bookmark per line and indexes its tweet id',
+      run: async () => {
+        await processOutput([bookmark('100'), bookmark('101', [])], { output: file('out.ndjson'), append: false, format: 'ndjson' });
+        const [first, ...rest] = lines('out.ndjson');
+        assert.equal(rest.length, 0);
+        assert.equal(JSON.parse(first).tweet_url, 'https://x.com/someone/status/100');
+        assert.deepEqual(JSON.parse(first).links, [{ url: 'https://example.com/100', category: 'other' }]);
+        assert.equal(fs.readFileSync(indexPath(file('out.ndjson')), 'utf8'), '100\n');
+      }
+    },
+    {
+      description: 'Appends new tweets by checking the index, without parsing the saved lines',
+      run: async () => {
+        // Lines that are not JSON would make any attempt to parse the file fail
+        fs.writeFileSync(file('big.ndjson'), 'saved line 1\nsaved line 2\n');
+        fs.writeFileSync(indexPath(file('big.ndjson')), '100\n101\n');
+        
+        const written = await processOutput([bookmark('101'), bookmark('102')], { output: file('big.ndjson'), append: true, format: 'ndjson' });
+        assert.deepEqual(written.map(b => b.tweet_url), ['https://x.com/someone/status/102']);
+        assert.deepEqual(lines('big.ndjson').slice(0, 2), ['saved line 1', 'saved line 2']);
+        assert.equal(lines('big.ndjson').length, 3);
+        assert.equal(fs.readFileSync(indexPath(file('big.ndjson')), 'utf8'), '100\n101\n102\n');
+      }
+    },
+    {
+      description: 'Rebuilds a missing or outdated index from the output file',
+      run: async () => {
+        fs.rmSync(indexPath(file('out.ndjson')));
+        assert.deepEqual([...readTweetIndex(file('out.ndjson'))], ['100']);
+        
+        // An index older than the file, e.g. after the file was edited by hand
+        fs.appendFileSync(file('out.ndjson'), JSON.stringify({ tweet_url: 'https://x.com/other/status/200' }) + '\n');
+        const past = new Date(Date.now() - 60000);
+        fs.utimesSync(indexPath(file('out.ndjson')), past, past);
+        assert.deepEqual([...readTweetIndex(file('out.ndjson'))], ['100', '200']);
+        assert.equal(fs.readFileSync(indexPath(file('out.ndjson')), 'utf8'), '100\n200\n');
+      }
+    },
+    {
+      description: 'Recovers from a crash that left a truncated last line',
+      run: async () => {
+        fs.writeFileSync(file('crash.ndjson'), JSON.stringify({ tweet_url: 'https://x.com/a/status/100' }) + '\n{"tweet_url":"https://x.com/a/sta');
+        await processOutput([bookmark('100'), bookmark('103')], { output: file('crash.ndjson'), append: true, format: 'ndjson' });
+        const saved = lines('crash.ndjson');
+        assert.equal(saved.length, 3);
+        assert.equal(JSON.parse(saved[2]).tweet_url, 'https://x.com/someone/status/103');
+        assert.deepEqual([...readTweetIndex(file('crash.ndjson'))], ['100', '103']);
+      }
+    },
+    {
+      description: 'Streams each bookmark to the file as soon as it is written',
+      run: async () => {
+        fs.writeFileSync(file('stream.ndjson'), 'from an earlier run\n');
+        const stream = createBookmarkStream({ output: file('stream.ndjson'), append: false, include: 'links-only' });
+        assert.equal(lines('stream.ndjson')[0], 'from an earlier run');
+        
+        stream.write(bookmark('300'));
+        assert.deepEqual(ids('stream.ndjson'), ['300']);
+        stream.write(bookmark('301', []));
+        stream.write({ ...bookmark('300'), tweet_url: 'https://x.com/someone/status/300' });
+        stream.write(bookmark('302'));
+        assert.deepEqual(ids('stream.ndjson'), ['300', '302']);
+        
+        assert.deepEqual(stream.finish().map(b => b.tweet_url.split('/').pop()), ['300', '302']);
+      }
+    },
+    {
+      description: 'Applies the output filters while streaming',
+      run: async () => {
+        const stream = createBookmarkStream({ output: file('papers.ndjson'), append: false, categories: ['arxiv'] });
+        stream.write(bookmark('400', ['https://arxiv.org/abs/2504.00001']));
+        stream.write(bookmark('401'));
+        assert.deepEqual(stream.finish().map(b => b.tweet_url.split('/').pop()), ['400']);
+        assert.deepEqual(ids('papers.ndjson'), ['400']);
+      }
+    },
+    {
+      description: 'Reads NDJSON output back for --since-last and --input',
+      run: async () => {
+        assert.deepEqual([...await loadExistingTweetUrls(file('big.ndjson'), 'ndjson')], ['100', '101', '102']);
+        assert.deepEqual((await loadBookmarksFile(file('stream.ndjson'))).map(b => b.tweet_url.split('/').pop()), ['300', '302']);
+      }
+    },
+    {
+      description: 'Picks NDJSON from the .ndjson and .jsonl extensions',
+      run: () => {
+        assert.equal(formatFromPath('bookmarks.ndjson'), 'ndjson');
+        assert.equal(formatFromPath('bookmarks.JSONL'), 'ndjson');
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-ndjson-'));
+  const testCases = buildTestCases(dir);
+  logger.info(`Running ${testCases.length} test cases for the NDJSON output`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { renderNetscape } from './src/netscape.js';
+import { processOutput } from './src/output.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Formatted bookmarks: one with links in two categories, one without links, one without
+ * captured text and one whose text needs escaping
+ * @type {Array<Object>}
+ */
+const bookmarks = [
+  {
+    username: '@researcher',
+    tweet_url: 'https://x.com/researcher/status/101',
+    tweet_text: 'Paper and code:\n   both   linked below',
+    created_at: '2025-04-01T09:00:00.000Z',
+    all_links: ['https://github.com/lab/sparse', 'https://arxiv.org/abs/2504.00001'],
+    links: [
+      { url: 'https://github.com/lab/sparse', category: 'github', source: 'thread' },
+      { url: 'https://arxiv.org/abs/2504.00001', category: 'arxiv', source: 'main' }
+    ],
+    scraped_at: '2025-05-01T10:00:00.000Z'
+  },
+  {
+    username: '@DevTools',
+    tweet_url: 'https://x.com/DevTools/status/103',
+    tweet_text: 'Tip: use git worktree',
+    created_at: '2025-04-30T23:30:00.000Z',
+    all_links: [],
+    links: [],
+    scraped_at: '2025-05-01T10:00:01.000Z'
+  },
+  {
+    username: '@devtools',
+    tweet_url: 'https://x.com/devtools/status/100',
+    tweet_text: null,
+    created_at: '2025-03-12T18:02:11.000Z',
+    all_links: ['https://github.com/devtools/bundler'],
+    links: [{ url: 'https://github.com/devtools/bundler', category: 'github', source: 'main' }],
+    scraped_at: 'unknown'
+  },
+  {
+    username: '@hacker',
+    tweet_url: 'https://x.com/hacker/status/104',
+    tweet_text: '<b>Q&A</b> "live" ' + 'x'.repeat(200),
+    created_at: null,
+    // Entry from an older run, without categorized links
+    all_links: ['https://example.com/?a=1&b=2']
+  }
+];
+
+/**
+ * Build the test cases
+ * @param {string} dir Temporary directory for output files
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(dir) {
+  const shuffled = [bookmarks[3], bookmarks[1], bookmarks[2], bookmarks[0]];
+  
+  return [
+    {
+      description: 'Writes the Netscape header with every folder inside one top-level folder',
+      run: () => {
+        const html = renderNetscape(bookmarks);
+        assert.ok(html.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>\n'));
+        assert.ok(html.includes('<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">'));
+        assert.ok(html.includes('<DL><p>\n    <DT><H3>TwiMine Bookmarks</H3>\n    <DL><p>\n        <DT><H3>github</H3>\n'));
+        assert.deepEqual([...html.matchAll(/<H3>([^<]+)<\/H3>/g)].map(match => match[1]),
+          ['TwiMine Bookmarks', 'github', 'arxiv', 'no links', 'other']);
+        assert.equal(html.match(/<DL><p>/g).length, html.match(/<\/DL><p>/g).length);
+      }
+    },
+    {
+      description: 'Puts each link only in its category folder, titled with the tweet text and dated with the scrape date',
+      run: () => {
+        const html = renderNetscape(bookmarks);
+        assert.ok(html.includes('        <DT><H3>arxiv</H3>\n        <DL><p>\n' +
+          '            <DT><A HREF="https://arxiv.org/abs/2504.00001" ADD_DATE="1746093600">Paper and code: both linked below</A>\n' +
+          '        </DL><p>'));
+        assert.ok(html.includes('            <DT><A HREF="https://github.com/lab/sparse" ADD_DATE="1746093600">Paper and code: both linked below</A>\n' +
+          '            <DT><A HREF="https://github.com/devtools/bundler">https://github.com/devtools/bundler</A>\n'));
+      }
+    },
+    {
+      description: 'Bookmarks the tweet itself when it has no links',
+      run: () => assert.ok(renderNetscape(bookmarks).includes(
+        '<DT><H3>no links</H3>\n        <DL><p>\n            <DT><A HREF="https://x.com/DevTools/status/103" ADD_DATE="1746093601">Tip: use git worktree</A>'
+      ))
+    },
+    {
+      description: 'Escapes titles and URLs and shortens long tweet text',
+      run: () => {
+        const html = renderNetscape(bookmarks);
+        const [, title] = html.match(/<A HREF="https:\/\/example\.com\/\?a=1&amp;b=2">([^<]*)<\/A>/);
+        assert.ok(title.startsWith('&lt;b&gt;Q&amp;A&lt;/b&gt; &quot;live&quot; xxx'));
+        assert.ok(title.endsWith('x…'));
+        assert.ok(!html.includes('<b>'));
+      }
+    },
+    {
+      description: 'Makes one folder per author with all of their links',
+      run: () => {
+        const html = renderNetscape(shuffled, { groupBy: 'author' });
+        assert.deepEqual([...html.matchAll(/<H3>([^<]+)<\/H3>/g)].map(match => match[1]),
+          ['TwiMine Bookmarks', '@DevTools', '@hacker', '@researcher']);
+        assert.ok(html.includes('<DT><H3>@researcher</H3>\n        <DL><p>\n' +
+          '            <DT><A HREF="https://arxiv.org/abs/2504.00001" ADD_DATE="1746093600">Paper and code: both linked below</A>\n' +
+          '            <DT><A HREF="https://github.com/lab/sparse" ADD_DATE="1746093600">Paper and code: both linked below</A>\n'));
+      }
+    },
+    {
+      description: 'Writes the same file whatever the bookmark order',
+      run: () => assert.equal(renderNetscape(shuffled), renderNetscape(bookmarks))
+    },
+    {
+      description: 'Exports the records processOutput produces with --format netscape',
+      run: async () => {
+        const output = path.join(dir, 'bookmarks.html');
+        await processOutput(bookmarks, { output, append: false, format: 'netscape', include: 'all' });
+        const html = fs.readFileSync(output, 'utf8');
+        assert.ok(html.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>'));
+        assert.ok(html.includes('<A HREF="https://example.com/?a=1&amp;b=2">'));
+        assert.ok(html.includes('<A HREF="https://x.com/DevTools/status/103"'));
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-netscape-'));
+  const testCases = buildTestCases(dir);
+  logger.info(`Running ${testCases.length} test cases for the Netscape bookmarks export`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { filterBookmarks, parseFilterDate } from './src/filters.js';
+import { processOutput, loadBookmarksFile } from './src/output.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Bookmarks as written to an output file: a repository, a paper, a text-only tip and
+ * a tweet without a timestamp
+ * @type {Array<Object>}
+ */
+const bookmarks = [
+  {
+    username: '@devtools',
+    tweet_url: 'https://x.com/devtools/status/100',
+    tweet_text: 'New release of our bundler',
+    created_at: '2025-03-12T18:02:11.000Z',
+    github_url: 'https://github.com/devtools/bundler',
+    github_repos: ['https://github.com/devtools/bundler'],
+    all_links: ['https://github.com/devtools/bundler'],
+    links: [{ url: 'https://github.com/devtools/bundler', category: 'github' }]
+  },
+  {
+    username: '@researcher',
+    tweet_url: 'https://x.com/researcher/status/101',
+    tweet_text: 'Our paper on sparse attention',
+    created_at: '2025-04-01T09:00:00.000Z',
+    github_url: null,
+    github_repos: [],
+    all_links: ['https://arxiv.org/abs/2504.00001'],
+    thread: [{ tweet_id: '102', text: 'Code is coming soon, benchmarks inside' }]
+  },
+  {
+    username: '@DevTools',
+    tweet_url: 'https://x.com/DevTools/status/103',
+    tweet_text: 'Tip: git worktree lets you check out two branches at once',
+    created_at: '2025-04-30T23:30:00.000Z',
+    github_url: null,
+    github_repos: [],
+    all_links: [],
+    links: []
+  },
+  {
+    username: '@someone',
+    tweet_url: 'https://x.com/someone/status/104',
+    tweet_text: null,
+    created_at: null,
+    github_url: null,
+    github_repos: [],
+    all_links: ['https://example.com/post']
+  }
+];
+
+const ids = list => list.map(bookmark => bookmark.tweet_url.split('/').pop());
+
+/**
+ * Build the test cases
+ * @param {string} dir Temporary directory for output files
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(dir) {
+  return [
+    {
+      description: 'Keeps bookmarks with links by default',
+      run: () => assert.deepEqual(ids(filterBookmarks(bookmarks)), ['100', '101', '104'])
+    },
+    {
+      description: 'Keeps every bookmark with include all',
+      run: () => assert.deepEqual(ids(filterBookmarks(bookmarks, { include: 'all' })), ['100', '101', '103', '104'])
+    },
+    {
+      description: 'Keeps GitHub bookmarks only with include github-only',
+      run: () => assert.deepEqual(ids(filterBookmarks(bookmarks, { include: 'github-only' })), ['100'])
+    },
+    {
+      description: 'Matches authors with or without the @, ignoring case',
+      run: () => assert.deepEqual(ids(filterBookmarks(bookmarks, { include: 'all', authors: ['devtools'] })), ['100', '103'])
+    },
+    {
+      description: 'Keeps the whole --until day and leaves out undated tweets',
+      run: () => assert.deepEqual(
+        ids(filterBookmarks(bookmarks, { include: 'all', since: '2025-04-01', until: '2025-04-30' })),
+        ['101', '103']
+      )
+    },
+    {
+      description: 'Filters by link category, classifying links older entries lack',
+      run: () => assert.deepEqual(ids(filterBookmarks(bookmarks, { categories: ['arxiv', 'GitHub'] })), ['100', '101'])
+    },
+    {
+      description: 'Finds keywords in the tweet text and its thread',
+      run: () => {
+        assert.deepEqual(ids(filterBookmarks(bookmarks, { include: 'all', keywords: ['WORKTREE'] })), ['103']);
+        assert.deepEqual(ids(filterBookmarks(bookmarks, { keywords: ['benchmarks', 'bundler'] })), ['100', '101']);
+      }
+    },
+    {
+      description: 'Requires every kind of filter to match',
+      run: () => assert.deepEqual(
+        ids(filterBookmarks(bookmarks, { include: 'all', authors: ['@devtools'], keywords: ['tip'] })),
+        ['103']
+      )
+    },
+    {
+      description: 'Rejects unknown policies and dates',
+      run: () => {
+        assert.throws(() => filterBookmarks(bookmarks, { include: 'some' }), /Invalid include policy/);
+        assert.throws(() => parseFilterDate('last tuesday'), /Invalid date/);
+      }
+    },
+    {
+      description: 'Writes several filtered files from one input file',
+      run: async () => {
+        const input = path.join(dir, 'all.json');
+        fs.writeFileSync(input, JSON.stringify(bookmarks));
+        const loaded = await loadBookmarksFile(input);
+        
+        const github = await processOutput(loaded, { output: path.join(dir, 'github.json'), append: false, include: 'github-only' });
+        const tips = await processOutput(loaded, { output: path.join(dir, 'tips.json'), append: false, include: 'all', keywords: ['tip'] });
+        
+        assert.deepEqual(ids(github), ['100']);
+        assert.deepEqual(ids(tips), ['103']);
+        assert.deepEqual(ids(JSON.parse(fs.readFileSync(path.join(dir, 'tips.json'), 'utf8'))), ['103']);
+        assert.equal(loaded.length, 4);
+      }
+    },
+    {
+      description: 'Reads checkpoint journals as input',
+      run: async () => {
+        const input = path.join(dir, 'journal.ndjson');
+        fs.writeFileSync(input, bookmarks.map(bookmark => JSON.stringify(bookmark)).join('\n') + '\n');
+        assert.deepEqual(ids(await loadBookmarksFile(input)), ['100', '101', '103', '104']);
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-filters-'));
+  const testCases = buildTestCases(dir);
+  logger.info(`Running ${testCases.length} test cases for the output filters`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
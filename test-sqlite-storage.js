@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { processOutput, loadBookmarksFile, loadExistingTweetUrls } from './src/output.js';
+import { openDatabase, SCHEMA_VERSION } from './src/database.js';
+import { formatFromPath } from './src/utils/config.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Bookmarks as they come from scraping: links with classifier fields, sources and an
+ * original URL, a thread, archived media, engagement counts and an entry from an older run
+ * @type {Array<Object>}
+ */
+const bookmarks = [
+  {
+    username: '@researcher',
+    display_name: 'A Researcher',
+    tweet_url: 'https://x.com/researcher/status/101/photo/1',
+    tweet_text: 'Paper and code',
+    created_at: '2025-04-01T09:00:00.000Z',
+    is_quote: false,
+    is_reply: true,
+    reply_count: 3,
+    retweet_count: 10,
+    like_count: 120,
+    quote_count: 0,
+    bookmark_count: 45,
+    view_count: 9001,
+    github_url: 'https://github.com/lab/sparse',
+    github_repos: ['https://github.com/lab/sparse'],
+    all_links: ['https://arxiv.org/abs/2504.00001', 'https://github.com/lab/sparse/tree/main'],
+    links: [
+      { url: 'https://arxiv.org/abs/2504.00001', category: 'arxiv', arxiv_id: '2504.00001', version: null, original_url: 'https://arxiv.org/abs/2504.00001?utm_source=x', source: 'main', source_tweet_id: '101', source_author: '@researcher' },
+      { url: 'https://github.com/lab/sparse/tree/main', category: 'github', owner: 'lab', repo: 'sparse', repo_url: 'https://github.com/lab/sparse', source: 'thread', source_tweet_id: '102', source_author: null }
+    ],
+    thread: [{ tweet_id: '102', text: 'Code is here' }],
+    media: [{ type: 'photo', url: 'https://pbs.twimg.com/media/a.jpg', alt_text: null, path: 'media/ab/abc.jpg', sha256: 'abc', bytes: 12 }],
+    scraped_at: '2025-05-01T10:00:00.000Z'
+  },
+  {
+    username: null,
+    tweet_url: 'https://twitter.com/someone/status/104',
+    github_url: null,
+    all_links: ['https://example.com/post'],
+    scraped_at: '2025-03-11T15:10:49.556Z'
+  }
+];
+
+/**
+ * Build the test cases
+ * @param {string} dir Temporary directory for output files
+ * @param {Function} Database better-sqlite3 constructor, to inspect the files directly
+ * @returns {Array<{description: string, run: Function}>} Test cases
+ */
+function buildTestCases(dir, Database) {
+  const file = name => path.join(dir, name);
+  const query = (name, sql) => {
+    const db = new Database(file(name), { readonly: true });
+    try {
+      return db.prepare(sql).all();
+    } finally {
+      db.close();
+    }
+  };
+  
+  return [
+    {
+      description: 'Creates the tweets, authors, links, link categories and runs tables',
+      run: async () => {
+        await processOutput(bookmarks, { output: file('archive.db'), append: false, format: 'sqlite' });
+        const tables = query('archive.db', "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").map(row => row.name);
+        assert.deepEqual(tables, ['authors', 'link_categories', 'links', 'runs', 'tweets']);
+        assert.equal(query('archive.db', 'PRAGMA user_version')[0].user_version, SCHEMA_VERSION);
+      }
+    },
+    {
+      description: 'Exports the database as exactly the JSON output of the same bookmarks',
+      run: async () => {
+        await processOutput(bookmarks, { output: file('direct.json'), append: false });
+        await processOutput(await loadBookmarksFile(file('archive.db')), { output: file('exported.json'), append: false });
+        assert.equal(fs.readFileSync(file('exported.json'), 'utf8'), fs.readFileSync(file('direct.json'), 'utf8'));
+      }
+    },
+    {
+      description: 'Upserts by tweet id, refreshing counts and adding new links after the old ones',
+      run: async () => {
+        const again = {
+          ...bookmarks[0],
+          tweet_url: 'https://twitter.com/researcher/status/101',
+          like_count: 150,
+          tweet_text: null,
+          all_links: ['https://github.com/lab/sparse/tree/main', 'https://huggingface.co/lab/sparse-7b'],
+          links: undefined,
+          thread: undefined,
+          scraped_at: '2025-06-01T10:00:00.000Z'
+        };
+        await processOutput([again], { output: file('archive.db'), append: false, format: 'sqlite' });
+        
+        const [tweet] = (await loadBookmarksFile(file('archive.db'))).filter(b => b.tweet_url.endsWith('/101'));
+        assert.equal(tweet.like_count, 150);
+        assert.equal(tweet.tweet_text, 'Paper and code');
+        assert.equal(tweet.scraped_at, '2025-05-01T10:00:00.000Z');
+        assert.deepEqual(tweet.thread, bookmarks[0].thread);
+        assert.deepEqual(tweet.all_links, [...bookmarks[0].all_links, 'https://huggingface.co/lab/sparse-7b']);
+        assert.deepEqual(query('archive.db', 'SELECT COUNT(*) AS n FROM tweets')[0].n, 2);
+        assert.deepEqual(query('archive.db', 'SELECT id, bookmarks, added, updated FROM runs'),
+          [{ id: 1, bookmarks: 2, added: 2, updated: 0 }, { id: 2, bookmarks: 1, added: 0, updated: 1 }]);
+      }
+    },
+    {
+      description: 'Answers questions with plain SQL',
+      run: () => {
+        const rows = query('archive.db', `
+          SELECT authors.handle, link_categories.name AS category, COUNT(*) AS links
+          FROM links
+          JOIN link_categories ON link_categories.id = links.category_id
+          JOIN tweets ON tweets.tweet_id = links.tweet_id
+          LEFT JOIN authors ON authors.id = tweets.author_id
+          GROUP BY authors.handle, category ORDER BY category
+        `);
+        assert.deepEqual(rows.map(row => [row.handle, row.category, row.links]), [
+          ['@researcher', 'arxiv', 1], ['@researcher', 'github', 1], ['@researcher', 'huggingface', 1], [null, 'other', 1]
+        ]);
+      }
+    },
+    {
+      description: 'Migrates an empty database and refuses one from a newer version',
+      run: async () => {
+        const db = new Database(file('old.db'));
+        db.pragma('user_version = 0');
+        db.close();
+        (await openDatabase(file('old.db'))).close();
+        assert.equal(query('old.db', 'PRAGMA user_version')[0].user_version, SCHEMA_VERSION);
+        
+        const newer = new Database(file('newer.db'));
+        newer.pragma(`user_version = ${SCHEMA_VERSION + 1}`);
+        newer.close();
+        await assert.rejects(openDatabase(file('newer.db')), /newer than this version of TwiMine supports/);
+      }
+    },
+    {
+      description: 'Keeps the links of older records that only have all_links when saved directly',
+      run: async () => {
+        const legacy = [{
+          username: '@oldtimer',
+          tweet_url: 'https://x.com/oldtimer/status/105',
+          github_url: 'https://github.com/old/tool',
+          all_links: ['https://github.com/old/tool', 'https://example.com/notes'],
+          scraped_at: '2025-01-02T03:04:05.000Z'
+        }];
+        const database = await openDatabase(file('legacy.db'));
+        try {
+          database.saveBookmarks(legacy);
+          const [exported] = database.exportBookmarks();
+          assert.deepEqual(exported.all_links, legacy[0].all_links);
+          assert.deepEqual(exported.links.map(link => [link.url, link.category]),
+            [['https://github.com/old/tool', 'github'], ['https://example.com/notes', 'other']]);
+          assert.equal(exported.links[0].repo_url, 'https://github.com/old/tool');
+          
+          await processOutput(legacy, { output: file('legacy-direct.json'), append: false });
+          await processOutput(database.exportBookmarks(), { output: file('legacy-exported.json'), append: false });
+          assert.equal(fs.readFileSync(file('legacy-exported.json'), 'utf8'), fs.readFileSync(file('legacy-direct.json'), 'utf8'));
+        } finally {
+          database.close();
+        }
+      }
+    },
+    {
+      description: 'Reads the saved tweet ids for --since-last',
+      run: async () => {
+        assert.deepEqual([...await loadExistingTweetUrls(file('archive.db'), 'sqlite')].sort(), ['101', '104']);
+        assert.equal(formatFromPath('archive.db'), 'sqlite');
+        assert.equal(formatFromPath('archive.sqlite3'), 'sqlite');
+      }
+    }
+  ];
+}
+
+async function runTest() {
+  let Database;
+  try {
+    Database = (await import('better-sqlite3')).default;
+  } catch (error) {
+    logger.warn('Skipping the SQLite storage tests: the optional better-sqlite3 package is not installed');
+    return true;
+  }
+  
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'twimine-sqlite-'));
+  const testCases = buildTestCases(dir, Database);
+  logger.info(`Running ${testCases.length} test cases for the SQLite storage`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  try {
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      logger.info(`Test #${i + 1}: ${testCase.description}`);
+      
+      try {
+        await testCase.run();
+        logger.debug('✓ PASSED');
+        passed++;
+      } catch (error) {
+        logger.error('✗ FAILED');
+        logger.error(error.message);
+        failed++;
+      }
+      
+      console.log(); // Add a blank line between tests
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { generateTotp } from './src/utils/totp.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Base32 of the RFC 6238 SHA-1 test key, the ASCII string "12345678901234567890"
+ * @type {string}
+ */
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+/**
+ * RFC 6238 appendix B test vectors for SHA-1: Unix time in seconds and the 8-digit code
+ * @type {Array<[number, string]>}
+ */
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+/**
+ * Asserts that a secret gives the RFC 6238 codes
+ * @param {string} secret Secret in any accepted spelling
+ */
+function expectRfcCodes(secret) {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateTotp(secret, { time: seconds * 1000, digits: 8 }), code, `T = ${seconds}`);
+  }
+}
+
+/**
+ * Test cases for the TOTP generator
+ * @type {Array<{description: string, run: Function}>}
+ */
+const testCases = [
+  {
+    description: 'Generates the RFC 6238 SHA-1 test vectors',
+    run: () => expectRfcCodes(RFC_SECRET)
+  },
+  {
+    description: 'Generates 6-digit codes by default, the same for the whole 30 second step',
+    run: () => {
+      assert.equal(generateTotp(RFC_SECRET, { time: 59 * 1000 }), '287082');
+      assert.equal(generateTotp(RFC_SECRET, { time: 1111111109 * 1000 }), '081804');
+      assert.equal(generateTotp(RFC_SECRET, { time: 1111111080 * 1000 }), '081804');
+      assert.notEqual(generateTotp(RFC_SECRET, { time: 1111111110 * 1000 }), '081804');
+    }
+  },
+  {
+    description: 'Decodes secrets with spaces, lowercase letters, dashes and padding',
+    run: () => {
+      expectRfcCodes('gezd gnbv gy3t qojq gezd gnbv gy3t qojq');
+      expectRfcCodes('GEZD-GNBV-GY3T-QOJQ-GEZD-GNBV-GY3T-QOJQ');
+      expectRfcCodes(' GezdGnbvGy3tQojq\tGezdGnbvGy3tQojq ');
+      assert.equal(generateTotp('JBSWY3DPEE======', { time: 0 }), generateTotp('jbswy3dpee', { time: 0 }));
+    }
+  },
+  {
+    description: 'Reads the secret from an otpauth:// URI',
+    run: () => expectRfcCodes(`otpauth://totp/X:@researcher?secret=${RFC_SECRET.toLowerCase()}&issuer=X`)
+  },
+  {
+    description: 'Rejects secrets that are empty or not base32',
+    run: () => {
+      assert.throws(() => generateTotp('  '), /TOTP secret is empty/);
+      assert.throws(() => generateTotp('GEZDGNBV1'), /Invalid character in TOTP secret: 1/);
+    }
+  }
+];
+
+async function runTest() {
+  logger.info(`Running ${testCases.length} test cases for the TOTP generator`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < testCases.length; i++) {
+    const testCase = testCases[i];
+    logger.info(`Test #${i + 1}: ${testCase.description}`);
+    
+    try {
+      await testCase.run();
+      logger.debug('✓ PASSED');
+      passed++;
+    } catch (error) {
+      logger.error('✗ FAILED');
+      logger.error(error.message);
+      failed++;
+    }
+    
+    console.log(); // Add a blank line between tests
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
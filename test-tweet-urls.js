@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { canonicalTweetUrl, parseTweetUrl, tweetIdFromUrl, tweetKey } from './src/utils/urls.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Asserts that every URL canonicalizes to the same tweet URL and de-duplication key
+ * @param {Array<string>} urls Forms of one tweet's URL
+ * @param {string} expected Canonical tweet URL
+ */
+function expectCanonical(urls, expected) {
+  const id = expected.split('/').pop();
+  for (const url of urls) {
+    assert.equal(canonicalTweetUrl(url), expected, `canonicalTweetUrl(${url})`);
+    assert.equal(tweetKey(url), id, `tweetKey(${url})`);
+  }
+}
+
+/**
+ * Test cases for tweet URL canonicalization
+ * @type {Array<{description: string, run: Function}>}
+ */
+const testCases = [
+  {
+    description: 'Collapses twitter.com, x.com, www. and mobile hosts',
+    run: () => expectCanonical([
+      'https://twitter.com/researcher/status/1897000000000000001',
+      'https://www.twitter.com/researcher/status/1897000000000000001',
+      'https://mobile.twitter.com/researcher/status/1897000000000000001',
+      'https://x.com/researcher/status/1897000000000000001',
+      'https://www.x.com/researcher/status/1897000000000000001',
+      'https://mobile.x.com/researcher/status/1897000000000000001',
+      'http://TWITTER.com/researcher/status/1897000000000000001'
+    ], 'https://x.com/researcher/status/1897000000000000001')
+  },
+  {
+    description: 'Drops the media, analytics and engagement suffixes after the id',
+    run: () => expectCanonical([
+      'https://x.com/researcher/status/1897000000000000001/photo/1',
+      'https://x.com/researcher/status/1897000000000000001/photo/4',
+      'https://x.com/researcher/status/1897000000000000001/video/1',
+      'https://x.com/researcher/status/1897000000000000001/analytics',
+      'https://x.com/researcher/status/1897000000000000001/likes',
+      'https://x.com/researcher/status/1897000000000000001/retweets',
+      'https://twitter.com/researcher/status/1897000000000000001/quotes',
+      'https://x.com/researcher/status/1897000000000000001/'
+    ], 'https://x.com/researcher/status/1897000000000000001')
+  },
+  {
+    description: 'Drops query strings and fragments',
+    run: () => expectCanonical([
+      'https://x.com/researcher/status/1897000000000000001?s=20',
+      'https://twitter.com/researcher/status/1897000000000000001?s=46&t=AbCdEf',
+      'https://x.com/researcher/status/1897000000000000001#m',
+      'https://x.com/researcher/statuses/1897000000000000001?ref_src=twsrc%5Etfw#top'
+    ], 'https://x.com/researcher/status/1897000000000000001')
+  },
+  {
+    description: 'Keeps /i/web/status links without an author and matches them by id',
+    run: () => {
+      expectCanonical([
+        'https://twitter.com/i/web/status/1897000000000000002',
+        'https://x.com/i/web/status/1897000000000000002/photo/1?s=20'
+      ], 'https://x.com/i/web/status/1897000000000000002');
+      assert.deepEqual(parseTweetUrl('https://x.com/i/web/status/1897000000000000002'), { username: null, id: '1897000000000000002' });
+      assert.deepEqual(parseTweetUrl('https://x.com/i/status/1897000000000000002'), { username: null, id: '1897000000000000002' });
+      assert.equal(tweetKey('https://x.com/i/web/status/1897000000000000002'), tweetKey('https://x.com/researcher/status/1897000000000000002'));
+    }
+  },
+  {
+    description: 'Parses the author and id of a permalink',
+    run: () => {
+      assert.deepEqual(parseTweetUrl('https://twitter.com/Some_User/status/42/photo/1'), { username: 'Some_User', id: '42' });
+      assert.equal(tweetIdFromUrl('https://mobile.x.com/Some_User/status/42?s=20'), '42');
+    }
+  },
+  {
+    description: 'Leaves URLs that are not tweet permalinks unchanged',
+    run: () => {
+      for (const url of [
+        'https://x.com/researcher',
+        'https://x.com/researcher/status/not-a-number',
+        'https://x.com/researcher/status/1897000000000000001extra',
+        'https://example.com/researcher/status/1897000000000000001',
+        'https://x.com/this_handle_is_too_long/status/1',
+        'not a url'
+      ]) {
+        assert.equal(canonicalTweetUrl(url), url, `canonicalTweetUrl(${url})`);
+        assert.equal(tweetIdFromUrl(url), null, `tweetIdFromUrl(${url})`);
+        assert.equal(tweetKey(url), url, `tweetKey(${url})`);
+      }
+    }
+  }
+];
+
+async function runTest() {
+  logger.info(`Running ${testCases.length} test cases for tweet URL canonicalization`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < testCases.length; i++) {
+    const testCase = testCases[i];
+    logger.info(`Test #${i + 1}: ${testCase.description}`);
+    
+    try {
+      await testCase.run();
+      logger.debug('✓ PASSED');
+      passed++;
+    } catch (error) {
+      logger.error('✗ FAILED');
+      logger.error(error.message);
+      failed++;
+    }
+    
+    console.log(); // Add a blank line between tests
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
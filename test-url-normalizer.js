@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { normalizeUrl } from './src/utils/urls.js';
+import { classifyLink } from './src/classifiers/index.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Asserts that each URL normalizes to the expected one
+ * @param {Array<[string, string]>} pairs Input URL and expected normalized URL
+ * @param {Object} [options] Options passed to normalizeUrl
+ */
+function expectNormalized(pairs, options) {
+  for (const [input, expected] of pairs) {
+    assert.equal(normalizeUrl(input, options), expected, `normalizeUrl(${input})`);
+  }
+}
+
+/**
+ * Test cases for the URL normalizer
+ * @type {Array<{description: string, run: Function}>}
+ */
+const testCases = [
+  {
+    description: 'Strips tracking parameters and keeps the others in order',
+    run: () => expectNormalized([
+      ['https://example.com/post?utm_source=x&utm_medium=social&id=7', 'https://example.com/post?id=7'],
+      ['https://example.com/post?UTM_Campaign=launch&fbclid=abc&gclid=def', 'https://example.com/post'],
+      ['https://example.com/?b=2&twclid=1&a=1&mc_cid=3', 'https://example.com/?b=2&a=1'],
+      ['https://example.com/search?s=playwright', 'https://example.com/search?s=playwright'],
+      ['https://x.com/user/status/1?s=20&t=abc', 'https://x.com/user/status/1']
+    ])
+  },
+  {
+    description: 'Replaces the tracking parameters with --tracking-params',
+    run: () => expectNormalized([
+      ['https://example.com/?ref=feed&utm_source=x', 'https://example.com/?utm_source=x'],
+      ['https://example.com/?ref=feed&refcode=1&id=2', 'https://example.com/?id=2']
+    ], { trackingParams: ['ref*'] })
+  },
+  {
+    description: 'Lowercases the host, drops default ports and www. but keeps other ports',
+    run: () => expectNormalized([
+      ['HTTPS://WWW.Example.COM:443/Path', 'https://example.com/Path'],
+      ['http://www.example.com:80/', 'http://example.com/'],
+      ['http://www2.example.com/page', 'http://example.com/page'],
+      ['https://example.com:8443/page', 'https://example.com:8443/page']
+    ])
+  },
+  {
+    description: 'Drops plain fragments but keeps hash routes',
+    run: () => expectNormalized([
+      ['https://example.com/docs#install', 'https://example.com/docs'],
+      ['https://app.example.com/#/settings', 'https://app.example.com/#/settings'],
+      ['https://app.example.com/#!inbox', 'https://app.example.com/#!inbox']
+    ])
+  },
+  {
+    description: 'Points AMP caches, amp. hosts, .amp.html files and ?amp to the regular page',
+    run: () => expectNormalized([
+      ['https://example-com.cdn.ampproject.org/c/s/example.com/news/story', 'https://example.com/news/story'],
+      ['https://www.google.com/amp/s/example.com/news/story', 'https://example.com/news/story'],
+      ['https://amp.example.com/news/story', 'https://example.com/news/story'],
+      ['https://example.com/news/story.amp.html', 'https://example.com/news/story.html'],
+      ['https://example.com/news/story?amp', 'https://example.com/news/story'],
+      ['https://example.com/news/story?outputType=amp', 'https://example.com/news/story']
+    ])
+  },
+  {
+    description: 'Keeps hosts that are not a site without their www. or amp. label',
+    run: () => expectNormalized([
+      ['https://amp.dev/documentation/', 'https://amp.dev/documentation/'],
+      ['https://www.co.uk/', 'https://www.co.uk/'],
+      ['https://amp.github.io/site/', 'https://amp.github.io/site/'],
+      ['https://www.example.co.uk/page', 'https://example.co.uk/page']
+    ])
+  },
+  {
+    description: 'Leaves /amp path segments alone',
+    run: () => expectNormalized([
+      ['https://github.com/ampproject/amp', 'https://github.com/ampproject/amp'],
+      ['https://github.com/amp/widgets', 'https://github.com/amp/widgets'],
+      ['https://example.com/news/story/amp', 'https://example.com/news/story/amp']
+    ])
+  },
+  {
+    description: 'Classifies normalized GitHub links under the right repository',
+    run: () => {
+      const link = classifyLink(normalizeUrl('https://www.github.com/ampproject/amp?utm_source=x'));
+      assert.equal(link.url, 'https://github.com/ampproject/amp');
+      assert.equal(link.category, 'github');
+      assert.equal(link.repo_url, 'https://github.com/ampproject/amp');
+      assert.equal(classifyLink(normalizeUrl('https://github.com/amp/widgets')).repo_url, 'https://github.com/amp/widgets');
+    }
+  },
+  {
+    description: 'Returns URLs that are not http(s) unchanged',
+    run: () => expectNormalized([
+      ['mailto:someone@example.com?utm_source=x', 'mailto:someone@example.com?utm_source=x'],
+      ['not a url', 'not a url']
+    ])
+  }
+];
+
+async function runTest() {
+  logger.info(`Running ${testCases.length} test cases for the URL normalizer`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < testCases.length; i++) {
+    const testCase = testCases[i];
+    logger.info(`Test #${i + 1}: ${testCase.description}`);
+    
+    try {
+      await testCase.run();
+      logger.debug('✓ PASSED');
+      passed++;
+    } catch (error) {
+      logger.error('✗ FAILED');
+      logger.error(error.message);
+      failed++;
+    }
+    
+    console.log(); // Add a blank line between tests
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});
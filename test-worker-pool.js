@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+import assert from 'assert/strict';
+import { createLimiter, createHostLimiter, createPagePool } from './src/utils/pool.js';
+
+// Simple console logger for the test
+const logger = {
+  info: (msg) => console.log('\x1b[32m%s\x1b[0m', `[INFO] ${msg}`), // Green
+  debug: (msg) => console.log('\x1b[36m%s\x1b[0m', `[DEBUG] ${msg}`), // Cyan
+  warn: (msg) => console.log('\x1b[33m%s\x1b[0m', `[WARN] ${msg}`), // Yellow
+  error: (msg, err) => {
+    console.error('\x1b[31m%s\x1b[0m', `[ERROR] ${msg}`); // Red
+    if (err) console.error('\x1b[31m%s\x1b[0m', err);
+  }
+};
+
+/**
+ * Lets every pending promise callback run
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Fake task that stays in flight until the test finishes it
+ * @param {Object} tracker Counts of tasks in flight, shared by a group of tasks
+ * @param {*} value Value the task resolves with
+ * @returns {{run: function(): Promise<any>, resolve: function(): void, reject: function(Error): void, started: boolean}}
+ */
+function fakeTask(tracker, value) {
+  const task = { started: false };
+  const done = new Promise((resolve, reject) => {
+    task.resolve = () => resolve(value);
+    task.reject = reject;
+  });
+  task.run = () => {
+    task.started = true;
+    tracker.active++;
+    tracker.max = Math.max(tracker.max, tracker.active);
+    return done.finally(() => tracker.active--);
+  };
+  return task;
+}
+
+/**
+ * Replaces Date.now and setTimeout with a clock that only moves when the test advances it
+ * @returns {{advance: function(number): Promise<void>, restore: function(): void}} Clock controls
+ */
+function installFakeClock() {
+  const realNow = Date.now;
+  const realSetTimeout = globalThis.setTimeout;
+  let now = 0;
+  let timers = [];
+  
+  Date.now = () => now;
+  globalThis.setTimeout = (callback, ms = 0) => {
+    timers.push({ at: now + ms, callback });
+    return timers.length;
+  };
+  
+  return {
+    async advance(ms) {
+      const until = now + ms;
+      await settle();
+      for (;;) {
+        const due = timers.filter(timer => timer.at <= until).sort((a, b) => a.at - b.at)[0];
+        if (!due) {
+          break;
+        }
+        timers = timers.filter(timer => timer !== due);
+        now = due.at;
+        due.callback();
+        await settle();
+      }
+      now = until;
+    },
+    
+    restore() {
+      Date.now = realNow;
+      globalThis.setTimeout = realSetTimeout;
+    }
+  };
+}
+
+/**
+ * Test cases for the concurrency helpers
+ * @type {Array<{description: string, run: Function}>}
+ */
+const testCases = [
+  {
+    description: 'Limiter runs at most `concurrency` tasks at once, starting them in submission order',
+    run: async () => {
+      const limit = createLimiter(2);
+      const tracker = { active: 0, max: 0 };
+      const tasks = [0, 1, 2, 3, 4].map(i => fakeTask(tracker, i));
+      const results = Promise.all(tasks.map(task => limit(task.run)));
+      
+      await settle();
+      assert.deepEqual(tasks.map(task => task.started), [true, true, false, false, false]);
+      
+      tasks[1].resolve();
+      await settle();
+      assert.deepEqual(tasks.map(task => task.started), [true, true, true, false, false]);
+      
+      // Finishing out of order still gives each caller its own result
+      [4, 3, 2, 0].forEach(i => tasks[i].resolve());
+      assert.deepEqual(await results, [0, 1, 2, 3, 4]);
+      assert.equal(tracker.max, 2);
+      assert.equal(tracker.active, 0);
+    }
+  },
+  {
+    description: 'Limiter passes rejections to the caller and keeps running queued tasks',
+    run: async () => {
+      const limit = createLimiter(1);
+      const failing = limit(async () => {
+        throw new Error('resolve failed');
+      });
+      const thrown = limit(() => {
+        throw new Error('threw synchronously');
+      });
+      const next = limit(async () => 'next');
+      
+      await assert.rejects(failing, /resolve failed/);
+      await assert.rejects(thrown, /threw synchronously/);
+      assert.equal(await next, 'next');
+    }
+  },
+  {
+    description: 'Host limiter spaces requests to one host by the delay and leaves other hosts alone',
+    run: async () => {
+      const clock = installFakeClock();
+      try {
+        const schedule = createHostLimiter({ concurrency: 2, delay: 100 });
+        const starts = [];
+        const request = url => schedule(url, async () => {
+          starts.push([url, Date.now()]);
+          return url;
+        });
+        
+        const urls = ['https://a.example/1', 'https://b.example/1', 'https://A.example/2', 'https://a.example/3', 'not a url'];
+        const results = Promise.all(urls.map(request));
+        await clock.advance(1000);
+        
+        assert.deepEqual(await results, urls);
+        assert.deepEqual(starts.sort((x, y) => x[1] - y[1] || x[0].localeCompare(y[0])), [
+          ['https://a.example/1', 0], ['https://b.example/1', 0], ['not a url', 0],
+          ['https://A.example/2', 100], ['https://a.example/3', 200]
+        ]);
+      } finally {
+        clock.restore();
+      }
+    }
+  },
+  {
+    description: 'Host limiter caps the requests in flight per host and passes rejections on',
+    run: async () => {
+      const clock = installFakeClock();
+      try {
+        const schedule = createHostLimiter({ concurrency: 2 });
+        const tracker = { active: 0, max: 0 };
+        const tasks = [0, 1, 2, 3].map(i => fakeTask(tracker, i));
+        const results = tasks.map((task, i) => schedule(`https://a.example/${i}`, task.run));
+        
+        await clock.advance(0);
+        assert.deepEqual(tasks.map(task => task.started), [true, true, false, false]);
+        
+        tasks[0].reject(new Error('HTTP 503'));
+        tasks[1].resolve();
+        await assert.rejects(results[0], /HTTP 503/);
+        assert.equal(await results[1], 1);
+        
+        await clock.advance(0);
+        tasks[2].resolve();
+        tasks[3].resolve();
+        assert.deepEqual(await Promise.all(results.slice(2)), [2, 3]);
+        assert.equal(tracker.max, 2);
+      } finally {
+        clock.restore();
+      }
+    }
+  },
+  {
+    description: 'Page pool opens at most `size` pages, reuses them and closes them all',
+    run: async () => {
+      const opened = [];
+      const context = {
+        newPage: async () => {
+          const page = { id: opened.length, setUp: false, closed: false, close: async () => { page.closed = true; } };
+          opened.push(page);
+          return page;
+        }
+      };
+      const pool = createPagePool(context, 2, page => { page.setUp = true; });
+      const tracker = { active: 0, max: 0 };
+      const tasks = [0, 1, 2, 3, 4].map(i => fakeTask(tracker, i));
+      const used = [];
+      const results = tasks.map((task, i) => pool.use(page => {
+        used.push(page.id);
+        if (i === 2) {
+          return Promise.reject(new Error('navigation failed'));
+        }
+        return task.run();
+      }));
+      
+      await settle();
+      assert.equal(opened.length, 2);
+      tasks.forEach(task => task.resolve());
+      
+      await assert.rejects(results[2], /navigation failed/);
+      assert.deepEqual(await Promise.all(results.filter((result, i) => i !== 2)), [0, 1, 3, 4]);
+      assert.equal(opened.length, 2);
+      assert.ok(opened.every(page => page.setUp));
+      assert.deepEqual(Array.from(new Set(used)).sort(), [0, 1]);
+      assert.equal(tracker.max, 2);
+      
+      await pool.close();
+      assert.ok(opened.every(page => page.closed));
+    }
+  }
+];
+
+async function runTest() {
+  logger.info(`Running ${testCases.length} test cases for the worker pools`);
+  console.log();
+  
+  let passed = 0;
+  let failed = 0;
+  
+  for (let i = 0; i < testCases.length; i++) {
+    const testCase = testCases[i];
+    logger.info(`Test #${i + 1}: ${testCase.description}`);
+    
+    try {
+      await testCase.run();
+      logger.debug('✓ PASSED');
+      passed++;
+    } catch (error) {
+      logger.error('✗ FAILED');
+      logger.error(error.message);
+      failed++;
+    }
+    
+    console.log(); // Add a blank line between tests
+  }
+  
+  console.log('-----------------------------------');
+  logger.info(`Test results: ${passed} passed, ${failed} failed`);
+  
+  return failed === 0; // Return true if all tests passed
+}
+
+// Run the tests
+runTest().then(allPassed => {
+  process.exit(allPassed ? 0 : 1);
+}).catch(error => {
+  logger.error('Unhandled error:', error);
+  process.exit(1);
+});